@@ -1,7 +1,7 @@
 from fastapi import FastAPI
 from fastapi.middleware.cors import CORSMiddleware
 from pydantic import BaseModel
-from typing import List, Dict, Any
+from typing import List, Dict, Any, Optional
 from collections import defaultdict, deque
 
 app = FastAPI()
@@ -25,47 +25,228 @@ class Edge(BaseModel):
     id: str
     source: str
     target: str
+    sourceHandle: Optional[str] = None
 
 class PipelineData(BaseModel):
     nodes: List[Node]
     edges: List[Edge]
 
-def is_dag(nodes: List[Node], edges: List[Edge]) -> bool:
+def _in_node_order(groups, position):
+    """Sorts members by node position and groups by their first member"""
+    ordered = [sorted(group, key=position.__getitem__) for group in groups]
+    return sorted(ordered, key=lambda group: position[group[0]])
+
+
+def topological_order(nodes: List[Node], edges: List[Edge]) -> List[str]:
     """
-    Check if the graph is a Directed Acyclic Graph (DAG)
-    using Kahn's algorithm (topological sort)
+    Kahn's algorithm (topological sort). Nodes on or after a cycle are
+    left out, so the graph is a DAG exactly when every node is ordered.
     """
-    # Build adjacency list and in-degree map
-    adjacency_list = defaultdict(list)
-    in_degree = defaultdict(int)
-    
-    # Initialize all nodes with in-degree 0
-    for node in nodes:
-        if node.id not in in_degree:
-            in_degree[node.id] = 0
-    
-    # Build the graph
+    adjacency_list = {node.id: [] for node in nodes}
+    in_degree = {node.id: 0 for node in nodes}
+
     for edge in edges:
         adjacency_list[edge.source].append(edge.target)
         in_degree[edge.target] += 1
-    
-    # Find all nodes with in-degree 0
+
     queue = deque([node.id for node in nodes if in_degree[node.id] == 0])
-    processed_count = 0
-    
-    # Process nodes with in-degree 0
+    order = []
+
     while queue:
         current = queue.popleft()
-        processed_count += 1
-        
-        # Reduce in-degree for neighbors
+        order.append(current)
+
         for neighbor in adjacency_list[current]:
             in_degree[neighbor] -= 1
             if in_degree[neighbor] == 0:
                 queue.append(neighbor)
-    
-    # If all nodes are processed, it's a DAG
-    return processed_count == len(nodes)
+
+    return order
+
+
+def is_dag(nodes: List[Node], edges: List[Edge]) -> bool:
+    """Check if the graph is a Directed Acyclic Graph (DAG)"""
+    return len(topological_order(nodes, edges)) == len(nodes)
+
+
+def find_cycles(nodes: List[Node], edges: List[Edge]) -> List[List[str]]:
+    """
+    Strongly connected components (Kosaraju) that form a cycle: more than
+    one node, or a single node with an edge to itself
+    """
+    forward = {node.id: [] for node in nodes}
+    backward = {node.id: [] for node in nodes}
+    for edge in edges:
+        forward[edge.source].append(edge.target)
+        backward[edge.target].append(edge.source)
+
+    finished = []
+    visited = set()
+    for node in nodes:
+        if node.id in visited:
+            continue
+        visited.add(node.id)
+        stack = [(node.id, iter(forward[node.id]))]
+        while stack:
+            current, neighbors = stack[-1]
+            advanced = False
+            for neighbor in neighbors:
+                if neighbor not in visited:
+                    visited.add(neighbor)
+                    stack.append((neighbor, iter(forward[neighbor])))
+                    advanced = True
+                    break
+            if not advanced:
+                stack.pop()
+                finished.append(current)
+
+    assigned = set()
+    cycles = []
+    for start in reversed(finished):
+        if start in assigned:
+            continue
+        component = []
+        stack = [start]
+        assigned.add(start)
+        while stack:
+            current = stack.pop()
+            component.append(current)
+            for neighbor in backward[current]:
+                if neighbor not in assigned:
+                    assigned.add(neighbor)
+                    stack.append(neighbor)
+        if len(component) > 1 or start in forward[start]:
+            cycles.append(component)
+
+    return cycles
+
+
+def connected_components(nodes: List[Node], edges: List[Edge]) -> List[List[str]]:
+    """Components of the graph when edge direction is ignored"""
+    neighbors = {node.id: [] for node in nodes}
+    for edge in edges:
+        neighbors[edge.source].append(edge.target)
+        neighbors[edge.target].append(edge.source)
+
+    seen = set()
+    components = []
+    for node in nodes:
+        if node.id in seen:
+            continue
+        component = []
+        stack = [node.id]
+        seen.add(node.id)
+        while stack:
+            current = stack.pop()
+            component.append(current)
+            for neighbor in neighbors[current]:
+                if neighbor not in seen:
+                    seen.add(neighbor)
+                    stack.append(neighbor)
+        components.append(component)
+
+    return components
+
+
+def longest_path(order: List[str], edges: List[Edge]) -> int:
+    """Edges on the longest path, following the topological order"""
+    depth = {node_id: 0 for node_id in order}
+    for node_id in order:
+        for edge in edges:
+            if edge.source == node_id:
+                depth[edge.target] = max(depth[edge.target], depth[node_id] + 1)
+    return max(depth.values(), default=0)
+
+
+# Node types that send their input out of just one of their output ports
+BRANCHING_NODE_TYPES = ["filter", "ifElse", "switch"]
+
+
+def _handle_name(node_id: str, handle: Optional[str], fallback: str) -> str:
+    """Port name of a `${nodeId}-${port}` handle id"""
+    if not handle:
+        return fallback
+    prefix = f"{node_id}-"
+    return handle[len(prefix):] if handle.startswith(prefix) else handle
+
+
+def _reachable(start_ids: List[str], edges: List[Edge]) -> set:
+    reached = set(start_ids)
+    stack = list(start_ids)
+    while stack:
+        current = stack.pop()
+        for edge in edges:
+            if edge.source == current and edge.target not in reached:
+                reached.add(edge.target)
+                stack.append(edge.target)
+    return reached
+
+
+def conditional_branches(nodes: List[Node], edges: List[Edge], sources: List[str]) -> List[Dict[str, Any]]:
+    """
+    For each connected port of a branching node, the nodes that only run when
+    the branch takes that port: every path from a source to them goes through it
+    """
+    branches = []
+    for node in nodes:
+        if node.type not in BRANCHING_NODE_TYPES:
+            continue
+        outgoing = [edge for edge in edges if edge.source == node.id]
+        ports = []
+        for edge in outgoing:
+            port = _handle_name(node.id, edge.sourceHandle, "output")
+            if port not in ports:
+                ports.append(port)
+
+        for port in ports:
+            through = [edge for edge in outgoing if _handle_name(node.id, edge.sourceHandle, "output") == port]
+            gated = _reachable([edge.target for edge in through], edges)
+            otherwise = _reachable(sources, [edge for edge in edges if not any(edge is other for other in through)])
+            branches.append({
+                "node": node.id,
+                "port": port,
+                "nodes": [
+                    other.id for other in nodes
+                    if other.id != node.id and other.id in gated and other.id not in otherwise
+                ],
+            })
+
+    return branches
+
+
+def analyze_pipeline(nodes: List[Node], edges: List[Edge]) -> Dict[str, Any]:
+    """
+    The /pipelines/parse response. Must match analyzePipeline in
+    frontend/src/analysis.js; fixtures/pipeline-analysis.json holds the
+    expected result for a set of graphs. Lists follow the order the nodes
+    were sent in, and edges whose source or target is not a node only count
+    towards num_edges.
+    """
+    position = {node.id: index for index, node in enumerate(nodes)}
+    valid_edges = [edge for edge in edges if edge.source in position and edge.target in position]
+    order = topological_order(nodes, valid_edges)
+    dag = len(order) == len(nodes)
+    has_incoming = {edge.target for edge in valid_edges}
+    has_outgoing = {edge.source for edge in valid_edges}
+    sources = [node.id for node in nodes if node.id not in has_incoming]
+
+    node_type_counts = defaultdict(int)
+    for node in nodes:
+        node_type_counts[node.type] += 1
+
+    return {
+        "num_nodes": len(nodes),
+        "num_edges": len(edges),
+        "is_dag": dag,
+        "topological_order": order,
+        "cycles": _in_node_order(find_cycles(nodes, valid_edges), position),
+        "sources": sources,
+        "sinks": [node.id for node in nodes if node.id not in has_outgoing],
+        "connected_components": _in_node_order(connected_components(nodes, valid_edges), position),
+        "longest_path": longest_path(order, valid_edges) if dag else None,
+        "node_type_counts": dict(node_type_counts),
+        "branches": conditional_branches(nodes, valid_edges, sources),
+    }
 
 @app.get("/")
 async def root():
@@ -74,22 +255,10 @@ async def root():
 @app.post("/pipelines/parse")
 async def parse_pipeline(pipeline: PipelineData):
     """
-    Parse the pipeline and return analysis results
-    
-    Returns:
-        - num_nodes: Number of nodes in the pipeline
-        - num_edges: Number of edges in the pipeline
-        - is_dag: Whether the pipeline forms a valid DAG
+    Parse the pipeline and return analysis results: node and edge counts,
+    whether it is a DAG, and its structure (see analyze_pipeline)
     """
-    num_nodes = len(pipeline.nodes)
-    num_edges = len(pipeline.edges)
-    dag_result = is_dag(pipeline.nodes, pipeline.edges)
-    
-    return {
-        "num_nodes": num_nodes,
-        "num_edges": num_edges,
-        "is_dag": dag_result
-    }
+    return analyze_pipeline(pipeline.nodes, pipeline.edges)
 
 if __name__ == "__main__":
     import uvicorn
@@ -0,0 +1,17 @@
+# Contract test: analyze_pipeline must match the shared fixtures, which
+# frontend/src/analysis.test.js checks analyzePipeline against as well
+import json
+from pathlib import Path
+
+import pytest
+
+from main import PipelineData, analyze_pipeline
+
+FIXTURES_PATH = Path(__file__).resolve().parent.parent / 'fixtures' / 'pipeline-analysis.json'
+FIXTURES = json.loads(FIXTURES_PATH.read_text())['fixtures']
+
+
+@pytest.mark.parametrize('fixture', FIXTURES, ids=[fixture['name'] for fixture in FIXTURES])
+def test_analyze_pipeline_matches_fixture(fixture):
+    pipeline = PipelineData(nodes=fixture['nodes'], edges=fixture['edges'])
+    assert analyze_pipeline(pipeline.nodes, pipeline.edges) == fixture['expected']
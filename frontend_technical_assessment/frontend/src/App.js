@@ -1,135 +1,373 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import ReactFlow, { 
   Background, 
   Controls, 
   MiniMap,
-  addEdge,
-  useNodesState,
-  useEdgesState,
   Panel,
 } from 'reactflow';
+import { useShallow } from 'zustand/react/shallow';
 import 'reactflow/dist/style.css';
-import BaseNode from './nodes/BaseNode';
-import TextNode from './nodes/TextNode';
+import { RunResultsContext } from './nodes/NodeResult';
+import { SubgraphActionsContext } from './nodes/SubgraphNode';
 import { submitPipeline } from './submit';
+import { executePipeline } from './executor';
+import {
+  serializePipeline,
+  downloadPipeline,
+  readPipelineFile,
+  saveSession,
+  loadSession,
+  clearSession
+} from './persistence';
+import { useStore } from './store';
+import { PipelineToolbar } from './toolbar';
+import { DRAG_DATA_TYPE } from './draggableNode';
+import { QuickAddMenu } from './quickAdd';
+import { getConnectionError } from './ports';
+import { diagnosePipeline } from './diagnostics';
+import { DiagnosticsPanel } from './diagnosticsPanel';
+import { TraceViewer } from './traceViewer';
+import { DebugPanel } from './debugPanel';
+import { useDebugger } from './useDebugger';
+import { ApiSettings } from './apiSettings';
+import { VariablesPanel } from './variablesPanel';
+import {
+  resolveVariables,
+  applyVariables,
+  getSecretValues,
+  maskSecrets,
+  saveSecrets,
+  restoreSecrets,
+  clearSecrets
+} from './variables';
+import { ApiValidationError, getApiBaseUrl } from './apiClient';
+import {
+  registerNodePack,
+  restoreSavedNodePacks,
+  loadNodePackFile,
+  removeNodePack,
+  useNodeRegistry,
+  getNodeType,
+  getNodeLabel,
+  getPorts,
+  getDefaultData
+} from './nodeRegistry';
+import { builtinNodePack } from './nodes/builtinNodes';
+import { PipelineValidationError } from './validation';
+import { copySelection, parseClipboardPayload, pasteSelection } from './clipboard';
+import { layoutPipeline, animateNodePositions, placeNextTo } from './layout';
+import {
+  SUBGRAPH_ID_SEPARATOR,
+  groupIntoSubgraph,
+  expandSubgraph,
+  applySubgraphEdit,
+  flattenPipeline,
+  saveSubgraphType,
+  restoreSavedSubgraphTypes
+} from './subgraph';
 import './App.css';
 
-// Node type configurations
-const nodeConfigs = {
-  input: {
-    label: 'Input',
-    icon: '📥',
-    description: 'Data input node',
-    fields: [
-      { name: 'inputName', type: 'text', label: 'Name', placeholder: 'Enter input name', defaultValue: 'input' }
-    ],
-    color: 'bg-green-50',
-    borderColor: 'border-green-400'
-  },
-  output: {
-    label: 'Output',
-    icon: '📤',
-    description: 'Data output node',
-    fields: [
-      { name: 'outputName', type: 'text', label: 'Name', placeholder: 'Enter output name', defaultValue: 'output' }
-    ],
-    color: 'bg-red-50',
-    borderColor: 'border-red-400'
-  },
-  llm: {
-    label: 'LLM',
-    icon: '🤖',
-    description: 'Large Language Model',
-    fields: [
-      {
-        name: 'model',
-        type: 'select',
-        label: 'Model',
-        options: [
-          { value: 'gpt-4', label: 'GPT-4' },
-          { value: 'gpt-3.5', label: 'GPT-3.5' },
-          { value: 'claude', label: 'Claude' }
-        ],
-        defaultValue: 'gpt-4'
-      }
-    ],
-    color: 'bg-purple-50',
-    borderColor: 'border-purple-400'
-  },
-  transform: {
-    label: 'Transform',
-    icon: '⚙️',
-    description: 'Transform data',
-    fields: [
-      {
-        name: 'operation',
-        type: 'select',
-        label: 'Operation',
-        options: [
-          { value: 'uppercase', label: 'Uppercase' },
-          { value: 'lowercase', label: 'Lowercase' },
-          { value: 'trim', label: 'Trim' }
-        ],
-        defaultValue: 'uppercase'
-      }
-    ],
-    color: 'bg-yellow-50',
-    borderColor: 'border-yellow-400'
-  },
-  filter: {
-    label: 'Filter',
-    icon: '🔍',
-    description: 'Filter data',
-    fields: [
-      { name: 'condition', type: 'text', label: 'Condition', placeholder: 'e.g., value > 10' }
-    ],
-    color: 'bg-blue-50',
-    borderColor: 'border-blue-400'
-  }
-};
-
-// Node type components
-const nodeTypes = {
-  text: TextNode,
-  ...Object.keys(nodeConfigs).reduce((acc, key) => {
-    acc[key] = (props) => <BaseNode {...props} config={nodeConfigs[key]} />;
-    return acc;
-  }, {})
-};
+registerNodePack(builtinNodePack, { builtin: true });
+restoreSavedNodePacks();
+restoreSavedSubgraphTypes();
+
+// Keyboard shortcuts shouldn't fire while the user is typing in a field
+const isEditableTarget = (target) =>
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName) || target?.isContentEditable;
 
 // Initial nodes and edges
 const initialNodes = [
-  { id: '1', type: 'input', position: { x: 100, y: 100 }, data: {} },
+  { id: '1', type: 'input', position: { x: 100, y: 100 }, data: getDefaultData('input') },
   { id: '2', type: 'text', position: { x: 400, y: 100 }, data: { text: 'Enter text with {{variables}}' } },
-  { id: '3', type: 'output', position: { x: 700, y: 100 }, data: {} }
+  { id: '3', type: 'output', position: { x: 700, y: 100 }, data: getDefaultData('output') }
 ];
 
 const initialEdges = [];
 
+useStore.getState().loadGraph({ nodes: initialNodes, edges: initialEdges });
+
+const selector = (state) => ({
+  nodes: state.nodes,
+  edges: state.edges,
+  setNodes: state.setNodes,
+  setEdges: state.setEdges,
+  getNodeID: state.getNodeID,
+  addNode: state.addNode,
+  addElements: state.addElements,
+  deleteSelection: state.deleteSelection,
+  onNodesChange: state.onNodesChange,
+  onEdgesChange: state.onEdgesChange,
+  onConnect: state.onConnect,
+  takeSnapshot: state.takeSnapshot,
+  undo: state.undo,
+  redo: state.redo,
+  clearHistory: state.clearHistory,
+  variables: state.variables,
+  environment: state.environment,
+  setVariables: state.setVariables,
+  setEnvironment: state.setEnvironment,
+  pipelineId: state.pipelineId,
+  setPipelineId: state.setPipelineId,
+  canUndo: state.past.length > 0,
+  canRedo: state.future.length > 0,
+});
+
 function App() {
-  const [nodes, setNodes, onNodesChange] = useNodesState(initialNodes);
-  const [edges, setEdges, onEdgesChange] = useEdgesState(initialEdges);
+  const {
+    nodes,
+    edges,
+    setNodes,
+    setEdges,
+    getNodeID,
+    addNode: addNodeToStore,
+    addElements,
+    deleteSelection,
+    onNodesChange,
+    onEdgesChange,
+    onConnect: connectNodes,
+    takeSnapshot,
+    undo,
+    redo,
+    clearHistory,
+    variables,
+    environment,
+    setVariables,
+    setEnvironment,
+    pipelineId,
+    setPipelineId,
+    canUndo,
+    canRedo
+  } = useStore(useShallow(selector));
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [runResults, setRunResults] = useState({});
+  const [reactFlowInstance, setReactFlowInstance] = useState(null);
+  const [savedSession] = useState(loadSession);
+  const [showRestorePrompt, setShowRestorePrompt] = useState(!!savedSession);
+  const fileInputRef = useRef(null);
+  const pointerRef = useRef({ x: 0, y: 0 });
+  const [connectionError, setConnectionError] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [runOutputs, setRunOutputs] = useState(null);
+  // Steps of the last local run in execution order, keyed by flattened node id
+  const [runTrace, setRunTrace] = useState([]);
+  const [showTrace, setShowTrace] = useState(false);
+  const [selectedTraceNode, setSelectedTraceNode] = useState(null);
+  // Flattened ids of nodes the debugger pauses in front of
+  const [breakpoints, setBreakpoints] = useState(() => new Set());
+  const debug = useDebugger();
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [backendRejection, setBackendRejection] = useState(null);
+  // Unexpected failure of the last submit or local run, shown as an issue
+  const [runError, setRunError] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showVariables, setShowVariables] = useState(false);
+  const [apiBaseUrl, setApiBaseUrlState] = useState(getApiBaseUrl);
+  const packInputRef = useRef(null);
+  const [autoPlace, setAutoPlace] = useState(false);
+  // Screen position of the open quick-add popup, or null
+  const [quickAdd, setQuickAdd] = useState(null);
+  const cancelLayoutAnimation = useRef(null);
+  const { nodeTypes, nodePacks } = useNodeRegistry();
+  // Parent canvases while a subgraph is open: [{ subgraphId, label, nodes, edges, viewport }]
+  const [graphStack, setGraphStack] = useState([]);
+
+  // Values substituted for {{$env.NAME}} when the pipeline runs, and the
+  // secret values that are masked wherever run results are shown
+  const variableValues = useMemo(() => resolveVariables(variables, environment), [variables, environment]);
+  const secretValues = useMemo(() => getSecretValues(variables), [variables]);
+
+  const getViewport = useCallback(
+    () => reactFlowInstance?.getViewport(),
+    [reactFlowInstance]
+  );
+
+  // The whole pipeline with any open subgraph edits folded back into it
+  const getRootGraph = useCallback(
+    () => graphStack.reduceRight(
+      (inner, level) => applySubgraphEdit(level.nodes, level.edges, level.subgraphId, inner.nodes, inner.edges, { getPorts }),
+      { nodes, edges }
+    ),
+    [graphStack, nodes, edges]
+  );
+
+  // Viewport of the top-level canvas, even while a subgraph is open
+  const getRootViewport = useCallback(
+    () => (graphStack.length > 0 ? graphStack[0].viewport : getViewport()),
+    [graphStack, getViewport]
+  );
+
+  // Flattened ids look like 'group1/3'; this maps them to the nodes and edges
+  // of the canvas currently shown (or null when they live elsewhere)
+  const levelPrefix = graphStack.map((level) => `${level.subgraphId}${SUBGRAPH_ID_SEPARATOR}`).join('');
+  const toLevelId = useCallback(
+    (flatId) => (flatId.startsWith(levelPrefix) ? flatId.slice(levelPrefix.length).split(SUBGRAPH_ID_SEPARATOR)[0] : null),
+    [levelPrefix]
+  );
+
+  const toggleBreakpoint = useCallback((flatId) => {
+    setBreakpoints((current) => {
+      const next = new Set(current);
+      if (!next.delete(flatId)) {
+        next.add(flatId);
+      }
+      return next;
+    });
+  }, []);
+
+  const loadPipeline = useCallback(
+    (pipeline) => {
+      if (graphStack.length > 0) {
+        setGraphStack([]);
+        clearHistory();
+      } else {
+        takeSnapshot();
+      }
+      setNodes(pipeline.nodes);
+      setEdges(pipeline.edges);
+      setPipelineId(pipeline.pipelineId);
+      setVariables(restoreSecrets(pipeline.pipelineId, pipeline.variables));
+      setEnvironment(pipeline.environment);
+      setRunResults({});
+      setRunTrace([]);
+      setShowTrace(false);
+      reactFlowInstance?.setViewport(pipeline.viewport);
+    },
+    [graphStack, reactFlowInstance, setNodes, setEdges, setPipelineId, setVariables, setEnvironment, takeSnapshot, clearHistory]
+  );
+
+  // Autosave to localStorage, but not while the restore prompt is still open
+  // so the previous session isn't overwritten before the user decides
+  const autosave = useCallback(() => {
+    if (!showRestorePrompt) {
+      const root = getRootGraph();
+      saveSession(serializePipeline(root.nodes, root.edges, getRootViewport(), { variables, environment, pipelineId }));
+    }
+  }, [getRootGraph, getRootViewport, showRestorePrompt, variables, environment, pipelineId]);
 
-  // Handle Delete key press
+  useEffect(() => {
+    const timer = setTimeout(autosave, 500);
+    return () => clearTimeout(timer);
+  }, [autosave]);
+
+  // Secret values are left out of the autosave and kept under the pipeline's own key
+  useEffect(() => {
+    saveSecrets(pipelineId, variables);
+  }, [pipelineId, variables]);
+
+  const handleRestoreSession = () => {
+    loadPipeline(savedSession);
+    setShowRestorePrompt(false);
+  };
+
+  // The discarded pipeline's secrets would otherwise stay in this browser for good
+  const handleDiscardSession = () => {
+    clearSession();
+    clearSecrets(savedSession.pipelineId);
+    setShowRestorePrompt(false);
+  };
+
+  const handleExport = () => {
+    const root = getRootGraph();
+    downloadPipeline(serializePipeline(root.nodes, root.edges, getRootViewport(), { variables, environment, pipelineId }));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      loadPipeline(await readPipelineFile(file));
+      setShowRestorePrompt(false);
+    } catch (error) {
+      alert(`Could not load pipeline:\n\n${error.message}`);
+    }
+  };
+
+  // Adds copied nodes with their top-left corner at `position` (flow coordinates),
+  // replacing the current selection
+  const pasteNodes = useCallback(
+    (payload, position) => {
+      addElements(pasteSelection(payload, position, { getNodeID }));
+    },
+    [addElements, getNodeID]
+  );
+
+  // Collapses the selected nodes into a subgraph node (Ctrl+G)
+  const groupSelection = useCallback(() => {
+    const selectedIds = nodes.filter((node) => node.selected).map((node) => node.id);
+    if (selectedIds.length === 0) {
+      return;
+    }
+    const id = getNodeID('group');
+    const grouped = groupIntoSubgraph(nodes, edges, selectedIds, { id, getPorts });
+    takeSnapshot();
+    setNodes(grouped.nodes.map((node) => ({ ...node, selected: node.id === id })));
+    setEdges(grouped.edges);
+  }, [nodes, edges, getNodeID, takeSnapshot, setNodes, setEdges]);
+
+  // Handle Delete key press and undo/redo shortcuts
   const handleKeyDown = useCallback(
     (e) => {
-      if (e.key === 'Delete') {
+      if (isEditableTarget(e.target)) {
+        return;
+      }
+
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
         e.preventDefault();
+        if (e.shiftKey) {
+          redo();
+        } else {
+          undo();
+        }
+        return;
+      }
 
-        const hasSelectedNodes = nodes.some((n) => n.selected);
-        const hasSelectedEdges = edges.some((e2) => e2.selected);
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') {
+        e.preventDefault();
+        redo();
+        return;
+      }
 
-        if (hasSelectedNodes) {
-          setNodes((nds) => nds.filter((n) => !n.selected));
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'd') {
+        const payload = copySelection(nodes, edges);
+        if (payload) {
+          e.preventDefault();
+          const selected = nodes.filter((n) => n.selected);
+          pasteNodes(payload, {
+            x: Math.min(...selected.map((n) => n.position.x)) + 40,
+            y: Math.min(...selected.map((n) => n.position.y)) + 40
+          });
         }
+        return;
+      }
 
-        if (hasSelectedEdges) {
-          setEdges((eds) => eds.filter((e2) => !e2.selected));
-        }
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'g') {
+        e.preventDefault();
+        groupSelection();
+        return;
+      }
+
+      if (e.key === '/' && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        setQuickAdd(pointerRef.current);
+        return;
+      }
+
+      if (e.key === 'F9') {
+        e.preventDefault();
+        nodes.filter((n) => n.selected).forEach((n) => toggleBreakpoint(`${levelPrefix}${n.id}`));
+        return;
+      }
+
+      if (e.key === 'Delete') {
+        e.preventDefault();
+        deleteSelection();
       }
     },
-    [nodes, edges, setNodes, setEdges]
+    [nodes, edges, deleteSelection, undo, redo, pasteNodes, groupSelection, levelPrefix, toggleBreakpoint]
   );
 
   React.useEffect(() => {
@@ -137,93 +375,667 @@ function App() {
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [handleKeyDown]);
 
+  // Ctrl+C / Ctrl+V go through the browser's copy and paste events, which can
+  // use the system clipboard without asking for permission
+  React.useEffect(() => {
+    const handleCopy = (e) => {
+      if (isEditableTarget(e.target)) {
+        return;
+      }
+      const payload = copySelection(nodes, edges);
+      if (payload) {
+        e.preventDefault();
+        e.clipboardData.setData('text/plain', JSON.stringify(payload));
+      }
+    };
+
+    const handlePaste = (e) => {
+      if (isEditableTarget(e.target)) {
+        return;
+      }
+      const payload = parseClipboardPayload(e.clipboardData.getData('text/plain'));
+      if (payload && reactFlowInstance) {
+        e.preventDefault();
+        pasteNodes(payload, reactFlowInstance.screenToFlowPosition(pointerRef.current));
+      }
+    };
+
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('paste', handlePaste);
+    return () => {
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('paste', handlePaste);
+    };
+  }, [nodes, edges, reactFlowInstance, pasteNodes]);
+
+  // Rejects self-loops, duplicates, incompatible port types and cycles,
+  // remembering the reason so it can be shown next to the cursor
+  const isValidConnection = useCallback(
+    (connection) => {
+      const error = getConnectionError(connection, { nodes, edges, getPorts });
+      setConnectionError(error ? { message: error, ...pointerRef.current } : null);
+      return !error;
+    },
+    [nodes, edges]
+  );
+
   const onConnect = useCallback(
-    (params) => setEdges((eds) => addEdge({ ...params, animated: true }, eds)),
-    [setEdges]
+    (params) => {
+      if (getConnectionError(params, { nodes, edges, getPorts })) {
+        return;
+      }
+      connectNodes(params);
+    },
+    [nodes, edges, connectNodes]
   );
 
   const handleSubmit = async () => {
     setIsSubmitting(true);
-    const result = await submitPipeline(nodes, edges);
+    setRunResults({});
+    setBackendRejection(null);
+    setRunError(null);
+
+    // Variables are filled in here only; the canvas keeps the references and
+    // Text templates get them as $env when they render
+    const root = getRootGraph();
+    const runNodes = applyVariables(root.nodes, variableValues);
+    let result = null;
+    try {
+      result = await submitPipeline(runNodes, root.edges);
+    } catch (error) {
+      // Invalid fields (PipelineValidationError) are listed by the diagnostics panel
+      if (error instanceof ApiValidationError) {
+        setBackendRejection(error);
+      } else if (!(error instanceof PipelineValidationError)) {
+        setRunError(`Pipeline submission failed: ${error.message}`);
+      }
+    }
+
+    // Run the pipeline locally so each node can show what it produced,
+    // recording a trace step for every node as it starts and finishes
+    let run = null;
+    if (result?.is_dag) {
+      const flatNodes = Object.fromEntries(flattenPipeline(root.nodes, root.edges).nodes.map((n) => [n.id, n]));
+      setRunTrace([]);
+      setSelectedTraceNode(null);
+      setShowTrace(true);
+      try {
+        run = await executePipeline(runNodes, root.edges, {
+          variables: variableValues,
+          onNodeStart: (nodeId) =>
+            setRunTrace((steps) => [
+              ...steps,
+              { nodeId, label: getNodeLabel(flatNodes[nodeId]), status: 'running' }
+            ]),
+          onNodeProgress: (nodeId, details) =>
+            setRunResults((prev) => ({ ...prev, [nodeId]: { status: 'running', details } })),
+          onNodeResult: (nodeId, nodeResult) => {
+            setRunResults((prev) => ({ ...prev, [nodeId]: nodeResult }));
+            setRunTrace((steps) => steps.map((step) => (step.nodeId === nodeId ? { ...step, ...nodeResult } : step)));
+          }
+        });
+      } catch (error) {
+        setRunError(`Pipeline execution failed: ${error.message}`);
+      }
+    }
     setIsSubmitting(false);
-    
-    if (result) {
-      alert(
-        `Pipeline Analysis:\n\n` +
-        `Number of Nodes: ${result.num_nodes}\n` +
-        `Number of Edges: ${result.num_edges}\n` +
-        `Is Valid DAG: ${result.is_dag ? '✅ Yes' : '❌ No'}\n\n` +
-        `${result.is_dag ? 'Your pipeline is valid!' : 'Warning: Your pipeline contains cycles!'}`
-      );
+
+    setAnalysis(result);
+    setRunOutputs(run?.outputs || null);
+    setShowDiagnostics(true);
+  };
+
+  // While debugging, nodes show the debug session's results instead of the last run
+  const levelRunResults = useMemo(() => {
+    const currentResults = maskSecrets(debug.session ? debug.session.results : runResults, secretValues);
+    if (!levelPrefix) {
+      return currentResults;
+    }
+    return Object.fromEntries(
+      Object.entries(currentResults)
+        .filter(([flatId]) => flatId.startsWith(levelPrefix) && !flatId.slice(levelPrefix.length).includes(SUBGRAPH_ID_SEPARATOR))
+        .map(([flatId, result]) => [flatId.slice(levelPrefix.length), result])
+    );
+  }, [runResults, debug.session, levelPrefix, secretValues]);
+
+  // The trace, outputs and debug session as shown in the panels, secrets masked
+  const shownTrace = useMemo(() => maskSecrets(runTrace, secretValues), [runTrace, secretValues]);
+  const shownOutputs = useMemo(() => maskSecrets(runOutputs, secretValues), [runOutputs, secretValues]);
+  const shownDebugSession = useMemo(
+    () => debug.session && {
+      ...debug.session,
+      results: maskSecrets(debug.session.results, secretValues),
+      outputs: maskSecrets(debug.session.outputs, secretValues)
+    },
+    [debug.session, secretValues]
+  );
+
+  // Issues are recomputed live while the panel is open, so fixes show up immediately.
+  // They cover the whole (flattened) pipeline; node and edge ids point into the open canvas.
+  const issues = useMemo(() => {
+    if (!showDiagnostics) {
+      return [];
+    }
+    const root = getRootGraph();
+    const flat = flattenPipeline(root.nodes, root.edges);
+    const localIssues = diagnosePipeline(flat.nodes, flat.edges, { getNodeConfig: getNodeType, getNodeLabel, variableValues })
+      .map((issue) => ({
+        ...issue,
+        nodeIds: [...new Set(issue.nodeIds.map(toLevelId).filter(Boolean))],
+        edgeIds: issue.edgeIds
+          ?.filter((edgeId) => edgeId.startsWith(levelPrefix))
+          .map((edgeId) => edgeId.slice(levelPrefix.length))
+      }));
+    const submitIssues = [
+      backendRejection && {
+        id: 'backend-rejected',
+        severity: 'error',
+        message: `Backend rejected the pipeline (status ${backendRejection.status}): ${backendRejection.message}`,
+        nodeIds: []
+      },
+      runError && {
+        id: 'run-failed',
+        severity: 'error',
+        message: maskSecrets(runError, secretValues),
+        nodeIds: []
+      }
+    ].filter(Boolean);
+    return [...submitIssues, ...localIssues];
+  }, [showDiagnostics, getRootGraph, toLevelId, levelPrefix, backendRejection, runError, variableValues, secretValues]);
+
+  // Nodes and edges involved in an issue are highlighted on the canvas
+  const displayNodes = useMemo(() => {
+    const severityByNode = {};
+    issues.forEach((issue) => {
+      issue.nodeIds.forEach((nodeId) => {
+        if (severityByNode[nodeId] !== 'error') {
+          severityByNode[nodeId] = issue.severity;
+        }
+      });
+    });
+    // Node updates made through React Flow copy className back into our state,
+    // so stale highlights have to be cleared here as well
+    // Breakpoints on nodes inside a group show on the group node
+    const breakpointNodes = new Set([...breakpoints].map(toLevelId));
+    const pausedNode = debug.session && toLevelId(debug.session.runningNodeId || debug.session.nextNodeId || '');
+    return nodes.map((node) => {
+      const className = [
+        severityByNode[node.id] && `node-${severityByNode[node.id]}`,
+        breakpointNodes.has(node.id) && 'node-breakpoint',
+        pausedNode === node.id && 'node-paused'
+      ].filter(Boolean).join(' ') || undefined;
+      return node.className === className ? node : { ...node, className };
+    });
+  }, [nodes, issues, breakpoints, debug.session, toLevelId]);
+
+  // Edges into a node that is running are animated to show data flowing in
+  const runningNodeIds = useMemo(
+    () => new Set([
+      ...runTrace.filter((step) => step.status === 'running').map((step) => toLevelId(step.nodeId)),
+      debug.session?.runningNodeId && toLevelId(debug.session.runningNodeId)
+    ]),
+    [runTrace, debug.session, toLevelId]
+  );
+
+  const displayEdges = useMemo(() => {
+    const cycleEdgeIds = new Set(issues.flatMap((issue) => issue.edgeIds || []));
+    return edges.map((edge) => {
+      const flowing = runningNodeIds.has(edge.target);
+      if (!cycleEdgeIds.has(edge.id) && !!edge.animated === flowing) {
+        return edge;
+      }
+      return {
+        ...edge,
+        animated: flowing,
+        ...(cycleEdgeIds.has(edge.id) && { style: { ...edge.style, stroke: '#ef4444', strokeWidth: 2 } })
+      };
+    });
+  }, [edges, issues, runningNodeIds]);
+
+  const focusNode = (nodeId) => {
+    const node = nodes.find((n) => n.id === nodeId);
+    if (!node || !reactFlowInstance) {
+      return;
+    }
+    setNodes((nds) => nds.map((n) => ({ ...n, selected: n.id === nodeId })));
+    reactFlowInstance.fitView({ nodes: [{ id: nodeId }], duration: 400, maxZoom: 1.5 });
+  };
+
+  // Debugging runs the whole pipeline, even when a subgraph is open
+  const startDebugging = () => {
+    const root = getRootGraph();
+    try {
+      debug.start(applyVariables(root.nodes, variableValues), root.edges, { variables: variableValues });
+    } catch (error) {
+      alert(`Cannot debug this pipeline:\n\n${error.message}`);
+    }
+  };
+
+  // The analysis lists flattened ids, so names come from the flattened root graph
+  const flatNodesById = useMemo(() => {
+    if (!showDiagnostics) {
+      return {};
+    }
+    const root = getRootGraph();
+    return Object.fromEntries(flattenPipeline(root.nodes, root.edges).nodes.map((node) => [node.id, node]));
+  }, [showDiagnostics, getRootGraph]);
+
+  const describeFlatNode = (flatId) => (flatNodesById[flatId] ? getNodeLabel(flatNodesById[flatId]) : flatId);
+
+  const focusFlatNode = (flatId) => {
+    const levelId = toLevelId(flatId);
+    if (levelId) {
+      focusNode(levelId);
     }
   };
 
-  const addNode = (type) => {
-    const newNode = {
-      id: `${Date.now()}`,
+  // Clicking a trace step shows its node; clicking a node shows its step
+  const selectTraceStep = (flatId) => {
+    setSelectedTraceNode(flatId);
+    focusFlatNode(flatId);
+  };
+
+  const handleNodeClick = (e, node) => {
+    const flatId = `${levelPrefix}${node.id}`;
+    if (showTrace && runTrace.some((step) => step.nodeId === flatId)) {
+      setSelectedTraceNode(flatId);
+    }
+  };
+
+  const handleLoadNodePack = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const count = await loadNodePackFile(file);
+      alert(`Loaded ${count} node type(s) from ${file.name}`);
+    } catch (error) {
+      alert(`Could not load node pack:\n\n${error.message}`);
+    }
+  };
+
+  // Subgraphs
+
+  const openSubgraph = (subgraphId) => {
+    const subgraph = nodes.find((node) => node.id === subgraphId);
+    if (!subgraph) {
+      return;
+    }
+    setGraphStack((stack) => [
+      ...stack,
+      { subgraphId, label: subgraph.data.label || 'Group', nodes, edges, viewport: getViewport() }
+    ]);
+    setNodes(subgraph.data.graph.nodes);
+    setEdges(subgraph.data.graph.edges);
+    clearHistory();
+    setTimeout(() => reactFlowInstance?.fitView({ duration: 300 }), 0);
+  };
+
+  // Goes back up to the canvas at `depth` (0 = the top-level pipeline),
+  // storing the edited inner graphs in their subgraph nodes on the way
+  const closeSubgraph = (depth = graphStack.length - 1) => {
+    let current = { nodes, edges };
+    for (let index = graphStack.length - 1; index >= depth; index--) {
+      const level = graphStack[index];
+      current = applySubgraphEdit(level.nodes, level.edges, level.subgraphId, current.nodes, current.edges, { getPorts });
+    }
+    const target = graphStack[depth];
+    setGraphStack((stack) => stack.slice(0, depth));
+    setNodes(current.nodes);
+    setEdges(current.edges);
+    clearHistory();
+    reactFlowInstance?.setViewport(target.viewport);
+  };
+
+  const handleExpandSubgraph = (subgraphId) => {
+    const expanded = expandSubgraph(nodes, edges, subgraphId);
+    takeSnapshot();
+    setNodes(expanded.nodes);
+    setEdges(expanded.edges);
+  };
+
+  const handleSaveSubgraphType = (subgraphId) => {
+    const subgraph = nodes.find((node) => node.id === subgraphId);
+    const label = subgraph && window.prompt('Name of the new node type', subgraph.data.label || 'Group');
+    if (!label) {
+      return;
+    }
+    try {
+      saveSubgraphType(subgraph, label);
+      alert(`"${label}" was added to the palette`);
+    } catch (error) {
+      alert(`Could not save node type:\n\n${error.message}`);
+    }
+  };
+
+  const subgraphActions = {
+    openSubgraph,
+    expandSubgraph: handleExpandSubgraph,
+    saveSubgraphType: handleSaveSubgraphType
+  };
+
+  const handleAutoLayout = () => {
+    const targets = layoutPipeline(nodes, edges);
+    takeSnapshot();
+    cancelLayoutAnimation.current?.();
+    cancelLayoutAnimation.current = animateNodePositions(setNodes, targets, 400);
+    setTimeout(() => reactFlowInstance?.fitView({ duration: 300 }), 450);
+  };
+
+  // Adds a node at `position`, or wherever the palette click puts it. With
+  // auto-place on, new nodes go right of the selected node and become the
+  // selection, so a chain can be built by adding nodes one after another.
+  const addNode = (type, position) => {
+    const anchor = !position && autoPlace ? nodes.filter((n) => n.selected).pop() : null;
+    addNodeToStore({
+      id: getNodeID(type),
       type,
-      position: { x: Math.random() * 400 + 100, y: Math.random() * 300 + 100 },
-      data: type === 'text' ? { text: '' } : {}
-    };
-    setNodes((nds) => [...nds, newNode]);
+      position: position || (anchor
+        ? placeNextTo(anchor, nodes)
+        : { x: Math.random() * 400 + 100, y: Math.random() * 300 + 100 }),
+      data: getDefaultData(type),
+      selected: !!anchor
+    });
+  };
+
+  // Palette entries dropped on the canvas land under the cursor
+  const handleDrop = (e) => {
+    const payload = e.dataTransfer.getData(DRAG_DATA_TYPE);
+    if (!payload || !reactFlowInstance) {
+      return;
+    }
+    e.preventDefault();
+    let type;
+    try {
+      type = JSON.parse(payload)?.nodeType;
+    } catch (error) {
+      // Not a palette entry, so there is nothing to add
+      return;
+    }
+    if (getNodeType(type)) {
+      addNode(type, reactFlowInstance.screenToFlowPosition({ x: e.clientX, y: e.clientY }));
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  };
+
+  // Double-clicking empty canvas opens quick add instead of zooming
+  const handleCanvasDoubleClick = (e) => {
+    if (e.target.classList?.contains('react-flow__pane')) {
+      setQuickAdd({ x: e.clientX, y: e.clientY });
+    }
+  };
+
+  const handleQuickAdd = (type) => {
+    if (reactFlowInstance) {
+      addNode(type, reactFlowInstance.screenToFlowPosition(quickAdd));
+    }
+    setQuickAdd(null);
   };
 
   return (
-    <div style={{ width: '100vw', height: '100vh' }}>
-      <ReactFlow
-        nodes={nodes}
-        edges={edges}
-        onNodesChange={onNodesChange}
-        onEdgesChange={onEdgesChange}
-        onConnect={onConnect}
-        nodeTypes={nodeTypes}
-        fitView
-      >
-        <Background color="#e5e7eb" gap={16} />
-        <Controls />
-        <MiniMap />
-        
-        <Panel position="top-left" className="panel">
-          <h2 className="panel-title">VectorShift Pipeline Builder</h2>
-          <div className="button-group">
-            <button onClick={() => addNode('input')} className="btn btn-green">
-              ➕ Add Input
-            </button>
-            <button onClick={() => addNode('llm')} className="btn btn-purple">
-              ➕ Add LLM
-            </button>
-            <button onClick={() => addNode('text')} className="btn btn-indigo">
-              ➕ Add Text
-            </button>
-            <button onClick={() => addNode('transform')} className="btn btn-yellow">
-              ➕ Add Transform
-            </button>
-            <button onClick={() => addNode('filter')} className="btn btn-blue">
-              ➕ Add Filter
-            </button>
-            <button onClick={() => addNode('output')} className="btn btn-red">
-              ➕ Add Output
-            </button>
-          </div>
-        </Panel>
-        
-        <Panel position="top-right" className="panel">
-          <button
-            onClick={handleSubmit}
-            disabled={isSubmitting}
-            className="btn btn-submit"
-          >
-            {isSubmitting ? '⏳ Analyzing...' : '🚀 Submit Pipeline'}
-          </button>
-          <div className="stats">
-            Nodes: {nodes.length} | Edges: {edges.length}
-          </div>
-          <div style={{ fontSize: '11px', color: '#666', marginTop: '8px' }}>
-            💡 Tip: Press <strong>Delete</strong> key to remove selected nodes/edges
+    <RunResultsContext.Provider value={levelRunResults}>
+      <SubgraphActionsContext.Provider value={subgraphActions}>
+        <div
+          className="app-layout"
+          onMouseMove={(e) => {
+            pointerRef.current = { x: e.clientX, y: e.clientY };
+          }}
+        >
+          <PipelineToolbar onAddNode={addNode} />
+          <div className="canvas" onDoubleClick={handleCanvasDoubleClick}>
+            <ReactFlow
+              nodes={displayNodes}
+              edges={displayEdges}
+              onNodesChange={onNodesChange}
+              onEdgesChange={onEdgesChange}
+              onConnect={onConnect}
+              isValidConnection={isValidConnection}
+              onConnectEnd={() => setConnectionError(null)}
+              onNodeClick={handleNodeClick}
+              onNodeDragStart={() => takeSnapshot()}
+              onSelectionDragStart={() => takeSnapshot()}
+              onInit={setReactFlowInstance}
+              onMoveEnd={autosave}
+              onDrop={handleDrop}
+              onDragOver={handleDragOver}
+              zoomOnDoubleClick={false}
+              nodeTypes={nodeTypes}
+              fitView
+            >
+              <Background color="#e5e7eb" gap={16} />
+              <Controls />
+              <MiniMap />
+          
+              <Panel position="top-left" className="panel">
+                <h2 className="panel-title">VectorShift Pipeline Builder</h2>
+                {graphStack.length > 0 && (
+                  <div className="breadcrumbs">
+                    {graphStack.map((level, depth) => (
+                      <React.Fragment key={level.subgraphId}>
+                        <button onClick={() => closeSubgraph(depth)} className="breadcrumb-link">
+                          {depth === 0 ? 'Pipeline' : graphStack[depth - 1].label}
+                        </button>
+                        <span>›</span>
+                      </React.Fragment>
+                    ))}
+                    <strong>{graphStack[graphStack.length - 1].label}</strong>
+                  </div>
+                )}
+                <div className="button-group">
+                  <button onClick={handleAutoLayout} className="btn btn-gray" title="Arrange nodes left to right by data flow">
+                    🪄 Auto Layout
+                  </button>
+                  <label className="panel-option">
+                    <input type="checkbox" checked={autoPlace} onChange={(e) => setAutoPlace(e.target.checked)} />
+                    Place new nodes next to selection
+                  </label>
+                  <button
+                    onClick={groupSelection}
+                    disabled={!nodes.some((node) => node.selected)}
+                    className="btn btn-gray"
+                    title="Collapse the selected nodes into one (Ctrl+G)"
+                  >
+                    🧩 Group Selected
+                  </button>
+                  {graphStack.length > 0 && (
+                    <button onClick={() => closeSubgraph()} className="btn btn-gray">
+                      ⬅️ Back to Parent
+                    </button>
+                  )}
+                  <button onClick={() => packInputRef.current?.click()} className="btn btn-gray">
+                    🧩 Load Node Pack
+                  </button>
+                  <input
+                    ref={packInputRef}
+                    type="file"
+                    accept=".json,.js,.mjs"
+                    onChange={handleLoadNodePack}
+                    style={{ display: 'none' }}
+                  />
+                  {nodePacks.map((pack) => (
+                    <div key={pack.name} className="node-pack">
+                      <span title={pack.types.join(', ')}>
+                        {pack.name} ({pack.types.length})
+                      </span>
+                      <button
+                        onClick={() => removeNodePack(pack.name)}
+                        className="node-pack-remove"
+                        title="Remove this pack and its node types"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </Panel>
+          
+              <Panel position="top-right" className="panel">
+                <button
+                  onClick={handleSubmit}
+                  disabled={isSubmitting}
+                  className="btn btn-submit"
+                >
+                  {isSubmitting ? '⏳ Running...' : '🚀 Submit Pipeline'}
+                </button>
+                <button
+                  onClick={debug.session ? debug.stop : startDebugging}
+                  className="btn btn-gray debug-toggle"
+                  title="Run the pipeline node by node with breakpoints (F9 toggles one on the selected nodes)"
+                >
+                  {debug.session ? '⏹️ Stop Debugging' : '🐞 Debug'}
+                </button>
+                <div className="button-row">
+                  <button onClick={undo} disabled={!canUndo} className="btn btn-gray" title="Undo (Ctrl+Z)">
+                    ↩️ Undo
+                  </button>
+                  <button onClick={redo} disabled={!canRedo} className="btn btn-gray" title="Redo (Ctrl+Shift+Z)">
+                    ↪️ Redo
+                  </button>
+                </div>
+                <button
+                  onClick={() => setShowVariables((open) => !open)}
+                  className="btn btn-gray variables-toggle"
+                  title="Pipeline variables and secrets, used as {{$env.NAME}} in node fields"
+                >
+                  🔑 Variables · {environment}
+                </button>
+                <div className="button-row">
+                  <button onClick={handleExport} className="btn btn-gray">
+                    💾 Export
+                  </button>
+                  <button onClick={() => fileInputRef.current?.click()} className="btn btn-gray">
+                    📂 Import
+                  </button>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleImport}
+                    style={{ display: 'none' }}
+                  />
+                </div>
+                <div className="stats">
+                  Nodes: {nodes.length} | Edges: {edges.length}
+                  {runTrace.length > 0 && !showTrace && (
+                    <button onClick={() => setShowTrace(true)} className="breadcrumb-link trace-toggle">
+                      Show run trace
+                    </button>
+                  )}
+                </div>
+                <div className="api-status">
+                  {analysis?.mode === 'local' ? (
+                    <span className="api-badge api-badge-local" title={analysis.fallbackReason}>
+                      🟠 Local mode — backend unavailable
+                    </span>
+                  ) : (
+                    <span className="api-badge" title="Backend endpoint">
+                      {analysis?.mode === 'backend' ? '🟢' : '⚪'} {apiBaseUrl}
+                    </span>
+                  )}
+                  <button
+                    onClick={() => setShowSettings((open) => !open)}
+                    className="api-settings-toggle"
+                    title="Backend settings"
+                  >
+                    ⚙️
+                  </button>
+                </div>
+                {showSettings && (
+                  <ApiSettings onSaved={() => setApiBaseUrlState(getApiBaseUrl())} />
+                )}
+                <div style={{ fontSize: '11px', color: '#666', marginTop: '8px' }}>
+                  💡 Tip: Press <strong>Delete</strong> key to remove selected nodes/edges,
+                  <strong> Ctrl+Z</strong> / <strong>Ctrl+Shift+Z</strong> to undo/redo,
+                  <strong> Ctrl+C</strong> / <strong>Ctrl+V</strong> / <strong>Ctrl+D</strong> to copy, paste and duplicate,
+                  <strong> F9</strong> to toggle a breakpoint
+                </div>
+              </Panel>
+
+              {(showDiagnostics || showTrace || debug.session || showVariables) && (
+                <Panel position="bottom-center" className="panel bottom-panels">
+                  {showVariables && (
+                    <VariablesPanel
+                      variables={variables}
+                      environment={environment}
+                      onChange={setVariables}
+                      onEnvironmentChange={setEnvironment}
+                      onClose={() => setShowVariables(false)}
+                    />
+                  )}
+                  {showDiagnostics && (
+                    <DiagnosticsPanel
+                      analysis={analysis}
+                      outputs={shownOutputs}
+                      issues={issues}
+                      describeNode={describeFlatNode}
+                      onFocusNode={focusNode}
+                      onFocusAnalysisNode={focusFlatNode}
+                      onClose={() => setShowDiagnostics(false)}
+                    />
+                  )}
+                  {debug.session && (
+                    <DebugPanel
+                      session={shownDebugSession}
+                      breakpoints={breakpoints}
+                      onToggleBreakpoint={toggleBreakpoint}
+                      onStep={debug.step}
+                      onContinue={() => debug.continueRun(breakpoints)}
+                      onRerunFrom={(flatId) => debug.rerunFrom(flatId, breakpoints)}
+                      onEditOutput={debug.editOutput}
+                      onRestart={startDebugging}
+                      onFocusNode={focusFlatNode}
+                      onClose={debug.stop}
+                    />
+                  )}
+                  {showTrace && (
+                    <TraceViewer
+                      steps={shownTrace}
+                      selectedNodeId={selectedTraceNode}
+                      onSelect={selectTraceStep}
+                      onClose={() => setShowTrace(false)}
+                    />
+                  )}
+                </Panel>
+              )}
+
+              {showRestorePrompt && (
+                <Panel position="top-center" className="panel restore-prompt">
+                  <span>
+                    Restore your last session from {new Date(savedSession.savedAt).toLocaleString()}?
+                  </span>
+                  <button onClick={handleRestoreSession} className="btn btn-green">
+                    Restore
+                  </button>
+                  <button onClick={handleDiscardSession} className="btn btn-gray">
+                    Discard
+                  </button>
+                </Panel>
+              )}
+            </ReactFlow>
           </div>
-        </Panel>
-      </ReactFlow>
-    </div>
+
+          {connectionError && (
+            <div
+              className="connection-tooltip"
+              style={{ left: connectionError.x + 16, top: connectionError.y + 16 }}
+            >
+              ⛔ {connectionError.message}
+            </div>
+          )}
+
+          {quickAdd && (
+            <QuickAddMenu position={quickAdd} onSelect={handleQuickAdd} onClose={() => setQuickAdd(null)} />
+          )}
+        </div>
+      </SubgraphActionsContext.Provider>
+    </RunResultsContext.Provider>
   );
 }
 
@@ -0,0 +1,147 @@
+// analysis.js
+// Structural analysis of a pipeline, as returned by POST /pipelines/parse
+// --------------------------------------------------
+// The backend (backend/main.py) and this local fallback compute the same
+// response; fixtures/pipeline-analysis.json holds graphs with the expected
+// result for each, so both sides can be checked against one corpus.
+//
+//   {
+//     "num_nodes": 4,
+//     "num_edges": 3,
+//     "is_dag": true,
+//     "topological_order": ["1", "2", "3", "4"],  // Kahn's algorithm; nodes on or after a cycle are left out
+//     "cycles": [["5", "6"]],                     // node sets that form a cycle
+//     "sources": ["1"],                           // nodes without incoming edges
+//     "sinks": ["4"],                             // nodes without outgoing edges
+//     "connected_components": [["1", "2", "3", "4"]],  // ignoring edge direction
+//     "longest_path": 3,                          // edges on the longest path, null unless is_dag
+//     "node_type_counts": { "input": 1, "llm": 2, "output": 1 },
+//     "branches": [                               // one per connected port of a branching node
+//       { "node": "2", "port": "true", "nodes": ["3"] }   // nodes skipped unless that port fires
+//     ]
+//   }
+//
+// Every list follows the order the nodes were sent in: members by node
+// position, groups by their first member; branch ports in the order of their
+// first edge. Edges whose source or target is not a node only count towards
+// num_edges.
+
+import { topologicalSort, findCycles, getHandleName, getReachable } from './graph';
+
+// Node types that send their input out of just one of their output ports
+export const BRANCHING_NODE_TYPES = ['filter', 'ifElse', 'switch'];
+
+export const ANALYSIS_FIELDS = [
+  'num_nodes',
+  'num_edges',
+  'is_dag',
+  'topological_order',
+  'cycles',
+  'sources',
+  'sinks',
+  'connected_components',
+  'longest_path',
+  'node_type_counts',
+  'branches'
+];
+
+// Sorts members by node position and groups by their first member
+const inNodeOrder = (groups, position) =>
+  groups
+    .map((group) => [...group].sort((a, b) => position[a] - position[b]))
+    .sort((a, b) => position[a[0]] - position[b[0]]);
+
+const weaklyConnectedComponents = (nodes, edges) => {
+  const neighbours = Object.fromEntries(nodes.map((node) => [node.id, []]));
+  edges.forEach((edge) => {
+    neighbours[edge.source].push(edge.target);
+    neighbours[edge.target].push(edge.source);
+  });
+
+  const seen = new Set();
+  const components = [];
+  nodes.forEach((node) => {
+    if (seen.has(node.id)) {
+      return;
+    }
+    const component = [];
+    const stack = [node.id];
+    seen.add(node.id);
+    while (stack.length > 0) {
+      const current = stack.pop();
+      component.push(current);
+      neighbours[current].forEach((next) => {
+        if (!seen.has(next)) {
+          seen.add(next);
+          stack.push(next);
+        }
+      });
+    }
+    components.push(component);
+  });
+  return components;
+};
+
+// Edges on the longest path, following the topological order
+const longestPath = (order, edges) => {
+  const depth = Object.fromEntries(order.map((id) => [id, 0]));
+  order.forEach((id) => {
+    edges.forEach((edge) => {
+      if (edge.source === id) {
+        depth[edge.target] = Math.max(depth[edge.target], depth[id] + 1);
+      }
+    });
+  });
+  return Math.max(0, ...Object.values(depth));
+};
+
+// Nodes that only run when a branch takes a given port are those every path
+// from a source to them goes through that port, so anything a Merge also
+// receives from another branch is not listed
+const conditionalBranches = (nodes, edges, sources) =>
+  nodes
+    .filter((node) => BRANCHING_NODE_TYPES.includes(node.type))
+    .flatMap((node) => {
+      const portOf = (edge) => getHandleName(node.id, edge.sourceHandle, 'output');
+      const outgoing = edges.filter((edge) => edge.source === node.id);
+      const ports = [...new Set(outgoing.map(portOf))];
+
+      return ports.map((port) => {
+        const through = outgoing.filter((edge) => portOf(edge) === port);
+        const gated = getReachable(through.map((edge) => edge.target), edges);
+        const otherwise = getReachable(sources, edges.filter((edge) => !through.includes(edge)));
+        return {
+          node: node.id,
+          port,
+          nodes: nodes
+            .filter((other) => other.id !== node.id && gated.has(other.id) && !otherwise.has(other.id))
+            .map((other) => other.id)
+        };
+      });
+    });
+
+/**
+ * The full analysis response for a pipeline; see the model above.
+ */
+export const analyzePipeline = (nodes, edges) => {
+  const position = Object.fromEntries(nodes.map((node, index) => [node.id, index]));
+  const validEdges = edges.filter((edge) => position[edge.source] !== undefined && position[edge.target] !== undefined);
+  const { order, isDAG } = topologicalSort(nodes, validEdges);
+  const hasIncoming = new Set(validEdges.map((edge) => edge.target));
+  const hasOutgoing = new Set(validEdges.map((edge) => edge.source));
+  const sources = nodes.filter((node) => !hasIncoming.has(node.id)).map((node) => node.id);
+
+  return {
+    num_nodes: nodes.length,
+    num_edges: edges.length,
+    is_dag: isDAG,
+    topological_order: order,
+    cycles: inNodeOrder(findCycles(nodes, validEdges), position),
+    sources,
+    sinks: nodes.filter((node) => !hasOutgoing.has(node.id)).map((node) => node.id),
+    connected_components: inNodeOrder(weaklyConnectedComponents(nodes, validEdges), position),
+    longest_path: isDAG ? longestPath(order, validEdges) : null,
+    node_type_counts: nodes.reduce((counts, node) => ({ ...counts, [node.type]: (counts[node.type] || 0) + 1 }), {}),
+    branches: conditionalBranches(nodes, validEdges, sources)
+  };
+};
@@ -0,0 +1,10 @@
+// Contract test: the local analysis must match the shared fixtures, which
+// backend/test_analysis.py checks analyze_pipeline against as well
+import { analyzePipeline } from './analysis';
+import corpus from '../../fixtures/pipeline-analysis.json';
+
+describe('analyzePipeline', () => {
+  test.each(corpus.fixtures.map((fixture) => [fixture.name, fixture]))('%s', (name, fixture) => {
+    expect(analyzePipeline(fixture.nodes, fixture.edges)).toEqual(fixture.expected);
+  });
+});
@@ -0,0 +1,134 @@
+// apiClient.js
+// HTTP client for the pipeline backend
+// --------------------------------------------------
+// The base URL comes from the settings UI (saved in localStorage), then the
+// REACT_APP_API_BASE_URL environment variable, then http://localhost:8000.
+
+const BASE_URL_KEY = 'streamgraph:apiBaseUrl';
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 300;
+
+export const DEFAULT_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:8000';
+
+// The backend answered but rejected the request (4xx); retrying won't help
+export class ApiValidationError extends Error {
+  constructor(message, { status, details } = {}) {
+    super(message);
+    this.name = 'ApiValidationError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// The backend could not be reached, timed out or failed on its side (5xx)
+export class ApiNetworkError extends Error {
+  constructor(message, { status, cause } = {}) {
+    super(message);
+    this.name = 'ApiNetworkError';
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+const normalizeBaseUrl = (url) => url.trim().replace(/\/+$/, '');
+
+export const getApiBaseUrl = () => {
+  try {
+    return localStorage.getItem(BASE_URL_KEY) || DEFAULT_BASE_URL;
+  } catch (error) {
+    return DEFAULT_BASE_URL;
+  }
+};
+
+// Pass an empty value to go back to the default
+export const setApiBaseUrl = (url) => {
+  if (url && url.trim()) {
+    localStorage.setItem(BASE_URL_KEY, normalizeBaseUrl(url));
+  } else {
+    localStorage.removeItem(BASE_URL_KEY);
+  }
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// FastAPI reports validation problems as { detail: string | [{ loc, msg }] }
+const describeRejection = (status, body) => {
+  const detail = body?.detail;
+  if (Array.isArray(detail)) {
+    return detail.map((item) => `${(item.loc || []).join('.')}: ${item.msg}`);
+  }
+  return [typeof detail === 'string' ? detail : `Request rejected with status ${status}`];
+};
+
+const fetchWithTimeout = async (url, init, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    const message = error.name === 'AbortError'
+      ? `Request timed out after ${timeoutMs}ms`
+      : `Backend unreachable: ${error.message}`;
+    throw new ApiNetworkError(message, { cause: error });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Sends a JSON request to the backend.
+ * Network failures, timeouts, 429 and 5xx responses are retried with
+ * exponential backoff; other 4xx responses throw ApiValidationError at once.
+ */
+export const request = async (path, {
+  method = 'GET',
+  body,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS,
+  baseUrl = getApiBaseUrl()
+} = {}) => {
+  const url = `${normalizeBaseUrl(baseUrl)}${path}`;
+  const init = {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  };
+
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await sleep(backoffMs * 2 ** (attempt - 1));
+    }
+
+    try {
+      const response = await fetchWithTimeout(url, init, timeoutMs);
+      const payload = await response.json().catch(() => null);
+
+      if (response.ok) {
+        if (payload === null) {
+          throw new ApiNetworkError('Backend returned an invalid JSON response', { status: response.status });
+        }
+        return payload;
+      }
+      if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        const details = describeRejection(response.status, payload);
+        throw new ApiValidationError(details.join('\n'), { status: response.status, details });
+      }
+      lastError = new ApiNetworkError(`Backend error (status ${response.status})`, { status: response.status });
+    } catch (error) {
+      if (!(error instanceof ApiNetworkError)) {
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+};
+
+export const checkBackend = (baseUrl) => request('/', { baseUrl, retries: 0, timeoutMs: 3000 });
+
+export const requestPipelineAnalysis = (nodes, edges) =>
+  request('/pipelines/parse', { method: 'POST', body: { nodes, edges } });
@@ -0,0 +1,113 @@
+// API client: base URL setting, retries and how failures are reported
+import {
+  ApiNetworkError,
+  ApiValidationError,
+  DEFAULT_BASE_URL,
+  getApiBaseUrl,
+  request,
+  setApiBaseUrl
+} from './apiClient';
+
+const response = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => (body === undefined ? Promise.reject(new SyntaxError('Unexpected end of JSON input')) : Promise.resolve(body))
+});
+
+// Answers each call with the next response; errors are thrown like failed fetches
+const mockFetch = (...answers) => {
+  global.fetch = jest.fn(() => {
+    const answer = answers.shift();
+    return answer instanceof Error ? Promise.reject(answer) : Promise.resolve(answer);
+  });
+  return global.fetch;
+};
+
+const originalFetch = global.fetch;
+const send = (path, options) => request(path, { baseUrl: 'http://api.test', backoffMs: 0, ...options });
+
+afterEach(() => {
+  global.fetch = originalFetch;
+  localStorage.clear();
+});
+
+describe('base URL', () => {
+  test('is saved without trailing slashes and cleared by an empty value', () => {
+    setApiBaseUrl(' http://backend:9000// ');
+    expect(getApiBaseUrl()).toBe('http://backend:9000');
+    setApiBaseUrl('  ');
+    expect(getApiBaseUrl()).toBe(DEFAULT_BASE_URL);
+  });
+
+  test('is used when a request does not give one', async () => {
+    const fetch = mockFetch(response(200, {}));
+    setApiBaseUrl('http://backend:9000/');
+    await request('/pipelines/parse', { method: 'POST', body: { nodes: [] } });
+    expect(fetch).toHaveBeenCalledWith('http://backend:9000/pipelines/parse', expect.objectContaining({
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"nodes":[]}'
+    }));
+  });
+});
+
+describe('request', () => {
+  test('returns the parsed response', async () => {
+    mockFetch(response(200, { num_nodes: 2 }));
+    await expect(send('/')).resolves.toEqual({ num_nodes: 2 });
+  });
+
+  test.each([
+    ['server errors', response(503, {})],
+    ['rate limits', response(429, {})],
+    ['unreachable backends', new TypeError('Failed to fetch')],
+    ['invalid JSON', response(200)]
+  ])('retries %s', async (name, failure) => {
+    const fetch = mockFetch(failure, response(200, { ok: true }));
+    await expect(send('/')).resolves.toEqual({ ok: true });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up after the retries with the last failure', async () => {
+    const fetch = mockFetch(response(500, {}), new TypeError('Failed to fetch'), response(502, {}));
+    const error = await send('/', { retries: 2 }).catch((caught) => caught);
+    expect(error).toBeInstanceOf(ApiNetworkError);
+    expect(error.message).toBe('Backend error (status 502)');
+    expect(error.status).toBe(502);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('reports unreachable backends', async () => {
+    mockFetch(new TypeError('Failed to fetch'));
+    await expect(send('/', { retries: 0 })).rejects.toThrow('Backend unreachable: Failed to fetch');
+  });
+
+  test('reports timeouts', async () => {
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    const error = await send('/', { retries: 0, timeoutMs: 10 }).catch((caught) => caught);
+    expect(error).toBeInstanceOf(ApiNetworkError);
+    expect(error.message).toBe('Request timed out after 10ms');
+  });
+
+  test('does not retry rejected requests and lists the validation details', async () => {
+    const fetch = mockFetch(response(422, {
+      detail: [{ loc: ['body', 'nodes', 0, 'id'], msg: 'field required' }, { loc: ['body', 'edges'], msg: 'not a list' }]
+    }));
+    const error = await send('/pipelines/parse').catch((caught) => caught);
+    expect(error).toBeInstanceOf(ApiValidationError);
+    expect(error.status).toBe(422);
+    expect(error.details).toEqual(['body.nodes.0.id: field required', 'body.edges: not a list']);
+    expect(error.message).toBe('body.nodes.0.id: field required\nbody.edges: not a list');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([
+    [{ detail: 'Pipeline too large' }, 'Pipeline too large'],
+    [null, 'Request rejected with status 400']
+  ])('reports the rejection reason from %j', async (body, message) => {
+    mockFetch(response(400, body ?? undefined));
+    await expect(send('/')).rejects.toThrow(message);
+  });
+});
@@ -0,0 +1,53 @@
+// apiSettings.js
+// Settings form for the backend endpoint
+// --------------------------------------------------
+
+import { useState } from 'react';
+import { DEFAULT_BASE_URL, getApiBaseUrl, setApiBaseUrl, checkBackend } from './apiClient';
+
+export const ApiSettings = ({ onSaved }) => {
+  const [baseUrl, setBaseUrl] = useState(getApiBaseUrl);
+  const [status, setStatus] = useState(null);
+
+  const handleSave = () => {
+    setApiBaseUrl(baseUrl);
+    setBaseUrl(getApiBaseUrl());
+    setStatus({ ok: true, message: 'Saved' });
+    if (onSaved) {
+      onSaved();
+    }
+  };
+
+  const handleTest = async () => {
+    setStatus({ ok: true, message: 'Checking...' });
+    try {
+      await checkBackend(baseUrl);
+      setStatus({ ok: true, message: '✅ Backend is reachable' });
+    } catch (error) {
+      setStatus({ ok: false, message: `❌ ${error.message}` });
+    }
+  };
+
+  return (
+    <div className="api-settings">
+      <label className="api-settings-label">
+        Backend URL
+        <input
+          type="text"
+          value={baseUrl}
+          onChange={(e) => setBaseUrl(e.target.value)}
+          placeholder={DEFAULT_BASE_URL}
+        />
+      </label>
+      <div className="button-row">
+        <button onClick={handleTest} className="btn btn-gray">Test</button>
+        <button onClick={handleSave} className="btn btn-blue">Save</button>
+      </div>
+      {status && (
+        <div style={{ marginTop: '6px', fontSize: '11px', color: status.ok ? '#166534' : '#991b1b' }}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+};
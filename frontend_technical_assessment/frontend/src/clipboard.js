@@ -0,0 +1,115 @@
+// clipboard.js
+// Copy, paste and duplicate of node selections
+// --------------------------------------------------
+// Copied selections go to the system clipboard as plain-text JSON, so they can
+// be pasted into another tab or window running the app:
+//
+//   {
+//     "format": "streamgraph/selection",
+//     "version": 1,
+//     "nodes": [{ "id": "text-3", "type": "text", "position": { "x": 0, "y": 40 }, "data": { ... } }],
+//     "edges": [{ "id": "...", "source": "...", "sourceHandle": "<source id>-<port>",
+//                 "target": "...", "targetHandle": "<target id>-<port>" }]
+//   }
+//
+// Positions are relative to the top-left node of the selection and only edges
+// between copied nodes are included (other edge properties such as `animated`
+// are kept). Ids are replaced on paste with fresh ones from the store's
+// getNodeID, so they follow the same 'text-4' scheme as every other node.
+
+import { getHandleName } from './graph';
+
+export const CLIPBOARD_FORMAT = 'streamgraph/selection';
+export const CLIPBOARD_VERSION = 1;
+
+// Payload for the selected nodes and the edges between them, or null if nothing is selected
+export const copySelection = (nodes, edges) => {
+  const selected = nodes.filter((node) => node.selected);
+  if (selected.length === 0) {
+    return null;
+  }
+
+  const ids = new Set(selected.map((node) => node.id));
+  const origin = {
+    x: Math.min(...selected.map((node) => node.position.x)),
+    y: Math.min(...selected.map((node) => node.position.y))
+  };
+
+  return {
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    nodes: selected.map(({ id, type, position, data }) => ({
+      id,
+      type,
+      position: { x: position.x - origin.x, y: position.y - origin.y },
+      data
+    })),
+    edges: edges
+      .filter((edge) => ids.has(edge.source) && ids.has(edge.target))
+      .map(({ selected, ...edge }) => edge)
+  };
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Pasted text may come from anywhere, so every node must be one pasteSelection can place
+const isValidNode = (node) =>
+  isObject(node) &&
+  typeof node.id === 'string' && node.id !== '' &&
+  typeof node.type === 'string' && node.type !== '' &&
+  isObject(node.position) && Number.isFinite(node.position.x) && Number.isFinite(node.position.y) &&
+  (node.data === undefined || isObject(node.data));
+
+const isValidEdge = (edge) => isObject(edge) && typeof edge.source === 'string' && typeof edge.target === 'string';
+
+// The payload in clipboard text, or null when the text is something else
+export const parseClipboardPayload = (text) => {
+  try {
+    const payload = JSON.parse(text);
+    const valid = payload?.format === CLIPBOARD_FORMAT &&
+      payload.version === CLIPBOARD_VERSION &&
+      Array.isArray(payload.nodes) &&
+      Array.isArray(payload.edges) &&
+      payload.nodes.every(isValidNode) &&
+      payload.edges.every(isValidEdge);
+    return valid ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Turns a payload into new nodes and edges placed with their top-left
+ * corner at `position`. Every node gets a fresh id from `getNodeID(type)`
+ * (the store's), edges and handles are renamed to match, and the pasted
+ * nodes come out selected.
+ */
+export const pasteSelection = (payload, position, { getNodeID }) => {
+  const idMap = Object.fromEntries(payload.nodes.map((node) => [node.id, getNodeID(node.type)]));
+
+  const nodes = payload.nodes.map((node) => ({
+    id: idMap[node.id],
+    type: node.type,
+    position: { x: position.x + node.position.x, y: position.y + node.position.y },
+    data: node.data,
+    selected: true
+  }));
+
+  const edges = payload.edges
+    .filter((edge) => idMap[edge.source] && idMap[edge.target])
+    .map((edge) => {
+      const sourceHandle = `${idMap[edge.source]}-${getHandleName(edge.source, edge.sourceHandle, 'output')}`;
+      const targetHandle = `${idMap[edge.target]}-${getHandleName(edge.target, edge.targetHandle)}`;
+      // Unique because the node ids are, and two edges never join the same handles
+      return {
+        ...edge,
+        id: `e${sourceHandle}-${targetHandle}`,
+        source: idMap[edge.source],
+        sourceHandle,
+        target: idMap[edge.target],
+        targetHandle
+      };
+    });
+
+  return { nodes, edges };
+};
@@ -0,0 +1,101 @@
+// Copy and paste of selections: payload checks, id remapping and edges
+import { CLIPBOARD_FORMAT, CLIPBOARD_VERSION, copySelection, parseClipboardPayload, pasteSelection } from './clipboard';
+
+const node = (id, type, position, selected = true) => ({ id, type, position, data: { label: id }, selected });
+const edge = (source, target, sourcePort = 'output', targetPort = 'input') => ({
+  id: `e${source}-${target}`,
+  source,
+  sourceHandle: `${source}-${sourcePort}`,
+  target,
+  targetHandle: `${target}-${targetPort}`,
+  animated: true
+});
+
+// Counter per type, like the store's getNodeID
+const idGenerator = (start = {}) => {
+  const counters = { ...start };
+  return (type) => {
+    counters[type] = (counters[type] || 0) + 1;
+    return `${type}-${counters[type]}`;
+  };
+};
+
+describe('copySelection', () => {
+  test('keeps the selected nodes relative to their top-left corner and the edges between them', () => {
+    const nodes = [node('text-1', 'text', { x: 100, y: 50 }), node('llm-1', 'llm', { x: 300, y: 80 }), node('output-1', 'output', { x: 0, y: 0 }, false)];
+    const edges = [edge('text-1', 'llm-1', 'output', 'prompt'), edge('llm-1', 'output-1')];
+    const payload = copySelection(nodes, edges);
+
+    expect(payload.nodes.map((item) => [item.id, item.position])).toEqual([['text-1', { x: 0, y: 0 }], ['llm-1', { x: 200, y: 30 }]]);
+    expect(payload.edges.map((item) => item.id)).toEqual(['etext-1-llm-1']);
+    expect(copySelection([node('a', 'text', { x: 0, y: 0 }, false)], [])).toBeNull();
+  });
+});
+
+describe('parseClipboardPayload', () => {
+  const text = (changes) => JSON.stringify({
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    nodes: [{ id: 'text-1', type: 'text', position: { x: 0, y: 0 }, data: {} }],
+    edges: [],
+    ...changes
+  });
+
+  test('reads a payload written by copySelection', () => {
+    expect(parseClipboardPayload(text()).nodes).toHaveLength(1);
+  });
+
+  test.each([
+    ['plain text', 'hello'],
+    ['other JSON', '{"nodes": [], "edges": []}'],
+    ['another version', text({ version: CLIPBOARD_VERSION + 1 })],
+    ['a node without a position', text({ nodes: [{ id: 'a', type: 'text' }] })],
+    ['a node with a text position', text({ nodes: [{ id: 'a', type: 'text', position: { x: '1', y: 0 } }] })],
+    ['a node without a type', text({ nodes: [{ id: 'a', position: { x: 0, y: 0 } }] })],
+    ['a node without an id', text({ nodes: [{ type: 'text', position: { x: 0, y: 0 } }] })],
+    ['a node with invalid data', text({ nodes: [{ id: 'a', type: 'text', position: { x: 0, y: 0 }, data: 'x' }] })],
+    ['a null node', text({ nodes: [null] })],
+    ['an edge without a source', text({ edges: [{ target: 'text-1' }] })]
+  ])('ignores %s', (name, value) => {
+    expect(parseClipboardPayload(value)).toBeNull();
+  });
+});
+
+describe('pasteSelection', () => {
+  const payload = copySelection(
+    [node('text-1', 'text', { x: 10, y: 10 }), node('llm-1', 'llm', { x: 110, y: 60 })],
+    [edge('text-1', 'llm-1', 'output', 'prompt')]
+  );
+
+  test('gives every node a fresh id and renames the edges and handles to match', () => {
+    const { nodes, edges } = pasteSelection(payload, { x: 500, y: 500 }, { getNodeID: idGenerator({ text: 1, llm: 1 }) });
+
+    expect(nodes.map((item) => [item.id, item.type, item.position, item.selected])).toEqual([
+      ['text-2', 'text', { x: 500, y: 500 }, true],
+      ['llm-2', 'llm', { x: 600, y: 550 }, true]
+    ]);
+    expect(nodes[0].data).toEqual({ label: 'text-1' });
+    expect(edges).toEqual([{
+      id: 'etext-2-output-llm-2-prompt',
+      source: 'text-2',
+      sourceHandle: 'text-2-output',
+      target: 'llm-2',
+      targetHandle: 'llm-2-prompt',
+      animated: true
+    }]);
+  });
+
+  test('drops edges to nodes that are not part of the payload', () => {
+    const withOutside = { ...payload, edges: [...payload.edges, edge('llm-1', 'output-9'), edge('input-3', 'text-1')] };
+    const { edges } = pasteSelection(withOutside, { x: 0, y: 0 }, { getNodeID: idGenerator() });
+    expect(edges.map((item) => item.id)).toEqual(['etext-1-output-llm-1-prompt']);
+  });
+
+  test('pastes the same payload twice without clashing ids', () => {
+    const getNodeID = idGenerator();
+    const first = pasteSelection(payload, { x: 0, y: 0 }, { getNodeID });
+    const second = pasteSelection(payload, { x: 0, y: 0 }, { getNodeID });
+    const ids = [...first.nodes, ...second.nodes, ...first.edges, ...second.edges].map((item) => item.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
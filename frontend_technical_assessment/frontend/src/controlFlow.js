@@ -0,0 +1,56 @@
+// controlFlow.js
+// Ports and settings of the branching (If / Else, Switch) and Merge nodes
+// --------------------------------------------------
+// Branching nodes send their input out of exactly one output port (see
+// routeOutput in executor.js); everything fed only by the other ports is
+// skipped. A Merge node joins branches back together once they have all
+// run or been skipped.
+
+import { getExpressionError } from './expression';
+
+export const MAX_MERGE_INPUTS = 8;
+
+const shorten = (text, max = 24) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+// One case expression per non-empty line
+export const parseSwitchCases = (text) =>
+  (text || '').split('\n').map((line) => line.trim()).filter(Boolean);
+
+// Error message for the first invalid case, or null
+export const getSwitchCasesError = (text) => {
+  const cases = parseSwitchCases(text);
+  for (let index = 0; index < cases.length; index += 1) {
+    const error = getExpressionError(cases[index]);
+    if (error) {
+      return `Case ${index + 1}: ${error}`;
+    }
+  }
+  return null;
+};
+
+// case1..caseN in the order of the lines, then `default` when none match
+export const getSwitchPorts = (data) => ({
+  inputs: [{ name: 'input', type: 'any' }],
+  outputs: [
+    ...parseSwitchCases(data?.cases).map((expression, index) => ({
+      name: `case${index + 1}`,
+      type: 'any',
+      label: shorten(expression)
+    })),
+    { name: 'default', type: 'any', label: 'Default' }
+  ]
+});
+
+const mergeInputCount = (data) =>
+  Math.min(MAX_MERGE_INPUTS, Math.max(2, Number.isInteger(data?.inputCount) ? data.inputCount : 2));
+
+// 'all' collects every branch that delivered into a list; 'first' passes on
+// the first of them in port order
+export const getMergePorts = (data) => ({
+  inputs: Array.from({ length: mergeInputCount(data) }, (_, index) => ({
+    name: `branch${index + 1}`,
+    type: 'any',
+    label: `Branch ${index + 1}`
+  })),
+  outputs: [{ name: 'output', type: data?.mode === 'first' ? 'any' : 'list' }]
+});
@@ -0,0 +1,192 @@
+// debugPanel.js
+// Controls of a step-through debug session: breakpoints, stepping, and
+// inspecting or editing the value each node produced
+// --------------------------------------------------
+
+import { useEffect, useState } from 'react';
+import { getNodeLabel } from './nodeRegistry';
+import { SECRET_MASK } from './variables';
+
+const statusIcons = {
+  success: '✅',
+  skipped: '⏭️',
+  error: '❌'
+};
+
+const toEditable = (value) =>
+  (value === undefined ? '' : typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+// Edited text keeps the type of the original output where it parses as one
+const fromEditable = (text, original) => {
+  if (typeof original === 'string' || original === undefined) {
+    return text;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+// Outputs shown with a secret masked are read-only: applying the masked text
+// would put the mask in place of the secret for the rest of the run
+const ValueEditor = ({ nodeId, result, disabled, onApply }) => {
+  const [draft, setDraft] = useState(toEditable(result.output));
+  const masked = toEditable(result.output).includes(SECRET_MASK);
+
+  useEffect(() => {
+    setDraft(toEditable(result.output));
+  }, [nodeId, result.output]);
+
+  if (masked) {
+    return (
+      <>
+        <textarea className="debug-editor" value={toEditable(result.output)} rows={4} readOnly />
+        <div className="debug-note">Holds a secret value, so it can't be edited here</div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <textarea
+        className="debug-editor"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        rows={4}
+      />
+      <button
+        className="btn btn-gray debug-apply"
+        disabled={disabled || draft === toEditable(result.output)}
+        onClick={() => onApply(nodeId, fromEditable(draft, result.output))}
+        title="Use this value and re-run everything downstream on the next step"
+      >
+        Apply value
+      </button>
+    </>
+  );
+};
+
+export const DebugPanel = ({
+  session,
+  breakpoints,
+  onToggleBreakpoint,
+  onStep,
+  onContinue,
+  onRerunFrom,
+  onEditOutput,
+  onRestart,
+  onFocusNode,
+  onClose
+}) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const { order, nodesById, results, nextNodeId, pausedAt, runningNodeId, busy, outputs } = session;
+  const selected = selectedId && nodesById[selectedId];
+  const selectedResult = selectedId && results[selectedId];
+
+  const label = (nodeId) => getNodeLabel(nodesById[nodeId]);
+
+  let status = 'Ready — step or continue to start';
+  if (busy) {
+    status = runningNodeId ? `Running ${label(runningNodeId)}…` : 'Running…';
+  } else if (nextNodeId === null) {
+    status = '🏁 Finished';
+  } else if (pausedAt) {
+    status = `⏸️ Paused before ${label(pausedAt)}`;
+  } else if (Object.keys(results).length > 0) {
+    status = `Next: ${label(nextNodeId)}`;
+  }
+
+  const select = (nodeId) => {
+    setSelectedId(nodeId);
+    onFocusNode(nodeId);
+  };
+
+  return (
+    <div className="diagnostics debugger">
+      <div className="diagnostics-header">
+        <span className="diagnostics-title">Debugger</span>
+        <button onClick={onClose} className="diagnostics-close" title="Stop debugging">✕</button>
+      </div>
+
+      <div className="button-row debug-controls">
+        <button onClick={onContinue} disabled={busy || nextNodeId === null} className="btn btn-green" title="Run to the next breakpoint">
+          ▶️ Continue
+        </button>
+        <button onClick={onStep} disabled={busy || nextNodeId === null} className="btn btn-blue" title="Run only the next node">
+          ⏭️ Step
+        </button>
+        <button onClick={onRestart} disabled={busy} className="btn btn-gray" title="Start over from the current canvas">
+          🔄 Restart
+        </button>
+      </div>
+      <div className="diagnostics-summary">{status}</div>
+
+      <ol className="trace-steps">
+        {order.map((nodeId) => {
+          const result = results[nodeId];
+          return (
+            <li key={nodeId} className="debug-row">
+              <button
+                className={`debug-breakpoint${breakpoints.has(nodeId) ? ' debug-breakpoint-set' : ''}`}
+                onClick={() => onToggleBreakpoint(nodeId)}
+                title={breakpoints.has(nodeId) ? 'Remove breakpoint' : 'Pause before this node'}
+              >
+                ●
+              </button>
+              <button
+                className={`trace-step${nodeId === selectedId ? ' trace-step-selected' : ''}`}
+                onClick={() => select(nodeId)}
+              >
+                <span>{nodeId === runningNodeId ? '⏳' : result ? statusIcons[result.status] : nodeId === nextNodeId ? '👉' : '·'}</span>
+                <span className="trace-step-label">{label(nodeId)}</span>
+                {result?.edited && <span className="trace-duration">edited</span>}
+              </button>
+              {result && (
+                <button
+                  className="debug-rerun"
+                  disabled={busy}
+                  onClick={() => onRerunFrom(nodeId)}
+                  title="Re-run from this node, reusing the results before it"
+                >
+                  ↻
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {selected && (
+        <div className="trace-details">
+          <div className="trace-details-title">{label(selectedId)}</div>
+          {!selectedResult && <div className="trace-empty">Not run yet</div>}
+          {selectedResult && Object.entries(selectedResult.inputs || {}).map(([handle, value]) => (
+            <div key={handle} className="trace-value">
+              <span className="trace-handle">{handle}</span>
+              <pre>{toEditable(value)}</pre>
+            </div>
+          ))}
+          {selectedResult?.status === 'error' && <pre className="trace-error">{selectedResult.error}</pre>}
+          {selectedResult && (
+            <>
+              <div className="diagnostics-subtitle">Output</div>
+              <ValueEditor nodeId={selectedId} result={selectedResult} disabled={busy} onApply={onEditOutput} />
+            </>
+          )}
+        </div>
+      )}
+
+      {outputs && Object.keys(outputs).length > 0 && (
+        <div className="diagnostics-outputs">
+          <div className="diagnostics-subtitle">Outputs</div>
+          {Object.entries(outputs).map(([name, value]) => (
+            <div key={name}>
+              <strong>{name}:</strong> {toEditable(value)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
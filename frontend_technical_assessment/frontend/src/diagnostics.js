@@ -0,0 +1,170 @@
+// diagnostics.js
+// Structural checks reported in the diagnostics panel
+// --------------------------------------------------
+
+import { findCycles, getReachable, getHandleName } from './graph';
+import { analyzeTemplate } from './template';
+import { validateNodes } from './validation';
+import { flattenPipeline } from './subgraph';
+import { isMapNode } from './mapNode';
+import { applyVariables, findVariableReferences } from './variables';
+
+/**
+ * Returns a list of issues of the shape
+ *   { id, severity: 'error' | 'warning', message, nodeIds, edgeIds }
+ *
+ * `getNodeConfig(type)` returns the node config (for field validation) and
+ * `getNodeLabel(node)` a short human readable name used in messages.
+ * `variableValues` maps pipeline variable names to their values in the
+ * selected environment (see resolveVariables); fields are validated with
+ * them filled in.
+ */
+export const diagnosePipeline = (nodes, edges, { getNodeConfig, getNodeLabel, variableValues = {} }) => {
+  const issues = [];
+  const nodesById = Object.fromEntries(nodes.map((node) => [node.id, node]));
+  const label = (nodeId) => getNodeLabel(nodesById[nodeId]);
+
+  // Cycles, with the exact members of each one
+  findCycles(nodes, edges).forEach((members, index) => {
+    const memberSet = new Set(members);
+    issues.push({
+      id: `cycle-${index}`,
+      severity: 'error',
+      message: `Cycle: ${[...members, members[0]].map(label).join(' → ')}`,
+      nodeIds: members,
+      edgeIds: edges
+        .filter((edge) => memberSet.has(edge.source) && memberSet.has(edge.target))
+        .map((edge) => edge.id)
+    });
+  });
+
+  // Nodes without any connection
+  if (nodes.length > 1) {
+    const connected = new Set(edges.flatMap((edge) => [edge.source, edge.target]));
+    nodes
+      .filter((node) => !connected.has(node.id))
+      .forEach((node) => {
+        issues.push({
+          id: `orphan-${node.id}`,
+          severity: 'warning',
+          message: `${label(node.id)} is not connected to anything`,
+          nodeIds: [node.id]
+        });
+      });
+  }
+
+  // Inputs that never reach an output, and outputs that no input reaches
+  const inputIds = nodes.filter((node) => node.type === 'input').map((node) => node.id);
+  const outputIds = nodes.filter((node) => node.type === 'output').map((node) => node.id);
+
+  inputIds.forEach((nodeId) => {
+    const downstream = getReachable([nodeId], edges, 'forward');
+    if (!outputIds.some((outputId) => downstream.has(outputId))) {
+      issues.push({
+        id: `dead-input-${nodeId}`,
+        severity: 'warning',
+        message: `${label(nodeId)} does not lead to any output`,
+        nodeIds: [nodeId]
+      });
+    }
+  });
+
+  outputIds.forEach((nodeId) => {
+    const upstream = getReachable([nodeId], edges, 'backward');
+    if (!inputIds.some((inputId) => upstream.has(inputId))) {
+      issues.push({
+        id: `dry-output-${nodeId}`,
+        severity: 'warning',
+        message: `${label(nodeId)} does not receive data from any input`,
+        nodeIds: [nodeId]
+      });
+    }
+  });
+
+  // Text node template errors and variables without an incoming connection
+  nodes
+    .filter((node) => node.type === 'text')
+    .forEach((node) => {
+      const { variables, error } = analyzeTemplate(node.data?.text ?? '');
+      if (error) {
+        issues.push({
+          id: `template-${node.id}`,
+          severity: 'error',
+          message: `${label(node.id)}: ${error.message}`,
+          nodeIds: [node.id]
+        });
+      }
+
+      const wired = new Set(
+        edges
+          .filter((edge) => edge.target === node.id)
+          .map((edge) => getHandleName(node.id, edge.targetHandle))
+      );
+      variables
+        .filter((varName) => !wired.has(varName))
+        .forEach((varName) => {
+          issues.push({
+            id: `unwired-${node.id}-${varName}`,
+            severity: 'warning',
+            message: `${label(node.id)}: variable {{${varName}}} is not connected`,
+            nodeIds: [node.id]
+          });
+        });
+    });
+
+  // {{$env.NAME}} references to variables that are missing or have no value.
+  // A Map node's own pipeline is checked below with the rest of its problems.
+  nodes.forEach((node) => {
+    findVariableReferences(node, { nested: !isMapNode(node) }).forEach((name) => {
+      if (!Object.prototype.hasOwnProperty.call(variableValues, name)) {
+        issues.push({
+          id: `undefined-variable-${node.id}-${name}`,
+          severity: 'error',
+          message: `${label(node.id)}: variable {{$env.${name}}} is not defined`,
+          nodeIds: [node.id]
+        });
+      } else if (variableValues[name] === '') {
+        issues.push({
+          id: `empty-variable-${node.id}-${name}`,
+          severity: 'warning',
+          message: `${label(node.id)}: variable {{$env.${name}}} has no value in this environment`,
+          nodeIds: [node.id]
+        });
+      }
+    });
+  });
+
+  // Fields failing their validation rules (required, pattern, ranges...)
+  validateNodes(applyVariables(nodes, variableValues), getNodeConfig).forEach(({ nodeId, field, message }) => {
+    issues.push({
+      id: `invalid-${nodeId}-${field}`,
+      severity: 'error',
+      message: `${label(nodeId)}: ${message}`,
+      nodeIds: [nodeId]
+    });
+  });
+
+  // Problems inside the pipeline a Map node runs for each item
+  nodes.filter(isMapNode).forEach((node) => {
+    const body = flattenPipeline(node.data?.graph?.nodes || [], node.data?.graph?.edges || []);
+    if (!body.nodes.some((inner) => inner.type === 'output')) {
+      issues.push({
+        id: `map-output-${node.id}`,
+        severity: 'error',
+        message: `${label(node.id)}: its pipeline needs an Output node for the item results`,
+        nodeIds: [node.id]
+      });
+    }
+    diagnosePipeline(body.nodes, body.edges, { getNodeConfig, getNodeLabel, variableValues }).forEach((issue) => {
+      issues.push({
+        ...issue,
+        id: `${node.id}/${issue.id}`,
+        message: `${label(node.id)} › ${issue.message}`,
+        nodeIds: [node.id],
+        edgeIds: undefined
+      });
+    });
+  });
+
+  return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+};
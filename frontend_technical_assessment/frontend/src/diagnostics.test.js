@@ -0,0 +1,84 @@
+// Diagnostics panel checks: cycles, unconnected nodes, dead inputs and outputs,
+// templates, variables, field rules and the pipelines inside Map nodes
+import { diagnosePipeline } from './diagnostics';
+
+const node = (id, type, data = {}) => ({ id, type, position: { x: 0, y: 0 }, data });
+const edge = (source, target, targetPort = 'input') => ({
+  id: `e${source}-${target}`,
+  source,
+  sourceHandle: `${source}-output`,
+  target,
+  targetHandle: `${target}-${targetPort}`
+});
+
+const configs = { api: { fields: [{ name: 'url', label: 'URL', required: true }] } };
+const diagnose = (nodes, edges, variableValues) =>
+  diagnosePipeline(nodes, edges, { getNodeConfig: (type) => configs[type], getNodeLabel: (item) => item.id, variableValues });
+const summary = (issues) => issues.map((issue) => [issue.id, issue.severity, issue.message]);
+
+describe('diagnosePipeline', () => {
+  test('finds nothing wrong with a connected pipeline', () => {
+    expect(diagnose([node('in', 'input'), node('out', 'output')], [edge('in', 'out')])).toEqual([]);
+  });
+
+  test('reports each cycle with its nodes and edges', () => {
+    const nodes = [node('in', 'input'), node('a', 'step'), node('b', 'step'), node('out', 'output')];
+    const edges = [edge('in', 'a'), edge('a', 'b'), edge('b', 'a'), edge('b', 'out')];
+    const [cycle] = diagnose(nodes, edges);
+
+    expect(cycle).toMatchObject({ id: 'cycle-0', severity: 'error', message: 'Cycle: a → b → a' });
+    expect(cycle.nodeIds.sort()).toEqual(['a', 'b']);
+    expect(cycle.edgeIds.sort()).toEqual(['ea-b', 'eb-a']);
+  });
+
+  test('warns about unconnected nodes, dead inputs and outputs without data', () => {
+    const nodes = [node('in', 'input'), node('step', 'step'), node('out', 'output'), node('alone', 'step')];
+    expect(summary(diagnose(nodes, [edge('in', 'step')]))).toEqual([
+      ['orphan-out', 'warning', 'out is not connected to anything'],
+      ['orphan-alone', 'warning', 'alone is not connected to anything'],
+      ['dead-input-in', 'warning', 'in does not lead to any output'],
+      ['dry-output-out', 'warning', 'out does not receive data from any input']
+    ]);
+  });
+
+  test('does not call a single node unconnected', () => {
+    expect(diagnose([node('step', 'step')], [])).toEqual([]);
+  });
+
+  test('reports template errors and unwired Text variables', () => {
+    const nodes = [node('in', 'input'), node('t', 'text', { text: '{{name}} {{city}}' }), node('bad', 'text', { text: '{{#if x}}' })];
+    const issues = diagnose(nodes, [edge('in', 't', 'name')]).filter((issue) => issue.nodeIds[0] !== 'in');
+
+    expect(summary(issues)).toEqual([
+      ['template-bad', 'error', expect.stringMatching(/^bad: /)],
+      ['orphan-bad', 'warning', 'bad is not connected to anything'],
+      ['unwired-t-city', 'warning', 't: variable {{city}} is not connected'],
+      ['unwired-bad-x', 'warning', 'bad: variable {{x}} is not connected']
+    ]);
+  });
+
+  test('reports undefined and empty variables, and validates fields with them filled in', () => {
+    const nodes = [node('a', 'api', { url: '{{$env.URL}}' }), node('b', 'api', { url: '{{$env.MISSING}}' })];
+    const issues = diagnose(nodes, [edge('a', 'b')], { URL: '' });
+
+    expect(summary(issues)).toEqual([
+      ['undefined-variable-b-MISSING', 'error', 'b: variable {{$env.MISSING}} is not defined'],
+      ['invalid-a-url', 'error', 'a: URL is required'],
+      ['empty-variable-a-URL', 'warning', 'a: variable {{$env.URL}} has no value in this environment']
+    ]);
+  });
+
+  test('reports problems inside a Map pipeline on the Map node', () => {
+    const map = node('map', 'map', {
+      graph: { nodes: [node('item', 'input'), node('call', 'api')], edges: [edge('item', 'call')] }
+    });
+    const issues = diagnose([node('in', 'input'), map, node('out', 'output')], [edge('in', 'map', 'list'), edge('map', 'out')]);
+
+    expect(summary(issues)).toEqual([
+      ['map-output-map', 'error', 'map: its pipeline needs an Output node for the item results'],
+      ['map/invalid-call-url', 'error', 'map › call: URL is required'],
+      ['map/dead-input-item', 'warning', 'map › item does not lead to any output']
+    ]);
+    expect(issues.every((issue) => issue.nodeIds[0] === 'map' && issue.edgeIds === undefined)).toBe(true);
+  });
+});
@@ -0,0 +1,148 @@
+// diagnosticsPanel.js
+// Pipeline analysis results and issues, shown after submitting
+// --------------------------------------------------
+
+const severityIcons = {
+  error: '❌',
+  warning: '⚠️'
+};
+
+// Clickable node names; `ids` are flattened node ids from the analysis
+const NodeList = ({ ids, separator = ', ', describeNode, onFocusNode }) => (
+  <span className="analysis-nodes">
+    {ids.length === 0 && <span className="analysis-none">none</span>}
+    {ids.map((id, index) => (
+      <span key={id}>
+        {index > 0 && separator}
+        <button className="analysis-node" onClick={() => onFocusNode(id)} title="Show on canvas">
+          {describeNode(id)}
+        </button>
+      </span>
+    ))}
+  </span>
+);
+
+const AnalysisDetails = ({ analysis, describeNode, onFocusNode }) => {
+  const listProps = { describeNode, onFocusNode };
+  const components = analysis.connected_components || [];
+
+  return (
+    <div className="analysis">
+      {analysis.topological_order && (
+        <div className="analysis-row">
+          <span className="analysis-label">Execution order</span>
+          <NodeList ids={analysis.topological_order} separator=" → " {...listProps} />
+        </div>
+      )}
+      {(analysis.cycles || []).map((members, index) => (
+        <div key={members.join()} className="analysis-row diagnostics-error">
+          <span className="analysis-label">Cycle {index + 1}</span>
+          <NodeList ids={members} {...listProps} />
+        </div>
+      ))}
+      {analysis.sources && (
+        <div className="analysis-row">
+          <span className="analysis-label">Sources</span>
+          <NodeList ids={analysis.sources} {...listProps} />
+        </div>
+      )}
+      {analysis.sinks && (
+        <div className="analysis-row">
+          <span className="analysis-label">Sinks</span>
+          <NodeList ids={analysis.sinks} {...listProps} />
+        </div>
+      )}
+      {components.length > 1 && components.map((members, index) => (
+        <div key={members.join()} className="analysis-row">
+          <span className="analysis-label">Component {index + 1}</span>
+          <NodeList ids={members} {...listProps} />
+        </div>
+      ))}
+      {(analysis.branches || []).map((branch) => (
+        <div key={`${branch.node}-${branch.port}`} className="analysis-row" title="Nodes that only run when the branch takes this port">
+          <span className="analysis-label">Branch</span>
+          <span>
+            <NodeList ids={[branch.node]} {...listProps} /> ▸ {branch.port}: <NodeList ids={branch.nodes} {...listProps} />
+          </span>
+        </div>
+      ))}
+      {analysis.node_type_counts && (
+        <div className="analysis-row">
+          <span className="analysis-label">Node types</span>
+          <span>
+            {Object.entries(analysis.node_type_counts).map(([type, count]) => `${type} ×${count}`).join(', ')}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const DiagnosticsPanel = ({ analysis, outputs, issues, describeNode, onFocusNode, onFocusAnalysisNode, onClose }) => {
+  const errorCount = issues.filter((issue) => issue.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+  const outputEntries = Object.entries(outputs || {});
+
+  return (
+    <div className="diagnostics">
+      <div className="diagnostics-header">
+        <span className="diagnostics-title">Pipeline Diagnostics</span>
+        <button onClick={onClose} className="diagnostics-close" title="Close">✕</button>
+      </div>
+
+      {!analysis && (
+        <div className="diagnostics-summary diagnostics-error">
+          Pipeline was not submitted — fix the errors below and submit again.
+        </div>
+      )}
+
+      {analysis && (
+        <div className="diagnostics-summary">
+          <span>Nodes: <strong>{analysis.num_nodes}</strong></span>
+          <span>Edges: <strong>{analysis.num_edges}</strong></span>
+          <span>Valid DAG: <strong>{analysis.is_dag ? '✅ Yes' : '❌ No'}</strong></span>
+          {analysis.longest_path !== undefined && analysis.longest_path !== null && (
+            <span>Longest path: <strong>{analysis.longest_path}</strong></span>
+          )}
+          {analysis.connected_components && (
+            <span>Components: <strong>{analysis.connected_components.length}</strong></span>
+          )}
+          <span>{errorCount} errors, {warningCount} warnings</span>
+        </div>
+      )}
+
+      {analysis && (
+        <AnalysisDetails analysis={analysis} describeNode={describeNode} onFocusNode={onFocusAnalysisNode} />
+      )}
+
+      {issues.length === 0 ? (
+        <div className="diagnostics-empty">✅ No problems found — your pipeline is valid!</div>
+      ) : (
+        <ul className="diagnostics-list">
+          {issues.map((issue) => (
+            <li key={issue.id}>
+              <button
+                className={`diagnostics-issue diagnostics-${issue.severity}`}
+                onClick={() => onFocusNode(issue.nodeIds[0])}
+                title="Show on canvas"
+              >
+                {severityIcons[issue.severity]} {issue.message}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {outputEntries.length > 0 && (
+        <div className="diagnostics-outputs">
+          <div className="diagnostics-subtitle">Outputs</div>
+          {outputEntries.map(([name, value]) => (
+            <div key={name}>
+              <strong>{name}:</strong> {typeof value === 'string' ? value : JSON.stringify(value)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
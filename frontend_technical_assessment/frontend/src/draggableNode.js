@@ -1,33 +1,31 @@
 // draggableNode.js
+// Palette entry: drag it onto the canvas, or click to add it
 
-export const DraggableNode = ({ type, label }) => {
+// dataTransfer type read by the canvas' drop handler
+export const DRAG_DATA_TYPE = 'application/reactflow';
+
+export const DraggableNode = ({ type, label, icon, description, className = 'btn-gray', onClick }) => {
     const onDragStart = (event, nodeType) => {
       const appData = { nodeType }
       event.target.style.cursor = 'grabbing';
-      event.dataTransfer.setData('application/reactflow', JSON.stringify(appData));
+      event.dataTransfer.setData(DRAG_DATA_TYPE, JSON.stringify(appData));
       event.dataTransfer.effectAllowed = 'move';
     };
   
     return (
-      <div
-        className={type}
+      <button
+        className="palette-item"
+        onClick={() => onClick?.(type)}
         onDragStart={(event) => onDragStart(event, type)}
         onDragEnd={(event) => (event.target.style.cursor = 'grab')}
-        style={{ 
-          cursor: 'grab', 
-          minWidth: '80px', 
-          height: '60px',
-          display: 'flex', 
-          alignItems: 'center', 
-          borderRadius: '8px',
-          backgroundColor: '#1C2536',
-          justifyContent: 'center', 
-          flexDirection: 'column'
-        }} 
+        title="Drag onto the canvas or click to add"
         draggable
       >
-          <span style={{ color: '#fff' }}>{label}</span>
-      </div>
+          <span className={`palette-item-icon ${className}`}>{icon || '📦'}</span>
+          <span className="palette-item-text">
+            <span className="palette-item-label">{label}</span>
+            {description && <span className="palette-item-description">{description}</span>}
+          </span>
+      </button>
     );
   };
-  
\ No newline at end of file
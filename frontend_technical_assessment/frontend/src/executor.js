@@ -0,0 +1,338 @@
+// executor.js
+// Runs a pipeline locally, node by node, in topological order
+// --------------------------------------------------
+
+import { topologicalSort, getHandleName, getReachable } from './graph';
+import { getLLMProvider } from './llmProviders';
+import { getNodeType } from './nodeRegistry';
+import { renderTemplate } from './template';
+import { flattenPipeline, collectSubgraphResults } from './subgraph';
+import { hasPortValue, getPortValue } from './ports';
+import { evaluateExpression, isTruthy } from './expression';
+import { parseSwitchCases, getMergePorts } from './controlFlow';
+import { getMapConcurrency, mapWithConcurrency, toItems, withItem } from './mapNode';
+
+const toText = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const joinValues = (values) => values.map(toText).join('\n');
+
+const transforms = {
+  uppercase: (value) => toText(value).toUpperCase(),
+  lowercase: (value) => toText(value).toLowerCase(),
+  trim: (value) => toText(value).trim()
+};
+
+// A single incoming value is passed on as is (lists and objects included);
+// several are joined as text
+const passThrough = (inputs, value) => (Object.keys(inputs).length === 1 ? Object.values(inputs)[0] : value);
+
+// Names a condition can use: every input handle, plus `value` (as passed
+// through) and its text `length`
+const expressionScope = (inputs, value) => {
+  const single = passThrough(inputs, value);
+  return { ...inputs, value: single, length: toText(single).length };
+};
+
+/**
+ * Whether a Filter / If / Else / Switch condition holds for the incoming
+ * values; see expression.js for the syntax. An empty condition always holds.
+ */
+export const evaluateCondition = (condition, inputs, value) => {
+  if (!condition || !condition.trim()) {
+    return true;
+  }
+  return isTruthy(evaluateExpression(condition, expressionScope(inputs, value)));
+};
+
+const ROUTED = Symbol('routed');
+
+/**
+ * Handlers return this to send values out of some output ports only, e.g.
+ * routeOutput({ reject: value }). Edges from the other ports deliver nothing.
+ * `details` are stored on the node's result as they are.
+ */
+export const routeOutput = (ports, details) => ({ [ROUTED]: true, ports, details });
+
+// Output of one Map item: its Output node's value, or all of them by name
+const itemOutput = (outputs) => {
+  const values = Object.values(outputs);
+  return values.length === 1 ? values[0] : outputs;
+};
+
+// Runs the Map node's pipeline for every incoming item; see mapNode.js
+const runMap = async ({ node, inputs, value, options }) => {
+  const { nodes = [], edges = [] } = node.data?.graph || {};
+  if (!nodes.some((inner) => inner.type === 'output')) {
+    throw new Error('The Map pipeline needs an Output node for the item results');
+  }
+  // Fails once here, rather than once per item
+  createPipelineRun(nodes, edges);
+
+  const items = toItems(inputs.list ?? value);
+  const details = { items: items.length, done: 0, failed: 0 };
+  const runs = await mapWithConcurrency(items, getMapConcurrency(node.data), async (item) => {
+    let run;
+    try {
+      const result = await executePipeline(withItem(nodes, item), edges, {
+        llmProvider: options.llmProvider,
+        variables: options.variables
+      });
+      const failed = Object.values(result.results).find((inner) => inner.status === 'error');
+      run = failed ? { error: failed.error } : { outputs: result.outputs };
+    } catch (error) {
+      run = { error: error.message };
+    }
+    details.done += 1;
+    details.failed += run.error ? 1 : 0;
+    if (options.onNodeProgress) {
+      options.onNodeProgress(node.id, { ...details });
+    }
+    return run;
+  });
+
+  if (items.length > 0 && details.failed === items.length) {
+    throw new Error(`All ${items.length} items failed, e.g.: ${runs[0].error}`);
+  }
+  return routeOutput(
+    {
+      results: runs.filter((run) => run.outputs && Object.keys(run.outputs).length > 0).map((run) => itemOutput(run.outputs)),
+      errors: runs.flatMap((run, index) => (run.error ? [{ index, item: items[index], error: run.error }] : []))
+    },
+    details
+  );
+};
+
+// Each handler receives the node, the values keyed by input handle name,
+// all incoming values joined into a single `value`, and the run options
+const nodeHandlers = {
+  input: ({ node }) => (node.data?.file?.encoding === 'text' ? node.data.file.content : node.data?.value ?? ''),
+  text: ({ node, inputs, value, options }) => {
+    const text = node.data?.text || '';
+    return /\{\{/.test(text) ? renderTemplate(text, { ...inputs, $env: options.variables || {} }) : text || value;
+  },
+  transform: ({ node, value }) => {
+    const transform = transforms[node.data?.operation];
+    return transform ? transform(value) : value;
+  },
+  filter: ({ node, inputs, value }) => {
+    const port = evaluateCondition(node.data?.condition, inputs, value) ? 'pass' : 'reject';
+    return routeOutput({ [port]: passThrough(inputs, value) });
+  },
+  ifElse: ({ node, inputs, value }) => {
+    const port = evaluateCondition(node.data?.condition, inputs, value) ? 'true' : 'false';
+    return routeOutput({ [port]: passThrough(inputs, value) });
+  },
+  switch: ({ node, inputs, value }) => {
+    const index = parseSwitchCases(node.data?.cases).findIndex((condition) => evaluateCondition(condition, inputs, value));
+    return routeOutput({ [index === -1 ? 'default' : `case${index + 1}`]: passThrough(inputs, value) });
+  },
+  // Runs once every branch has run or been skipped; skipped ones are left out
+  merge: ({ node, inputs }) => {
+    const values = getMergePorts(node.data).inputs.filter((port) => port.name in inputs).map((port) => inputs[port.name]);
+    return node.data?.mode === 'first' ? values[0] : values;
+  },
+  map: runMap,
+  llm: async ({ node, inputs, value, options }) => {
+    const provider = getLLMProvider(options.llmProvider);
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${options.llmProvider}`);
+    }
+    return provider.complete({
+      model: node.data?.model,
+      temperature: node.data?.temperature,
+      maxTokens: node.data?.maxTokens,
+      prompt: inputs.prompt !== undefined ? toText(inputs.prompt) : value,
+      system: inputs.system !== undefined ? toText(inputs.system) : undefined,
+      nodeId: node.id
+    });
+  },
+  output: ({ inputs, value }) => passThrough(inputs, value)
+};
+
+/**
+ * Prepares a local run that can be advanced node by node, in the topological
+ * order `isDAG` is based on. Subgraph nodes are flattened first, so results
+ * of inner nodes are keyed by their flattened ids ('group1/3').
+ *
+ * Options are those of executePipeline. The returned run has:
+ *   order, nodesById, results   - flattened node ids, nodes and results so far
+ *   nextNodeId()                - node that runs next, or null when finished
+ *   step()                      - runs the next node, resolving to its id
+ *   runUntil(breakpoints)       - runs until the next node is in `breakpoints`
+ *                                 (a Set), resolving to that id, or null once
+ *                                 finished; the node it paused at runs on the
+ *                                 following call
+ *   setOutput(nodeId, output)   - replaces a node's output (on the same port,
+ *                                 if it routed it) and clears the results of
+ *                                 everything downstream of it
+ *   rerunFrom(nodeId)           - clears the node and everything downstream,
+ *                                 keeping the cached upstream results
+ *   finish()                    - { order, results, outputs } as executePipeline
+ *                                 resolves to
+ */
+export const createPipelineRun = (pipelineNodes, pipelineEdges, options = {}) => {
+  const { nodes, edges } = flattenPipeline(pipelineNodes, pipelineEdges);
+  const { order, isDAG } = topologicalSort(nodes, edges);
+  if (!isDAG) {
+    throw new Error('Pipeline contains a cycle and cannot be executed');
+  }
+
+  const nodesById = Object.fromEntries(nodes.map(node => [node.id, node]));
+  const results = {};
+  const runStart = Date.now();
+  let pausedAt = null;
+
+  const runNode = async (nodeId) => {
+    const node = nodesById[nodeId];
+    const startedAt = Date.now() - runStart;
+    if (options.onNodeStart) {
+      options.onNodeStart(nodeId);
+    }
+
+    const incoming = edges.filter(edge => edge.target === nodeId && results[edge.source]);
+    const delivered = incoming.filter(edge => hasPortValue(results[edge.source], getHandleName(edge.source, edge.sourceHandle, 'output')));
+    const deliveredValue = (edge) => getPortValue(results[edge.source], getHandleName(edge.source, edge.sourceHandle, 'output'));
+
+    let result;
+    let inputs = {};
+    if (incoming.length > 0 && delivered.length === 0) {
+      result = { status: 'skipped' };
+    } else {
+      const grouped = {};
+      delivered.forEach(edge => {
+        const handle = getHandleName(nodeId, edge.targetHandle);
+        grouped[handle] = [...(grouped[handle] || []), deliveredValue(edge)];
+      });
+      inputs = Object.fromEntries(
+        Object.entries(grouped).map(([handle, values]) => [handle, values.length === 1 ? values[0] : joinValues(values)])
+      );
+      const value = joinValues(delivered.map(deliveredValue));
+
+      // Node types registered with their own execute() take precedence
+      const handler = getNodeType(node.type)?.execute || nodeHandlers[node.type] || (() => value);
+      try {
+        const output = await handler({ node, inputs, value, options });
+        result = output?.[ROUTED]
+          ? { status: 'success', output: Object.values(output.ports)[0], ports: output.ports, details: output.details }
+          : { status: 'success', output };
+      } catch (error) {
+        result = { status: 'error', error: error.message };
+      }
+    }
+
+    result = { ...result, inputs, startedAt, durationMs: Date.now() - runStart - startedAt };
+    results[nodeId] = result;
+    if (options.onNodeResult) {
+      options.onNodeResult(nodeId, result);
+    }
+  };
+
+  // Subgraph summaries added by finish() go as well, as they may now be stale
+  const clear = (nodeIds) => {
+    [...nodeIds, ...Object.keys(results).filter(nodeId => !nodesById[nodeId])].forEach(nodeId => {
+      delete results[nodeId];
+    });
+  };
+
+  const nextNodeId = () => order.find(nodeId => !results[nodeId]) ?? null;
+
+  return {
+    order,
+    nodesById,
+    results,
+    nextNodeId,
+
+    step: async () => {
+      const nodeId = nextNodeId();
+      if (nodeId !== null) {
+        pausedAt = null;
+        await runNode(nodeId);
+      }
+      return nodeId;
+    },
+
+    runUntil: async (breakpoints = new Set()) => {
+      let nodeId = nextNodeId();
+      while (nodeId !== null) {
+        if (breakpoints.has(nodeId) && nodeId !== pausedAt) {
+          pausedAt = nodeId;
+          return nodeId;
+        }
+        pausedAt = null;
+        await runNode(nodeId);
+        nodeId = nextNodeId();
+      }
+      return null;
+    },
+
+    setOutput: (nodeId, output) => {
+      const { ports } = results[nodeId] || {};
+      results[nodeId] = {
+        ...results[nodeId],
+        status: 'success',
+        output,
+        ports: ports && { ...ports, [Object.keys(ports)[0]]: output },
+        error: undefined,
+        edited: true
+      };
+      clear([...getReachable([nodeId], edges)].filter(id => id !== nodeId));
+    },
+
+    rerunFrom: (nodeId) => {
+      clear(getReachable([nodeId], edges));
+      pausedAt = nodeId;
+    },
+
+    finish: () => {
+      const outputs = {};
+      order.forEach(nodeId => {
+        const node = nodesById[nodeId];
+        if (node.type === 'output' && results[nodeId]?.status === 'success') {
+          outputs[node.data?.outputName || nodeId] = results[nodeId].output;
+        }
+      });
+
+      Object.entries(collectSubgraphResults(pipelineNodes, results)).forEach(([nodeId, result]) => {
+        results[nodeId] = result;
+        if (options.onNodeResult) {
+          options.onNodeResult(nodeId, result);
+        }
+      });
+
+      return { order, results: { ...results }, outputs };
+    }
+  };
+};
+
+/**
+ * Executes the whole pipeline locally; see createPipelineRun to run it
+ * step by step instead. Each subgraph node gets a summary result of its own.
+ *
+ * Options:
+ *   llmProvider    - name of the registered LLM provider (defaults to the active one)
+ *   variables      - pipeline variable values { NAME: value }, used as $env by
+ *                    Text templates
+ *   onNodeStart    - called with (nodeId) just before each node runs
+ *   onNodeProgress - called with (nodeId, details) while a node runs, e.g.
+ *                    after each item of a Map node
+ *   onNodeResult   - called with (nodeId, result) as soon as each node finishes
+ *
+ * Resolves to { order, results, outputs } where results maps node ids to
+ * { status: 'success' | 'skipped' | 'error', output, ports, details, error,
+ *   inputs, startedAt, durationMs } and outputs maps output node names to
+ * their final values. `ports` and `details` are only set by nodes that route
+ * their output (see routeOutput), e.g. Map's item counts { items, done,
+ * failed }. `inputs` holds the values received per input handle and
+ * `startedAt` is in ms since the run began; subgraph summary results have
+ * neither.
+ */
+export const executePipeline = async (pipelineNodes, pipelineEdges, options = {}) => {
+  const run = createPipelineRun(pipelineNodes, pipelineEdges, options);
+  await run.runUntil();
+  return run.finish();
+};
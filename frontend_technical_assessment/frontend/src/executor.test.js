@@ -0,0 +1,197 @@
+// Local execution: ordering, routing and skipping, step-by-step runs and
+// node types with their own execute()
+import { createPipelineRun, executePipeline } from './executor';
+import { registerNodeType, unregisterNodeType } from './nodeRegistry';
+
+const node = (id, type, data = {}) => ({ id, type, position: { x: 0, y: 0 }, data });
+const edge = (source, target, sourcePort = 'output', targetPort = 'input') => ({
+  id: `e${source}-${target}`,
+  source,
+  sourceHandle: `${source}-${sourcePort}`,
+  target,
+  targetHandle: `${target}-${targetPort}`
+});
+
+const statuses = (results) =>
+  Object.fromEntries(Object.entries(results).map(([nodeId, result]) => [nodeId, result.status]));
+
+describe('executePipeline', () => {
+  test('runs a linear pipeline in order', async () => {
+    const nodes = [
+      node('out', 'output', { outputName: 'shout' }),
+      node('upper', 'transform', { operation: 'uppercase' }),
+      node('in', 'input', { value: ' hello ' })
+    ];
+    const edges = [edge('in', 'upper'), edge('upper', 'out')];
+
+    const run = await executePipeline(nodes, edges);
+    expect(run.order).toEqual(['in', 'upper', 'out']);
+    expect(run.outputs).toEqual({ shout: ' HELLO ' });
+    expect(run.results.upper).toMatchObject({ status: 'success', output: ' HELLO ', inputs: { input: ' hello ' } });
+  });
+
+  test('orders every node after all of its sources', async () => {
+    const nodes = ['d', 'c', 'b', 'a'].map((id) => node(id, 'text', { text: id }));
+    const edges = [edge('a', 'b'), edge('a', 'c'), edge('b', 'd'), edge('c', 'd')];
+
+    const { order } = await executePipeline(nodes, edges);
+    expect(order[0]).toBe('a');
+    expect(order[3]).toBe('d');
+  });
+
+  test('renders Text templates with the values of their inputs', async () => {
+    const nodes = [
+      node('name', 'input', { value: 'Ada' }),
+      node('greet', 'text', { text: 'Hi {{name | upper}}' }),
+      node('out', 'output', { outputName: 'greeting' })
+    ];
+    const edges = [edge('name', 'greet', 'output', 'name'), edge('greet', 'out')];
+
+    expect((await executePipeline(nodes, edges)).outputs).toEqual({ greeting: 'Hi ADA' });
+  });
+
+  test('sends a value down one branch and skips the other', async () => {
+    const nodes = [
+      node('in', 'input', { value: 'a long enough value' }),
+      node('check', 'ifElse', { condition: 'length > 5' }),
+      node('upper', 'transform', { operation: 'uppercase' }),
+      node('short', 'output', { outputName: 'short' }),
+      node('long', 'output', { outputName: 'long' }),
+      node('merge', 'merge', { mode: 'first' }),
+      node('out', 'output', { outputName: 'either' })
+    ];
+    const edges = [
+      edge('in', 'check'),
+      edge('check', 'upper', 'true'),
+      edge('upper', 'long'),
+      edge('check', 'short', 'false'),
+      edge('upper', 'merge', 'output', 'branch1'),
+      edge('check', 'merge', 'false', 'branch2'),
+      edge('merge', 'out')
+    ];
+
+    const run = await executePipeline(nodes, edges);
+    expect(statuses(run.results)).toEqual({
+      in: 'success',
+      check: 'success',
+      upper: 'success',
+      short: 'skipped',
+      long: 'success',
+      merge: 'success',
+      out: 'success'
+    });
+    expect(run.results.check.ports).toEqual({ true: 'a long enough value' });
+    expect(run.outputs).toEqual({ long: 'A LONG ENOUGH VALUE', either: 'A LONG ENOUGH VALUE' });
+  });
+
+  test('routes a Switch to the first matching case', async () => {
+    const nodes = [
+      node('in', 'input', { value: '7' }),
+      node('switch', 'switch', { cases: 'value > 10\nvalue > 5' }),
+      node('big', 'output', { outputName: 'big' }),
+      node('medium', 'output', { outputName: 'medium' }),
+      node('small', 'output', { outputName: 'small' })
+    ];
+    const edges = [
+      edge('in', 'switch'),
+      edge('switch', 'big', 'case1'),
+      edge('switch', 'medium', 'case2'),
+      edge('switch', 'small', 'default')
+    ];
+
+    const run = await executePipeline(nodes, edges);
+    expect(run.outputs).toEqual({ medium: '7' });
+    expect(statuses(run.results)).toMatchObject({ big: 'skipped', small: 'skipped' });
+  });
+
+  test('records a failing node as an error and skips what depends on it', async () => {
+    const nodes = [
+      node('in', 'input', { value: 'x' }),
+      node('check', 'filter', { condition: 'missing > 1' }),
+      node('out', 'output')
+    ];
+    const edges = [edge('in', 'check'), edge('check', 'out', 'pass')];
+
+    const run = await executePipeline(nodes, edges);
+    expect(run.results.check).toMatchObject({ status: 'error', error: expect.stringMatching(/Unknown name "missing"/) });
+    expect(run.results.out.status).toBe('skipped');
+    expect(run.outputs).toEqual({});
+  });
+
+  test('rejects a pipeline with a cycle', async () => {
+    const nodes = [node('a', 'text'), node('b', 'text'), node('c', 'output')];
+    const edges = [edge('a', 'b'), edge('b', 'a'), edge('b', 'c')];
+
+    await expect(executePipeline(nodes, edges)).rejects.toThrow('Pipeline contains a cycle and cannot be executed');
+  });
+
+  test('uses the execute() of a registered node type over the built-in handler', async () => {
+    registerNodeType({
+      type: 'transform',
+      label: 'Transform',
+      execute: ({ node: { data }, value }) => `${data.operation}(${value})`
+    });
+    const nodes = [node('in', 'input', { value: 'x' }), node('t', 'transform', { operation: 'uppercase' })];
+
+    try {
+      const run = await executePipeline(nodes, [edge('in', 't')]);
+      expect(run.results.t.output).toBe('uppercase(x)');
+    } finally {
+      unregisterNodeType('transform');
+    }
+  });
+});
+
+describe('createPipelineRun', () => {
+  const nodes = [
+    node('in', 'input', { value: 'abc' }),
+    node('upper', 'transform', { operation: 'uppercase' }),
+    node('out', 'output', { outputName: 'result' })
+  ];
+  const edges = [edge('in', 'upper'), edge('upper', 'out')];
+
+  test('runs one node per step', async () => {
+    const run = createPipelineRun(nodes, edges);
+    expect(run.nextNodeId()).toBe('in');
+    expect(await run.step()).toBe('in');
+    expect(Object.keys(run.results)).toEqual(['in']);
+    expect(run.nextNodeId()).toBe('upper');
+    await run.step();
+    await run.step();
+    expect(await run.step()).toBeNull();
+    expect(run.finish().outputs).toEqual({ result: 'ABC' });
+  });
+
+  test('pauses at breakpoints and runs the paused node on the next call', async () => {
+    const run = createPipelineRun(nodes, edges);
+    expect(await run.runUntil(new Set(['upper']))).toBe('upper');
+    expect(run.results.upper).toBeUndefined();
+    expect(await run.runUntil(new Set(['upper']))).toBeNull();
+    expect(run.finish().outputs).toEqual({ result: 'ABC' });
+  });
+
+  test('re-runs downstream of an edited output', async () => {
+    const run = createPipelineRun(nodes, edges);
+    await run.runUntil();
+    run.setOutput('in', 'xyz');
+    expect(run.results.in).toMatchObject({ output: 'xyz', edited: true });
+    expect(run.results.upper).toBeUndefined();
+    expect(run.nextNodeId()).toBe('upper');
+    await run.runUntil();
+    expect(run.finish().outputs).toEqual({ result: 'XYZ' });
+  });
+
+  test('rerunFrom keeps the upstream results and pauses at the node', async () => {
+    const onNodeStart = jest.fn();
+    const run = createPipelineRun(nodes, edges, { onNodeStart });
+    await run.runUntil();
+    const inResult = run.results.in;
+    onNodeStart.mockClear();
+
+    run.rerunFrom('upper');
+    expect(run.results.in).toBe(inResult);
+    expect(run.results.upper).toBeUndefined();
+    expect(await run.runUntil(new Set(['upper']))).toBeNull();
+    expect(onNodeStart.mock.calls).toEqual([['upper'], ['out']]);
+  });
+});
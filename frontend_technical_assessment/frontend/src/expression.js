@@ -0,0 +1,351 @@
+// expression.js
+// Expression language for conditions (Filter, If / Else and Switch nodes)
+// --------------------------------------------------
+// value > 10 && length <= 280
+// value.score >= 0.5 || not isEmpty(value.tags)
+// lower(value) contains "error"
+// status == "done" and count != 0          input handles are names too
+//
+// Operators, loosest first: || or, && and, ! not, comparisons
+// (== != < <= > >= contains startsWith endsWith), + -, * / %, unary -.
+// Numbers compare numerically with numeric text ("5" > 3). Built-in
+// functions: len, lower, upper, trim, number, isEmpty.
+//
+// Expressions are parsed into a small tree and interpreted, never passed to
+// eval(); names can only read the given scope and own properties of values.
+
+export class ExpressionError extends Error {
+  constructor(message, index) {
+    super(index === undefined ? message : `${message} (at position ${index + 1})`);
+    this.name = 'ExpressionError';
+    this.index = index;
+  }
+}
+
+const toText = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const functions = {
+  len: (value) => (Array.isArray(value) ? value.length : toText(value).length),
+  lower: (value) => toText(value).toLowerCase(),
+  upper: (value) => toText(value).toUpperCase(),
+  trim: (value) => toText(value).trim(),
+  number: (value) => Number(value),
+  isEmpty: (value) =>
+    value === undefined || value === null || toText(value).trim() === '' || (Array.isArray(value) && value.length === 0)
+};
+
+export const EXPRESSION_FUNCTIONS = Object.keys(functions);
+
+const WORD_OPERATORS = new Map([['and', '&&'], ['or', '||'], ['not', '!']]);
+const COMPARISONS = ['==', '!=', '<=', '>=', '<', '>', 'contains', 'startsWith', 'endsWith'];
+const SYMBOLS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', '[', ']', '.', ','];
+
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const rest = source.slice(index);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      index += space[0].length;
+      continue;
+    }
+
+    const number = rest.match(/^\d+(\.\d+)?/);
+    const word = rest.match(/^[A-Za-z_$][A-Za-z0-9_$]*/);
+    const symbol = SYMBOLS.find((candidate) => rest.startsWith(candidate));
+
+    if (number) {
+      tokens.push({ kind: 'literal', value: Number(number[0]), index });
+      index += number[0].length;
+    } else if (rest[0] === '"' || rest[0] === "'") {
+      const quote = rest[0];
+      let value = '';
+      let end = 1;
+      while (end < rest.length && rest[end] !== quote) {
+        value += rest[end] === '\\' && end + 1 < rest.length ? rest[++end] : rest[end];
+        end += 1;
+      }
+      if (end >= rest.length) {
+        throw new ExpressionError('Unterminated string', index);
+      }
+      tokens.push({ kind: 'literal', value, index });
+      index += end + 1;
+    } else if (word) {
+      const text = word[0];
+      if (text === 'true' || text === 'false') {
+        tokens.push({ kind: 'literal', value: text === 'true', index });
+      } else if (text === 'null') {
+        tokens.push({ kind: 'literal', value: null, index });
+      } else if (WORD_OPERATORS.has(text) || COMPARISONS.includes(text)) {
+        tokens.push({ kind: 'operator', value: WORD_OPERATORS.get(text) || text, index });
+      } else {
+        tokens.push({ kind: 'name', value: text, index });
+      }
+      index += text.length;
+    } else if (symbol) {
+      tokens.push({ kind: 'operator', value: symbol, index });
+      index += symbol.length;
+    } else {
+      throw new ExpressionError(`Unexpected character "${rest[0]}"`, index);
+    }
+  }
+
+  return tokens;
+};
+
+// Recursive descent parser, one function per precedence level
+const parseTokens = (tokens, source) => {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (...values) => peek()?.kind === 'operator' && values.includes(peek().value);
+  const fail = (message) => {
+    throw new ExpressionError(message, peek() ? peek().index : source.length);
+  };
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      fail(peek() ? `Expected "${value}"` : `Expected "${value}" before the end`);
+    }
+    position += 1;
+  };
+
+  const binaryLevel = (operators, next) => () => {
+    let left = next();
+    while (isOperator(...operators)) {
+      const operator = tokens[position++].value;
+      left = { type: 'binary', operator, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = peek();
+    if (!token) {
+      return fail('Unexpected end of expression');
+    }
+    if (token.kind === 'literal') {
+      position += 1;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.kind === 'name') {
+      position += 1;
+      if (isOperator('(')) {
+        if (!Object.prototype.hasOwnProperty.call(functions, token.value)) {
+          throw new ExpressionError(`Unknown function "${token.value}"`, token.index);
+        }
+        position += 1;
+        const args = [];
+        while (!isOperator(')')) {
+          args.push(or());
+          if (!isOperator(')')) {
+            expect(',');
+          }
+        }
+        position += 1;
+        return { type: 'call', name: token.value, args };
+      }
+      return { type: 'name', name: token.value, index: token.index };
+    }
+    if (isOperator('(')) {
+      position += 1;
+      const inner = or();
+      expect(')');
+      return inner;
+    }
+    return fail(`Unexpected "${token.value}"`);
+  };
+
+  const member = () => {
+    let target = primary();
+    while (isOperator('.', '[')) {
+      if (tokens[position++].value === '.') {
+        const name = peek();
+        if (name?.kind !== 'name') {
+          fail('Expected a property name after "."');
+        }
+        position += 1;
+        target = { type: 'member', target, property: { type: 'literal', value: name.value } };
+      } else {
+        const property = or();
+        expect(']');
+        target = { type: 'member', target, property };
+      }
+    }
+    return target;
+  };
+
+  const unary = () => {
+    if (isOperator('!', '-')) {
+      const operator = tokens[position++].value;
+      return { type: 'unary', operator, operand: unary() };
+    }
+    return member();
+  };
+
+  const product = binaryLevel(['*', '/', '%'], unary);
+  const sum = binaryLevel(['+', '-'], product);
+  const comparison = () => {
+    const left = sum();
+    if (isOperator(...COMPARISONS)) {
+      const operator = tokens[position++].value;
+      return { type: 'binary', operator, left, right: sum() };
+    }
+    return left;
+  };
+  const and = binaryLevel(['&&'], comparison);
+  const or = binaryLevel(['||'], and);
+
+  const tree = or();
+  if (peek()) {
+    fail(`Unexpected "${peek().value}"`);
+  }
+  return tree;
+};
+
+// Recently parsed expressions, least recently used first. Conditions are
+// evaluated once per value at run time, but every keystroke in a condition
+// field parses a new one, so only the last few are kept.
+const CACHE_SIZE = 100;
+const cache = new Map();
+
+/**
+ * Parses an expression into its tree; throws an ExpressionError describing
+ * the first problem when the syntax is invalid.
+ */
+export const parseExpression = (source) => {
+  if (cache.has(source)) {
+    const tree = cache.get(source);
+    cache.delete(source);
+    cache.set(source, tree);
+    return tree;
+  }
+  if (!source || !source.trim()) {
+    throw new ExpressionError('Expression is empty');
+  }
+  const tree = parseTokens(tokenize(source), source);
+  cache.set(source, tree);
+  if (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  return tree;
+};
+
+// Returns the syntax error message for an expression, or null if it parses
+export const getExpressionError = (source) => {
+  try {
+    parseExpression(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const isNumeric = (value) => typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value));
+
+// Numeric text is compared as a number when the other side is a number
+const coerce = (left, right) => {
+  if (typeof left === 'number' && isNumeric(right)) {
+    return [left, Number(right)];
+  }
+  if (typeof right === 'number' && isNumeric(left)) {
+    return [Number(left), right];
+  }
+  return [left, right];
+};
+
+const binaryOperators = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  contains: (a, b) => (Array.isArray(a) ? a.includes(b) : toText(a).includes(toText(b))),
+  startsWith: (a, b) => toText(a).startsWith(toText(b)),
+  endsWith: (a, b) => toText(a).endsWith(toText(b)),
+  '+': (a, b) => (typeof a === 'number' && typeof b === 'number' ? a + b : toText(a) + toText(b)),
+  '-': (a, b) => Number(a) - Number(b),
+  '*': (a, b) => Number(a) * Number(b),
+  '/': (a, b) => Number(a) / Number(b),
+  '%': (a, b) => Number(a) % Number(b)
+};
+
+// Only own data is readable: no prototype chain, no methods
+const readProperty = (target, property) => {
+  if (typeof target === 'string') {
+    return property === 'length' ? target.length : undefined;
+  }
+  if (target !== null && typeof target === 'object' && Object.prototype.hasOwnProperty.call(target, property)) {
+    return target[property];
+  }
+  return undefined;
+};
+
+// JSON text is parsed on demand so `value.score` works on LLM or Input output
+const asObject = (value) => {
+  if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+};
+
+// Empty text and lists count as false, as do "false" and "0" coming in as text
+export const isTruthy = (value) => {
+  if (typeof value === 'string') {
+    return !['', 'false', '0'].includes(value.trim().toLowerCase());
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return Boolean(value);
+};
+
+const evaluateNode = (node, scope) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'name':
+      if (!Object.prototype.hasOwnProperty.call(scope, node.name)) {
+        throw new ExpressionError(`Unknown name "${node.name}" (put text in quotes)`, node.index);
+      }
+      return scope[node.name];
+    case 'member':
+      return readProperty(asObject(evaluateNode(node.target, scope)), toText(evaluateNode(node.property, scope)));
+    case 'call':
+      return functions[node.name](...node.args.map((arg) => evaluateNode(arg, scope)));
+    case 'unary': {
+      const operand = evaluateNode(node.operand, scope);
+      return node.operator === '!' ? !isTruthy(operand) : -Number(operand);
+    }
+    case 'binary': {
+      // && and || short-circuit like their JavaScript counterparts
+      if (node.operator === '&&') {
+        return isTruthy(evaluateNode(node.left, scope)) && isTruthy(evaluateNode(node.right, scope));
+      }
+      if (node.operator === '||') {
+        return isTruthy(evaluateNode(node.left, scope)) || isTruthy(evaluateNode(node.right, scope));
+      }
+      const [left, right] = coerce(evaluateNode(node.left, scope), evaluateNode(node.right, scope));
+      return binaryOperators[node.operator](left, right);
+    }
+    default:
+      throw new ExpressionError(`Unknown expression node "${node.type}"`);
+  }
+};
+
+/**
+ * Evaluates an expression against `scope`, an object of the names it may
+ * use. Throws an ExpressionError for invalid syntax or unknown names.
+ */
+export const evaluateExpression = (source, scope = {}) => evaluateNode(parseExpression(source), scope);
@@ -0,0 +1,128 @@
+// Condition expressions: operators and precedence, coercion, safe member
+// access, error positions and the parse cache
+import { ExpressionError, evaluateExpression, getExpressionError, isTruthy, parseExpression } from './expression';
+
+const evaluate = (source, scope = {}) => evaluateExpression(source, scope);
+
+describe('evaluateExpression', () => {
+  test.each([
+    ['1 + 2 * 3', 7],
+    ['(1 + 2) * 3', 9],
+    ['10 - 4 - 3', 3],
+    ['7 % 4 + 1', 4],
+    ['-2 * 3', -6],
+    ['1 + 2 > 2', true],
+    ['true || false && false', true],
+    ['(true || false) && false', false],
+    ['!false && true', true],
+    ['"a" + "b" == "ab"', true]
+  ])('%s', (source, expected) => {
+    expect(evaluate(source)).toBe(expected);
+  });
+
+  test('accepts and, or and not for &&, || and !', () => {
+    expect(evaluate('a and not b', { a: true, b: false })).toBe(true);
+    expect(evaluate('a or b and false', { a: true, b: true })).toBe(true);
+    expect(evaluate('not (a or b)', { a: false, b: '0' })).toBe(true);
+  });
+
+  test('compares numeric text as numbers', () => {
+    expect(evaluate('value > 3', { value: '5' })).toBe(true);
+    expect(evaluate('value > 30', { value: '5' })).toBe(false);
+    expect(evaluate('value == 5', { value: '5' })).toBe(true);
+    expect(evaluate('value == 5', { value: 'five' })).toBe(false);
+    expect(evaluate('value != ""', { value: '' })).toBe(false);
+  });
+
+  test('supports the text operators and functions', () => {
+    const scope = { value: 'Error: disk full', tags: ['a', 'b'] };
+    expect(evaluate('lower(value) contains "error"', scope)).toBe(true);
+    expect(evaluate('value startsWith "Error" and value endsWith "full"', scope)).toBe(true);
+    expect(evaluate('tags contains "b"', scope)).toBe(true);
+    expect(evaluate('len(tags) + len("abc")', scope)).toBe(5);
+    expect(evaluate('isEmpty(missing) or isEmpty(tags)', { missing: null, tags: [] })).toBe(true);
+    expect(evaluate('number(" 4 ") * 2')).toBe(8);
+  });
+
+  test('reads members of objects and of JSON text', () => {
+    const scope = { value: '{"score": 0.7, "tags": ["x"]}', user: { name: 'Ada' } };
+    expect(evaluate('value.score >= 0.5 && value.tags[0] == "x"', scope)).toBe(true);
+    expect(evaluate('user["name"] + "!"', scope)).toBe('Ada!');
+    expect(evaluate('user.name.length', scope)).toBe(3);
+  });
+
+  test('never reads inherited properties', () => {
+    const scope = { user: { name: 'Ada' }, value: 'text' };
+    expect(evaluate('user.constructor', scope)).toBeUndefined();
+    expect(evaluate('user.__proto__', scope)).toBeUndefined();
+    expect(evaluate('user["toString"]', scope)).toBeUndefined();
+    expect(evaluate('value.toUpperCase', scope)).toBeUndefined();
+    expect(evaluate('user.hasOwnProperty', scope)).toBeUndefined();
+    expect(() => evaluate('constructor', {})).toThrow('Unknown name "constructor"');
+  });
+
+  test('rejects unknown names and functions', () => {
+    expect(() => evaluate('status == done', { status: 'done' })).toThrow('Unknown name "done" (put text in quotes) (at position 11)');
+    expect(() => evaluate('eval("1")')).toThrow('Unknown function "eval" (at position 1)');
+    expect(() => evaluate('toString()')).toThrow('Unknown function "toString"');
+  });
+});
+
+describe('parse errors', () => {
+  test.each([
+    ['', 'Expression is empty'],
+    ['value >', 'Unexpected end of expression (at position 8)'],
+    ['(1 + 2', 'Expected ")" before the end (at position 7)'],
+    ['1 + + 2 )', 'Unexpected "+" (at position 5)'],
+    ['1 2', 'Unexpected "2" (at position 3)'],
+    ['"open', 'Unterminated string (at position 1)'],
+    ['value # 2', 'Unexpected character "#" (at position 7)'],
+    ['value.', 'Expected a property name after "." (at position 7)']
+  ])('%j: %s', (source, message) => {
+    expect(getExpressionError(source)).toBe(message);
+  });
+
+  test('carry the position of the problem', () => {
+    let error;
+    try {
+      parseExpression('a && ) b');
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ExpressionError);
+    expect(error.index).toBe(5);
+  });
+});
+
+describe('isTruthy', () => {
+  test.each([
+    ['', false],
+    [' false ', false],
+    ['0', false],
+    ['no', true],
+    [[], false],
+    [[0], true],
+    [0, false],
+    [null, false],
+    [{}, true]
+  ])('%j is %s', (value, expected) => {
+    expect(isTruthy(value)).toBe(expected);
+  });
+});
+
+describe('parse cache', () => {
+  test('reuses recent trees and forgets the least recently used one past its bound', () => {
+    const first = parseExpression('flag == true');
+    const kept = parseExpression('flag != true');
+    expect(parseExpression('flag == true')).toBe(first);
+
+    for (let index = 0; index < 99; index += 1) {
+      parseExpression(`flag == ${index}`);
+      // Used on every round, so it stays among the most recent
+      parseExpression('flag != true');
+    }
+    expect(parseExpression('flag != true')).toBe(kept);
+    expect(parseExpression('flag == true')).not.toBe(first);
+    expect(parseExpression('flag == true')).toEqual(first);
+  });
+});
@@ -0,0 +1,78 @@
+// fuzzySearch.js
+// Fuzzy matching of node types for the palette and quick-add menu
+// --------------------------------------------------
+
+import { getNodeCategory } from './nodeRegistry';
+
+const WORD_BOUNDARY = /[\s\-_.{]/;
+
+/**
+ * Scores `query` as an in-order subsequence of `text` (case-insensitive),
+ * e.g. 'lgm' matches 'Large Language Model'. Consecutive characters and
+ * matches at the start of a word score higher. Returns null when some
+ * character of the query can't be found.
+ */
+export const fuzzyScore = (query, text = '') => {
+  const needle = query.toLowerCase();
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) {
+      return null;
+    }
+    score += 1;
+    if (index === previous + 1) {
+      score += 2;
+    }
+    if (index === 0 || WORD_BOUNDARY.test(haystack[index - 1])) {
+      score += 3;
+    }
+    previous = index;
+    from = index + 1;
+  }
+  // Among equal matches, prefer the shorter text
+  return score - haystack.length * 0.01;
+};
+
+// Label matches count double so 'out' ranks Output above 'Data output node'
+const scoreConfig = (term, config) => {
+  const scores = [
+    [config.label, 2],
+    [config.type, 1],
+    [config.description, 1],
+    [getNodeCategory(config), 1]
+  ]
+    .map(([text, weight]) => {
+      const score = fuzzyScore(term, text);
+      return score === null ? null : score * weight;
+    })
+    .filter((score) => score !== null);
+  return scores.length > 0 ? Math.max(...scores) : null;
+};
+
+/**
+ * Node configs matching every whitespace-separated term of `query` in their
+ * label, type, description or category, best match first.
+ * An empty query returns the configs unchanged.
+ */
+export const searchNodeTypes = (configs, query) => {
+  const terms = query.trim().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) {
+    return configs;
+  }
+
+  return configs
+    .map((config) => {
+      const scores = terms.map((term) => scoreConfig(term, config));
+      return scores.includes(null)
+        ? null
+        : { config, score: scores.reduce((sum, score) => sum + score, 0) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .map(({ config }) => config);
+};
@@ -0,0 +1,52 @@
+// Fuzzy matching and ranking of node types in the palette and quick-add menu
+import { fuzzyScore, searchNodeTypes } from './fuzzySearch';
+
+const config = (type, label, category, description) => ({ type, label, category, description });
+
+const configs = [
+  config('llm', 'Large Language Model', 'AI', 'Calls a chat model'),
+  config('output', 'Output', 'Outputs', 'Pipeline result'),
+  config('dataOut', 'Data output node', 'Other', ''),
+  config('input', 'Input', 'Inputs', 'Pipeline value'),
+  config('filter', 'Filter', 'Logic', 'Passes or rejects values')
+];
+const search = (query) => searchNodeTypes(configs, query).map((item) => item.type);
+
+describe('fuzzyScore', () => {
+  test('matches the query as an in-order subsequence, ignoring case', () => {
+    expect(fuzzyScore('lgm', 'Large Language Model')).toBeCloseTo(8.8);
+    expect(fuzzyScore('LLM', 'large language model')).not.toBeNull();
+    expect(fuzzyScore('mgl', 'Large Language Model')).toBeNull();
+    expect(fuzzyScore('x', undefined)).toBeNull();
+  });
+
+  test('prefers consecutive characters and word starts', () => {
+    expect(fuzzyScore('out', 'Output')).toBeGreaterThan(fuzzyScore('out', 'Go utility'));
+    expect(fuzzyScore('mo', 'Language Model')).toBeGreaterThan(fuzzyScore('mo', 'Lemon'));
+  });
+
+  test('prefers the shorter text between equal matches', () => {
+    expect(fuzzyScore('in', 'Input')).toBeGreaterThan(fuzzyScore('in', 'Input values'));
+  });
+});
+
+describe('searchNodeTypes', () => {
+  test('returns the configs unchanged for an empty query', () => {
+    expect(searchNodeTypes(configs, '  ')).toBe(configs);
+  });
+
+  test('ranks label matches above matches in other text', () => {
+    expect(search('out')).toEqual(['output', 'dataOut']);
+  });
+
+  test('searches the type, description and category too', () => {
+    expect(search('llm')).toEqual(['llm']);
+    expect(search('rejects')).toEqual(['filter']);
+    expect(search('logic')).toEqual(['filter']);
+  });
+
+  test('needs every term to match', () => {
+    expect(search('pipeline res')).toEqual(['output']);
+    expect(search('input zzz')).toEqual([]);
+  });
+});
@@ -0,0 +1,161 @@
+// graph.js
+// Graph helpers shared by the DAG check, the executor and the editor
+
+// Name of the handle an edge points to, e.g. '2-name' on node '2' -> 'name'.
+// Edges without a handle id connect to the node's default port.
+export const getHandleName = (nodeId, handleId, fallback = 'input') => {
+  if (!handleId) {
+    return fallback;
+  }
+  const prefix = `${nodeId}-`;
+  return handleId.startsWith(prefix) ? handleId.slice(prefix.length) : handleId;
+};
+
+// Kahn's algorithm: returns the topological order of the nodes and
+// whether every node could be ordered (i.e. the graph is a DAG)
+export const topologicalSort = (nodes, edges) => {
+  const adjList = {};
+  const inDegree = {};
+
+  // Initialize
+  nodes.forEach(node => {
+    adjList[node.id] = [];
+    inDegree[node.id] = 0;
+  });
+
+  // Build adjacency list, ignoring edges to nodes that no longer exist
+  edges.forEach(edge => {
+    if (!adjList[edge.source] || inDegree[edge.target] === undefined) {
+      return;
+    }
+    adjList[edge.source].push(edge.target);
+    inDegree[edge.target]++;
+  });
+
+  const queue = nodes.filter(node => inDegree[node.id] === 0).map(n => n.id);
+  const order = [];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    order.push(current);
+
+    adjList[current].forEach(neighbor => {
+      inDegree[neighbor]--;
+      if (inDegree[neighbor] === 0) {
+        queue.push(neighbor);
+      }
+    });
+  }
+
+  return {
+    order,
+    isDAG: order.length === nodes.length
+  };
+};
+
+export const isDAG = (nodes, edges) => topologicalSort(nodes, edges).isDAG;
+
+// True if adding source -> target would close a cycle, i.e. target already reaches source
+export const wouldCreateCycle = (edges, source, target) => {
+  const visited = new Set();
+  const stack = [target];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === source) {
+      return true;
+    }
+    if (visited.has(current)) {
+      continue;
+    }
+    visited.add(current);
+    edges.forEach(edge => {
+      if (edge.source === current) {
+        stack.push(edge.target);
+      }
+    });
+  }
+
+  return false;
+};
+
+// Tarjan's strongly connected components: every component with more than
+// one node (or a node with an edge to itself) is a cycle. Returns the node
+// ids taking part in each cycle.
+export const findCycles = (nodes, edges) => {
+  const adjList = {};
+  nodes.forEach(node => {
+    adjList[node.id] = [];
+  });
+  edges.forEach(edge => {
+    if (adjList[edge.source] && adjList[edge.target]) {
+      adjList[edge.source].push(edge.target);
+    }
+  });
+
+  const index = {};
+  const lowLink = {};
+  const onStack = new Set();
+  const stack = [];
+  const cycles = [];
+  let counter = 0;
+
+  const visit = (nodeId) => {
+    index[nodeId] = counter;
+    lowLink[nodeId] = counter;
+    counter++;
+    stack.push(nodeId);
+    onStack.add(nodeId);
+
+    adjList[nodeId].forEach(neighbor => {
+      if (index[neighbor] === undefined) {
+        visit(neighbor);
+        lowLink[nodeId] = Math.min(lowLink[nodeId], lowLink[neighbor]);
+      } else if (onStack.has(neighbor)) {
+        lowLink[nodeId] = Math.min(lowLink[nodeId], index[neighbor]);
+      }
+    });
+
+    if (lowLink[nodeId] === index[nodeId]) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== nodeId);
+
+      if (component.length > 1 || adjList[nodeId].includes(nodeId)) {
+        cycles.push(component.reverse());
+      }
+    }
+  };
+
+  nodes.forEach(node => {
+    if (index[node.id] === undefined) {
+      visit(node.id);
+    }
+  });
+
+  return cycles;
+};
+
+// All node ids reachable from the given start nodes, following edges
+// downstream ('forward') or upstream ('backward')
+export const getReachable = (startIds, edges, direction = 'forward') => {
+  const reached = new Set(startIds);
+  const stack = [...startIds];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    edges.forEach(edge => {
+      const [from, to] = direction === 'forward' ? [edge.source, edge.target] : [edge.target, edge.source];
+      if (from === current && !reached.has(to)) {
+        reached.add(to);
+        stack.push(to);
+      }
+    });
+  }
+
+  return reached;
+};
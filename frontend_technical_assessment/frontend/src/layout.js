@@ -0,0 +1,208 @@
+// layout.js
+// Automatic left-to-right layout and placement of new nodes
+// --------------------------------------------------
+
+import { topologicalSort } from './graph';
+
+const DEFAULT_SIZE = { width: 250, height: 150 };
+const SWEEPS = 8;
+
+// Measured size of a node (React Flow stores it on the node once rendered)
+export const getNodeSize = (node) => ({
+  width: node.width || DEFAULT_SIZE.width,
+  height: node.height || DEFAULT_SIZE.height
+});
+
+// Longest-path layering over the topological order; nodes caught in a cycle
+// are placed after whichever of their predecessors already have a layer
+const assignLayers = (nodes, edges) => {
+  const { order } = topologicalSort(nodes, edges);
+  const inOrder = new Set(order);
+  const sequence = [...order, ...nodes.map((node) => node.id).filter((id) => !inOrder.has(id))];
+  const layer = {};
+
+  sequence.forEach((id) => {
+    const predecessorLayers = edges
+      .filter((edge) => edge.target === id && layer[edge.source] !== undefined)
+      .map((edge) => layer[edge.source] + 1);
+    layer[id] = Math.max(0, ...predecessorLayers);
+  });
+  return layer;
+};
+
+const countCrossings = (edges, layer, rank) => {
+  const spans = edges.filter((edge) => layer[edge.source] < layer[edge.target]);
+  let crossings = 0;
+  for (let i = 0; i < spans.length; i++) {
+    for (let j = i + 1; j < spans.length; j++) {
+      const a = spans[i];
+      const b = spans[j];
+      if (layer[a.source] === layer[b.source] && layer[a.target] === layer[b.target] &&
+          (rank[a.source] - rank[b.source]) * (rank[a.target] - rank[b.target]) < 0) {
+        crossings++;
+      }
+    }
+  }
+  return crossings;
+};
+
+const rankOf = (layers) => {
+  const rank = {};
+  layers.forEach((ids) => ids.forEach((id, index) => {
+    rank[id] = ids.length > 1 ? index / (ids.length - 1) : 0.5;
+  }));
+  return rank;
+};
+
+// One barycenter pass: sorts each layer by the average position of its
+// neighbours in earlier layers (down) or later layers (up)
+const sweepLayers = (layers, edges, layer, down) => {
+  let current = layers;
+  const indices = layers.map((_, index) => index);
+  (down ? indices : indices.reverse()).forEach((layerIndex) => {
+    const rank = rankOf(current);
+    const barycenter = (id) => {
+      const positions = edges
+        .filter((edge) => (down
+          ? edge.target === id && layer[edge.source] < layerIndex
+          : edge.source === id && layer[edge.target] > layerIndex))
+        .map((edge) => rank[down ? edge.source : edge.target]);
+      return positions.length > 0
+        ? positions.reduce((sum, value) => sum + value, 0) / positions.length
+        : rank[id];
+    };
+    current = current.map((ids, index) => (
+      index === layerIndex ? [...ids].sort((a, b) => barycenter(a) - barycenter(b)) : ids
+    ));
+  });
+  return current;
+};
+
+// Alternating down and up sweeps, keeping the ordering with the fewest crossings
+const orderLayers = (layers, edges, layer) => {
+  let best = layers;
+  let bestCrossings = countCrossings(edges, layer, rankOf(best));
+  let current = best;
+
+  for (let sweep = 0; sweep < SWEEPS && bestCrossings > 0; sweep++) {
+    current = sweepLayers(current, edges, layer, sweep % 2 === 0);
+    const crossings = countCrossings(edges, layer, rankOf(current));
+    if (crossings < bestCrossings) {
+      best = current;
+      bestCrossings = crossings;
+    }
+  }
+  return best;
+};
+
+/**
+ * Arranges nodes left to right by topological layer, ordering each layer to
+ * reduce edge crossings and spacing them by their measured sizes.
+ * The top-left corner of the graph stays where it was.
+ * Returns a map of node id -> { x, y }.
+ */
+export const layoutPipeline = (nodes, edges, { horizontalGap = 100, verticalGap = 40 } = {}) => {
+  if (nodes.length === 0) {
+    return {};
+  }
+
+  const nodesById = Object.fromEntries(nodes.map((node) => [node.id, node]));
+  const validEdges = edges.filter((edge) => nodesById[edge.source] && nodesById[edge.target]);
+  const layer = assignLayers(nodes, validEdges);
+
+  // Start from the current vertical order so repeated layouts are stable
+  const layers = [];
+  [...nodes]
+    .sort((a, b) => a.position.y - b.position.y)
+    .forEach((node) => {
+      const index = layer[node.id];
+      layers[index] = [...(layers[index] || []), node.id];
+    });
+  const ordered = orderLayers(layers.map((ids) => ids || []), validEdges, layer);
+
+  const columnHeights = ordered.map((ids) => ids.reduce(
+    (sum, id) => sum + getNodeSize(nodesById[id]).height, 0
+  ) + verticalGap * Math.max(0, ids.length - 1));
+  const tallest = Math.max(...columnHeights);
+  const origin = {
+    x: Math.min(...nodes.map((node) => node.position.x)),
+    y: Math.min(...nodes.map((node) => node.position.y))
+  };
+
+  const positions = {};
+  let x = origin.x;
+  ordered.forEach((ids, index) => {
+    let y = origin.y + (tallest - columnHeights[index]) / 2;
+    const columnWidth = Math.max(0, ...ids.map((id) => getNodeSize(nodesById[id]).width));
+    ids.forEach((id) => {
+      const { width, height } = getNodeSize(nodesById[id]);
+      positions[id] = { x: x + (columnWidth - width) / 2, y };
+      y += height + verticalGap;
+    });
+    x += columnWidth + horizontalGap;
+  });
+  return positions;
+};
+
+const overlaps = (a, b) =>
+  a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+/**
+ * Position for a new node to the right of `anchor`, moved down until it no
+ * longer overlaps any existing node.
+ */
+export const placeNextTo = (anchor, nodes, { gap = 80, size = DEFAULT_SIZE } = {}) => {
+  const anchorSize = getNodeSize(anchor);
+  const candidate = { x: anchor.position.x + anchorSize.width + gap, y: anchor.position.y, ...size };
+  const boxes = nodes.map((node) => ({ ...node.position, ...getNodeSize(node) }));
+
+  let blocker = boxes.find((box) => overlaps(candidate, box));
+  while (blocker) {
+    candidate.y = blocker.y + blocker.height + gap / 2;
+    blocker = boxes.find((box) => overlaps(candidate, box));
+  }
+  return { x: candidate.x, y: candidate.y };
+};
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+
+/**
+ * Moves nodes to `targets` (id -> { x, y }) over `duration` ms.
+ * Returns a function that cancels the animation.
+ */
+export const animateNodePositions = (setNodes, targets, duration = 400) => {
+  let start = null;
+  let from = null;
+  let frame = null;
+
+  const step = (time) => {
+    start = start ?? time;
+    const progress = Math.min(1, (time - start) / duration);
+    const eased = easeInOut(progress);
+
+    setNodes((nds) => {
+      from = from ?? Object.fromEntries(nds.map((node) => [node.id, node.position]));
+      return nds.map((node) => {
+        const target = targets[node.id];
+        const origin = from[node.id];
+        if (!target || !origin) {
+          return node;
+        }
+        return {
+          ...node,
+          position: {
+            x: origin.x + (target.x - origin.x) * eased,
+            y: origin.y + (target.y - origin.y) * eased
+          }
+        };
+      });
+    });
+
+    if (progress < 1) {
+      frame = requestAnimationFrame(step);
+    }
+  };
+
+  frame = requestAnimationFrame(step);
+  return () => cancelAnimationFrame(frame);
+};
@@ -0,0 +1,110 @@
+// Auto layout: layers, crossing reduction and spacing; placement of new
+// nodes; and the animation between positions
+import { animateNodePositions, layoutPipeline, placeNextTo } from './layout';
+
+const node = (id, x = 0, y = 0, size = {}) => ({ id, position: { x, y }, ...size });
+const edge = (source, target) => ({ id: `e${source}-${target}`, source, target });
+
+describe('layoutPipeline', () => {
+  test('puts each node one column after its furthest predecessor', () => {
+    const nodes = [node('a'), node('b', 0, 10), node('c', 0, 20), node('d', 0, 30)];
+    const positions = layoutPipeline(nodes, [edge('a', 'b'), edge('b', 'c'), edge('a', 'c'), edge('c', 'd')]);
+    expect([positions.a.x, positions.b.x, positions.c.x, positions.d.x]).toEqual([0, 350, 700, 1050]);
+  });
+
+  test('keeps the top-left corner and centres shorter columns', () => {
+    const nodes = [node('a', 40, 90), node('b', 500, 60), node('c', 500, 300)];
+    const positions = layoutPipeline(nodes, [edge('a', 'b'), edge('a', 'c')], { horizontalGap: 50, verticalGap: 20 });
+    expect(positions).toEqual({
+      a: { x: 40, y: 60 + 85 },
+      b: { x: 340, y: 60 },
+      c: { x: 340, y: 230 }
+    });
+  });
+
+  test('uses measured sizes and centres narrow nodes in their column', () => {
+    const nodes = [node('wide', 0, 0, { width: 400, height: 50 }), node('narrow', 0, 100, { width: 200, height: 50 }), node('next', 0, 200)];
+    const positions = layoutPipeline(nodes, [edge('wide', 'next'), edge('narrow', 'next')], { horizontalGap: 100, verticalGap: 10 });
+    expect(positions.wide).toEqual({ x: 0, y: 20 });
+    expect(positions.narrow).toEqual({ x: 100, y: 80 });
+    expect(positions.next.x).toBe(500);
+  });
+
+  test('reorders a layer to remove crossing edges', () => {
+    const nodes = [node('a', 0, 0), node('b', 0, 200), node('c', 400, 0), node('d', 400, 200)];
+    const positions = layoutPipeline(nodes, [edge('a', 'd'), edge('b', 'c')]);
+    expect(positions.a.y < positions.b.y).toBe(positions.d.y < positions.c.y);
+  });
+
+  test('keeps the vertical order when nothing crosses, so layouts are stable', () => {
+    const nodes = [node('a', 0, 0), node('b', 0, 200), node('c', 400, 0), node('d', 400, 200)];
+    const first = layoutPipeline(nodes, [edge('a', 'c'), edge('b', 'd')]);
+    const moved = nodes.map((item) => ({ ...item, position: first[item.id] }));
+    expect(layoutPipeline(moved, [edge('a', 'c'), edge('b', 'd')])).toEqual(first);
+    expect(first.a.y).toBeLessThan(first.b.y);
+  });
+
+  test('lays out cycles and ignores edges to missing nodes', () => {
+    const positions = layoutPipeline([node('a'), node('b'), node('c')], [edge('a', 'b'), edge('b', 'c'), edge('c', 'b'), edge('c', 'gone')]);
+    expect(Object.keys(positions)).toEqual(expect.arrayContaining(['a', 'b', 'c']));
+    expect(positions.a.x).toBeLessThan(positions.b.x);
+    expect(positions.b.x).toBeLessThan(positions.c.x);
+  });
+
+  test('returns nothing for an empty canvas', () => {
+    expect(layoutPipeline([], [])).toEqual({});
+  });
+});
+
+describe('placeNextTo', () => {
+  test('places the node to the right of the anchor', () => {
+    expect(placeNextTo(node('a', 10, 20), [node('a', 10, 20)])).toEqual({ x: 340, y: 20 });
+  });
+
+  test('moves down past every node in the way', () => {
+    const anchor = node('a', 0, 0);
+    const nodes = [anchor, node('b', 330, 0), node('c', 330, 190, { height: 100 })];
+    expect(placeNextTo(anchor, nodes)).toEqual({ x: 330, y: 330 });
+  });
+});
+
+describe('animateNodePositions', () => {
+  let frames;
+  const runFrame = (time) => frames.shift()(time);
+
+  beforeEach(() => {
+    frames = [];
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation((callback) => frames.push(callback));
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => { frames = []; });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  // Applies setNodes updates to a plain list
+  const canvas = (nodes) => {
+    const state = { nodes };
+    return { state, setNodes: (update) => { state.nodes = update(state.nodes); } };
+  };
+
+  test('eases nodes from where they were to their targets', () => {
+    const { state, setNodes } = canvas([node('a', 0, 0), node('b', 50, 50)]);
+    animateNodePositions(setNodes, { a: { x: 100, y: 200 } }, 100);
+
+    runFrame(1000);
+    expect(state.nodes[0].position).toEqual({ x: 0, y: 0 });
+    runFrame(1050);
+    expect(state.nodes[0].position).toEqual({ x: 50, y: 100 });
+    runFrame(1100);
+    expect(state.nodes[0].position).toEqual({ x: 100, y: 200 });
+    expect(state.nodes[1].position).toEqual({ x: 50, y: 50 });
+    expect(frames).toHaveLength(0);
+  });
+
+  test('stops when cancelled', () => {
+    const { state, setNodes } = canvas([node('a', 0, 0)]);
+    const cancel = animateNodePositions(setNodes, { a: { x: 100, y: 0 } }, 100);
+    runFrame(0);
+    cancel();
+    expect(frames).toHaveLength(0);
+    expect(state.nodes[0].position).toEqual({ x: 0, y: 0 });
+  });
+});
@@ -0,0 +1,39 @@
+// llmProviders.js
+// Pluggable LLM providers used by the executor
+// --------------------------------------------------
+// A provider is an object of the shape:
+//   { name: 'my-provider', complete: async ({ model, prompt, system, temperature, maxTokens, nodeId }) => 'response text' }
+// Register it with registerLLMProvider() and select it with setActiveLLMProvider().
+
+// Offline provider: answers deterministically without any network access
+export const mockProvider = {
+  name: 'mock',
+  complete: async ({ model, prompt, system }) => {
+    const prefix = system ? `[${system}] ` : '';
+    return `${prefix}(${model} mock) ${prompt}`;
+  }
+};
+
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+let activeProviderName = mockProvider.name;
+
+export const registerLLMProvider = (provider) => {
+  if (!provider?.name || typeof provider.complete !== 'function') {
+    throw new Error('An LLM provider needs a name and a complete() function');
+  }
+  providers[provider.name] = provider;
+};
+
+export const setActiveLLMProvider = (name) => {
+  if (!providers[name]) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  activeProviderName = name;
+};
+
+export const getLLMProvider = (name = activeProviderName) => providers[name];
+
+export const listLLMProviders = () => Object.keys(providers);
@@ -0,0 +1,118 @@
+// Map node: items, the concurrency limit, result order and per-item errors,
+// run through the executor
+import { executePipeline } from './executor';
+import { DEFAULT_MAP_DATA, getMapConcurrency, toItems } from './mapNode';
+import { registerNodeType, unregisterNodeType } from './nodeRegistry';
+
+const node = (id, type, data = {}) => ({ id, type, position: { x: 0, y: 0 }, data });
+const edge = (source, target, sourcePort = 'output', targetPort = 'input') => ({
+  id: `e${source}-${target}`,
+  source,
+  sourceHandle: `${source}-${sourcePort}`,
+  target,
+  targetHandle: `${target}-${targetPort}`
+});
+
+// Inner step that takes longer for earlier items, so they finish out of order
+const calls = { inFlight: 0, maxInFlight: 0 };
+beforeAll(() => {
+  registerNodeType({
+    type: 'slowStep',
+    label: 'Slow step',
+    execute: async ({ value }) => {
+      calls.inFlight += 1;
+      calls.maxInFlight = Math.max(calls.maxInFlight, calls.inFlight);
+      await new Promise((resolve) => setTimeout(resolve, (10 - Number(value)) * 3));
+      calls.inFlight -= 1;
+      if (value === '4') {
+        throw new Error(`cannot handle ${value}`);
+      }
+      return `item ${value}`;
+    }
+  });
+});
+afterAll(() => unregisterNodeType('slowStep'));
+beforeEach(() => {
+  calls.inFlight = 0;
+  calls.maxInFlight = 0;
+});
+
+// Input -> Map (Input -> slowStep -> Output) -> results / errors outputs
+const mapPipeline = (list, mapData = {}) => ({
+  nodes: [
+    node('list', 'input', { value: list }),
+    node('map', 'map', {
+      ...DEFAULT_MAP_DATA,
+      ...mapData,
+      graph: {
+        nodes: [node('item', 'input'), node('step', 'slowStep'), node('result', 'output', { outputName: 'result' })],
+        edges: [edge('item', 'step'), edge('step', 'result')]
+      }
+    }),
+    node('results', 'output', { outputName: 'results' }),
+    node('errors', 'output', { outputName: 'errors' })
+  ],
+  edges: [
+    edge('list', 'map', 'output', 'list'),
+    edge('map', 'results', 'results'),
+    edge('map', 'errors', 'errors')
+  ]
+});
+
+describe('Map node', () => {
+  test('keeps the item order whatever order the items finish in', async () => {
+    const { nodes, edges } = mapPipeline('["1","2","3"]', { concurrency: 3 });
+    const run = await executePipeline(nodes, edges);
+    expect(run.outputs).toEqual({ results: ['item 1', 'item 2', 'item 3'], errors: [] });
+    expect(run.results.map.details).toEqual({ items: 3, done: 3, failed: 0 });
+  });
+
+  test.each([1, 2, 4])('runs at most %i items at a time', async (concurrency) => {
+    const { nodes, edges } = mapPipeline('1\n2\n3\n5\n6\n7', { concurrency });
+    await executePipeline(nodes, edges);
+    expect(calls.maxInFlight).toBe(concurrency);
+  });
+
+  test('reports failed items on the errors port and keeps going', async () => {
+    const onNodeProgress = jest.fn();
+    const { nodes, edges } = mapPipeline('["3","4","5"]', { concurrency: 2 });
+    const run = await executePipeline(nodes, edges, { onNodeProgress });
+
+    expect(run.outputs.results).toEqual(['item 3', 'item 5']);
+    expect(run.outputs.errors).toEqual([{ index: 1, item: '4', error: 'cannot handle 4' }]);
+    expect(run.results.map).toMatchObject({ status: 'success', details: { items: 3, done: 3, failed: 1 } });
+    expect(onNodeProgress).toHaveBeenCalledTimes(3);
+    expect(onNodeProgress).toHaveBeenLastCalledWith('map', { items: 3, done: 3, failed: 1 });
+  });
+
+  test('fails once when its pipeline has no Output node', async () => {
+    const { nodes, edges } = mapPipeline('["1"]');
+    nodes[1].data.graph.nodes.pop();
+    const run = await executePipeline(nodes, edges);
+    expect(run.results.map).toMatchObject({ status: 'error', error: 'The Map pipeline needs an Output node for the item results' });
+    expect(calls.maxInFlight).toBe(0);
+  });
+});
+
+describe('toItems', () => {
+  test.each([
+    [['a', 1], ['a', 1]],
+    ['["a", {"b": 2}]', ['a', { b: 2 }]],
+    ['first\n\n  second  \n', ['first', 'second']],
+    ['[not json\nnext', ['[not json', 'next']],
+    [null, []],
+    [{ a: 1 }, ['{"a":1}']]
+  ])('%j', (value, items) => {
+    expect(toItems(value)).toEqual(items);
+  });
+});
+
+describe('getMapConcurrency', () => {
+  test('defaults to one and stays within its bounds', () => {
+    expect(getMapConcurrency({})).toBe(1);
+    expect(getMapConcurrency({ concurrency: 0 })).toBe(1);
+    expect(getMapConcurrency({ concurrency: 2.5 })).toBe(1);
+    expect(getMapConcurrency({ concurrency: 6 })).toBe(6);
+    expect(getMapConcurrency({ concurrency: 1000 })).toBe(16);
+  });
+});
@@ -0,0 +1,371 @@
+// nodeRegistry.js
+// Single registry of node types: the toolbar, the React Flow nodeTypes map,
+// ports, defaults and execution are all derived from the registered configs
+// --------------------------------------------------
+//
+// A node config looks like:
+//   {
+//     type: 'sentiment',            // unique key, used as the React Flow node type
+//     label: 'Sentiment',
+//     icon: '😊',
+//     description: 'Scores text sentiment',
+//     category: 'AI',               // palette section, one of NODE_CATEGORIES (default 'Other')
+//     buttonClass: 'btn-blue',      // toolbar button colour (optional)
+//     hidden: true,                 // kept out of the toolbar, e.g. created by other actions (optional)
+//     fields: [...],                // BaseNode fields
+//     inputs: [{ name, type }],     // typed ports, see ports.js; each may also set a
+//     outputs: [{ name, type }],    //   label and a position ('left' | 'right' | 'top' | 'bottom')
+//     nameField: 'inputName',       // field used to name the node in messages (optional)
+//     component: MyNode,            // custom React component instead of BaseNode (optional)
+//     getPorts: (data) => ...,      // ports that depend on the node's data (optional)
+//     defaultData: {...},           // initial data instead of the field defaults (optional)
+//     execute: async ({ node, inputs, value }) => output   // local execution (optional)
+//   }
+//
+// Node packs group several configs so they can ship as a separate module:
+//   { name: 'my-pack', nodeTypes: [config, ...] }
+// A JS pack may instead default-export `(api) => { api.registerNodeType(...) }`.
+// Packs can add types or replace types of other packs, but never the built-in
+// ones, and can be removed again with removeNodePack.
+
+import React, { useSyncExternalStore } from 'react';
+import BaseNode from './nodes/BaseNode';
+import { DEFAULT_INPUTS, DEFAULT_OUTPUTS } from './ports';
+
+const PACKS_KEY = 'streamgraph:nodePacks';
+
+// Palette sections, in display order; types without a known category go under 'Other'
+export const NODE_CATEGORIES = ['Inputs', 'AI', 'Logic', 'Outputs', 'Other'];
+
+const registry = new Map();
+// Every registration of each type, oldest first: [{ pack, config }], where
+// `pack` is null outside packs. The registry holds the last one, so removing
+// a pack brings back the config it replaced.
+const layers = new Map();
+// Types registered with { builtin: true }, which nothing may replace
+const builtinTypes = new Set();
+// Loaded packs by name, with the types each one registered
+const packs = new Map();
+const listeners = new Set();
+let version = 0;
+let cachedNodeTypes = null;
+
+const notify = () => {
+  version++;
+  cachedNodeTypes = null;
+  listeners.forEach((listener) => listener());
+};
+
+// Field rules are used while rendering (see validation.js), so a bad one
+// must be caught here rather than crash the canvas
+const validateFieldConfig = (type) => (field) => {
+  if (!field || typeof field !== 'object' || typeof field.name !== 'string' || !field.name) {
+    throw new Error(`Node type "${type}": every field needs a name`);
+  }
+  const { pattern } = field;
+  if (pattern === undefined || pattern instanceof RegExp) {
+    return;
+  }
+  if (typeof pattern !== 'string') {
+    throw new Error(`Node type "${type}": the pattern of field "${field.name}" must be a string`);
+  }
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`Node type "${type}": invalid pattern for field "${field.name}": ${error.message}`);
+  }
+};
+
+const validateConfig = (config) => {
+  if (!config || typeof config !== 'object') {
+    throw new Error('A node config must be an object');
+  }
+  if (typeof config.type !== 'string' || !/^[a-zA-Z][\w-]*$/.test(config.type)) {
+    throw new Error(`Invalid node type key: "${config.type}"`);
+  }
+  if (typeof config.label !== 'string' || !config.label) {
+    throw new Error(`Node type "${config.type}" needs a label`);
+  }
+  ['fields', 'inputs', 'outputs'].forEach((key) => {
+    if (config[key] !== undefined && !Array.isArray(config[key])) {
+      throw new Error(`Node type "${config.type}": "${key}" must be an array`);
+    }
+  });
+  (config.fields || []).forEach(validateFieldConfig(config.type));
+};
+
+// Throws if `config` can't be registered, without registering anything
+const checkRegistration = (config, override) => {
+  validateConfig(config);
+  if (builtinTypes.has(config.type)) {
+    throw new Error(`"${config.type}" is a built-in node type and cannot be replaced`);
+  }
+  if (registry.has(config.type) && !override) {
+    throw new Error(`Node type "${config.type}" is already registered`);
+  }
+};
+
+const syncType = (type) => {
+  const stack = layers.get(type) || [];
+  if (stack.length > 0) {
+    registry.set(type, stack[stack.length - 1].config);
+  } else {
+    layers.delete(type);
+    registry.delete(type);
+  }
+};
+
+// Registering again from the same pack replaces that pack's config in place
+const addToRegistry = (config, pack = null) => {
+  const component = config.component || ((props) => <BaseNode {...props} config={config} />);
+  const layer = { pack, config: { ...config, component } };
+  const stack = layers.get(config.type) || [];
+  const index = stack.findIndex((item) => item.pack === pack);
+  layers.set(config.type, index >= 0 ? stack.map((item, i) => (i === index ? layer : item)) : [...stack, layer]);
+  syncType(config.type);
+};
+
+const removeFromRegistry = (type, pack) => {
+  layers.set(type, (layers.get(type) || []).filter((item) => item.pack !== pack));
+  syncType(type);
+};
+
+// Stacks are never changed in place, so copying the maps is enough to undo
+// a failed pack registration
+const snapshotRegistry = () => ({ layers: new Map(layers), builtinTypes: new Set(builtinTypes) });
+
+const restoreRegistry = (snapshot) => {
+  layers.clear();
+  registry.clear();
+  builtinTypes.clear();
+  snapshot.layers.forEach((stack, type) => {
+    layers.set(type, stack);
+    syncType(type);
+  });
+  snapshot.builtinTypes.forEach((type) => builtinTypes.add(type));
+};
+
+export const registerNodeType = (config, { override = false, builtin = false } = {}) => {
+  checkRegistration(config, override);
+  addToRegistry(config);
+  if (builtin) {
+    builtinTypes.add(config.type);
+  }
+  notify();
+};
+
+export const unregisterNodeType = (type) => {
+  if (!builtinTypes.has(type) && registry.has(type)) {
+    layers.set(type, []);
+    syncType(type);
+    notify();
+  }
+};
+
+export const getNodeType = (type) => registry.get(type);
+
+export const getNodeTypeList = () => [...registry.values()];
+
+export const getNodeCategory = (config) =>
+  (NODE_CATEGORIES.includes(config?.category) ? config.category : 'Other');
+
+// React Flow needs a stable object, so it is only rebuilt when the registry changes
+export const getReactFlowNodeTypes = () => {
+  if (!cachedNodeTypes) {
+    cachedNodeTypes = Object.fromEntries(
+      getNodeTypeList().map((config) => [config.type, config.component])
+    );
+  }
+  return cachedNodeTypes;
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Re-renders the caller whenever node types are added or removed
+export const useNodeRegistry = () => {
+  useSyncExternalStore(subscribe, () => version);
+  return {
+    nodeTypeList: getNodeTypeList(),
+    nodeTypes: getReactFlowNodeTypes(),
+    nodePacks: getNodePacks()
+  };
+};
+
+// Typed ports of a node on the canvas
+export const getPorts = (node) => {
+  const config = getNodeType(node.type);
+  if (config?.getPorts) {
+    return config.getPorts(node.data);
+  }
+  return {
+    inputs: config?.inputs || DEFAULT_INPUTS,
+    outputs: config?.outputs || DEFAULT_OUTPUTS
+  };
+};
+
+// Field defaults for a new node, so the data is complete from the start
+export const getDefaultData = (type) => {
+  const config = getNodeType(type);
+  if (config?.defaultData) {
+    return { ...config.defaultData };
+  }
+  return (config?.fields || []).reduce((acc, field) => (
+    field.defaultValue !== undefined ? { ...acc, [field.name]: field.defaultValue } : acc
+  ), {});
+};
+
+// Short name for a node in messages, e.g. 'Input "customer"'
+export const getNodeLabel = (node) => {
+  if (!node) {
+    return 'Unknown node';
+  }
+  const config = getNodeType(node.type);
+  const label = config?.label || node.type;
+  const name = config?.nameField && node.data?.[config.nameField];
+  return name ? `${label} "${name}"` : `${label} ${node.id}`;
+};
+
+// Node packs
+
+// [{ name, types }] for every loaded pack except the built-in ones
+export const getNodePacks = () => [...packs].map(([name, types]) => ({ name, types }));
+
+/**
+ * Registers every node type of a pack. Object packs are checked as a whole
+ * first, so a pack with one invalid config registers none of them, and a
+ * function pack that throws is rolled back.
+ * Loading a pack again under the same name replaces its earlier version.
+ * Types the pack replaces come back when it is removed.
+ * Pass { builtin: true } for the app's own pack, whose types can't be replaced.
+ */
+export const registerNodePack = (pack, { builtin = false, name = pack?.name } = {}) => {
+  const packName = name || 'unnamed';
+  const previous = packs.get(packName) || [];
+  const types = [];
+  const add = (config) => {
+    addToRegistry(config, packName);
+    if (builtin) {
+      builtinTypes.add(config.type);
+    }
+    if (!types.includes(config.type)) {
+      types.push(config.type);
+    }
+  };
+
+  if (typeof pack === 'function') {
+    const snapshot = snapshotRegistry();
+    try {
+      pack({
+        registerNodeType: (config) => {
+          checkRegistration(config, true);
+          add(config);
+        },
+        unregisterNodeType
+      });
+    } catch (error) {
+      restoreRegistry(snapshot);
+      notify();
+      throw error;
+    }
+  } else {
+    if (!pack || !Array.isArray(pack.nodeTypes)) {
+      throw new Error('A node pack must have a "nodeTypes" array');
+    }
+    const seen = new Set();
+    pack.nodeTypes.forEach((config) => {
+      checkRegistration(config, true);
+      if (seen.has(config.type)) {
+        throw new Error(`Node type "${config.type}" appears twice in the pack`);
+      }
+      seen.add(config.type);
+    });
+    pack.nodeTypes.forEach(add);
+  }
+
+  previous.filter((type) => !types.includes(type)).forEach((type) => removeFromRegistry(type, packName));
+  if (!builtin) {
+    packs.set(packName, types);
+  }
+  notify();
+  return types.length;
+};
+
+const readSavedPacks = () => JSON.parse(localStorage.getItem(PACKS_KEY) || '{}');
+
+const savePack = (pack) => {
+  try {
+    const saved = readSavedPacks();
+    saved[pack.name || 'unnamed'] = pack;
+    localStorage.setItem(PACKS_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.log('Could not remember node pack:', error.message);
+  }
+};
+
+// Unregisters a pack's node types, bringing back any it replaced, and forgets
+// the pack for later sessions
+export const removeNodePack = (name) => {
+  (packs.get(name) || []).forEach((type) => removeFromRegistry(type, name));
+  packs.delete(name);
+  try {
+    const saved = readSavedPacks();
+    delete saved[name];
+    localStorage.setItem(PACKS_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.log('Could not forget node pack:', error.message);
+  }
+  notify();
+};
+
+// Re-registers the JSON packs loaded in earlier sessions; a pack that no
+// longer loads (e.g. it now clashes with a built-in type) is skipped
+export const restoreSavedNodePacks = () => {
+  let saved;
+  try {
+    saved = readSavedPacks();
+  } catch (error) {
+    console.log('Ignoring saved node packs:', error.message);
+    return;
+  }
+  Object.entries(saved).forEach(([name, pack]) => {
+    try {
+      registerNodePack(pack, { name });
+    } catch (error) {
+      console.log(`Ignoring saved node pack "${name}":`, error.message);
+    }
+  });
+};
+
+/**
+ * Loads a node pack from a user-selected file.
+ * .json files contain { name, nodeTypes } and are remembered across sessions;
+ * .js files are ES modules whose default (or `nodeTypes`) export is a pack.
+ * Resolves to the number of node types in the pack.
+ */
+export const loadNodePackFile = async (file) => {
+  const source = await file.text();
+
+  if (file.name.endsWith('.json')) {
+    let pack;
+    try {
+      pack = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Node pack is not valid JSON: ${error.message}`);
+    }
+    const count = registerNodePack(pack);
+    savePack(pack);
+    return count;
+  }
+
+  const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  try {
+    const module = await import(/* webpackIgnore: true */ url);
+    const pack = module.default || { nodeTypes: module.nodeTypes };
+    return registerNodePack(pack, { name: (typeof pack !== 'function' && pack.name) || file.name });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
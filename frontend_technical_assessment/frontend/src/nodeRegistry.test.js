@@ -0,0 +1,70 @@
+// Node packs: atomic registration, reloads and restoring replaced types
+import { getNodeType, registerNodePack, registerNodeType, removeNodePack } from './nodeRegistry';
+
+const config = (type, label) => ({ type, label });
+
+describe('registerNodePack', () => {
+  test('rejects packs that replace built-in types', () => {
+    registerNodePack({ nodeTypes: [config('coreThing', 'Core')] }, { builtin: true });
+    expect(() => registerNodePack({ name: 'evil', nodeTypes: [config('coreThing', 'Evil')] }))
+      .toThrow(/built-in/);
+    expect(getNodeType('coreThing').label).toBe('Core');
+  });
+
+  test('registers nothing from an object pack with an invalid config', () => {
+    expect(() => registerNodePack({ name: 'broken', nodeTypes: [config('okType', 'Ok'), config('1bad', 'Bad')] }))
+      .toThrow(/Invalid node type key/);
+    expect(getNodeType('okType')).toBeUndefined();
+  });
+
+  test('rolls back a function pack that throws', () => {
+    expect(() => registerNodePack((api) => {
+      api.registerNodeType(config('halfType', 'Half'));
+      throw new Error('boom');
+    }, { name: 'half' })).toThrow('boom');
+    expect(getNodeType('halfType')).toBeUndefined();
+  });
+
+  test('keeps the working version when a reload fails', () => {
+    registerNodePack((api) => api.registerNodeType(config('reloaded', 'v1')), { name: 'reload' });
+    expect(() => registerNodePack((api) => {
+      api.registerNodeType(config('reloaded', 'v2'));
+      throw new Error('broken v2');
+    }, { name: 'reload' })).toThrow('broken v2');
+    expect(getNodeType('reloaded').label).toBe('v1');
+
+    registerNodePack({ name: 'reload', nodeTypes: [config('reloadedNext', 'v3')] });
+    expect(getNodeType('reloaded')).toBeUndefined();
+    expect(getNodeType('reloadedNext').label).toBe('v3');
+  });
+
+  test('restores the type a failed pack had overridden', () => {
+    registerNodeType(config('shared', 'Original'));
+    expect(() => registerNodePack((api) => {
+      api.registerNodeType(config('shared', 'Override'));
+      throw new Error('failed');
+    }, { name: 'overrider' })).toThrow('failed');
+    expect(getNodeType('shared').label).toBe('Original');
+  });
+
+  test('brings back another pack\'s type when the overriding pack is removed', () => {
+    registerNodePack({ name: 'base', nodeTypes: [config('widget', 'Base widget')] });
+    registerNodePack({ name: 'fancy', nodeTypes: [config('widget', 'Fancy widget')] });
+    expect(getNodeType('widget').label).toBe('Fancy widget');
+
+    removeNodePack('fancy');
+    expect(getNodeType('widget').label).toBe('Base widget');
+    removeNodePack('base');
+    expect(getNodeType('widget')).toBeUndefined();
+  });
+
+  test('keeps the overriding type when the pack underneath is removed', () => {
+    registerNodePack({ name: 'lower', nodeTypes: [config('gadget', 'Lower')] });
+    registerNodePack({ name: 'upper', nodeTypes: [config('gadget', 'Upper')] });
+
+    removeNodePack('lower');
+    expect(getNodeType('gadget').label).toBe('Upper');
+    removeNodePack('upper');
+    expect(getNodeType('gadget')).toBeUndefined();
+  });
+});
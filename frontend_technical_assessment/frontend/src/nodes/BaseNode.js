@@ -1,5 +1,86 @@
-import React, { useState } from 'react';
-import { Handle, Position } from 'reactflow';
+import React, { useEffect, useMemo } from 'react';
+import NodeResult from './NodeResult';
+import NodeHandles from './NodeHandles';
+import { useUpdateNodeData } from './useUpdateNodeData';
+import { useStore } from '../store';
+import { DEFAULT_INPUTS, DEFAULT_OUTPUTS } from '../ports';
+import { validateNodeData } from '../validation';
+import { applyVariablesToData, resolveVariables } from '../variables';
+
+const inputStyle = {
+  width: '100%',
+  padding: '6px 8px',
+  fontSize: '14px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  outline: 'none'
+};
+
+const codeStyle = {
+  ...inputStyle,
+  fontFamily: 'monospace',
+  fontSize: '12px',
+  whiteSpace: 'pre',
+  tabSize: 2
+};
+
+const hintStyle = {
+  marginTop: '4px',
+  fontSize: '11px',
+  color: '#6b7280'
+};
+
+const errorHintStyle = {
+  ...hintStyle,
+  color: '#dc2626'
+};
+
+// Files larger than this are rejected so node data stays small enough to save
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024;
+
+const getJsonError = (text) => {
+  if (!text || !text.trim()) {
+    return null;
+  }
+  try {
+    JSON.parse(text);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Text files are stored as text, everything else as a data URL
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  const asText = file.type.startsWith('text/') || /\.(txt|md|csv|json|js|py|html|xml|ya?ml)$/i.test(file.name);
+  reader.onload = () => resolve({
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    encoding: asText ? 'text' : 'dataUrl',
+    content: reader.result
+  });
+  reader.onerror = () => reject(reader.error);
+  if (asText) {
+    reader.readAsText(file);
+  } else {
+    reader.readAsDataURL(file);
+  }
+});
+
+const emptyValue = (field) => {
+  switch (field.type) {
+    case 'checkbox':
+      return false;
+    case 'multiselect':
+      return [];
+    case 'file':
+      return null;
+    default:
+      return '';
+  }
+};
 
 const BaseNode = ({ id, data, config = {} }) => {
   const {
@@ -10,22 +91,64 @@ const BaseNode = ({ id, data, config = {} }) => {
     // color = 'bg-white',
     // borderColor = 'border-gray-300'
   } = config;
+  const {
+    inputs = DEFAULT_INPUTS,
+    outputs = DEFAULT_OUTPUTS
+  } = config.getPorts ? config.getPorts(data) : config;
 
-  const [fieldValues, setFieldValues] = useState(
-    fields.reduce((acc, field) => ({ 
-      ...acc, 
-      [field.name]: field.defaultValue || '' 
-    }), {})
-  );
+  const updateNodeData = useUpdateNodeData(id);
+  const updateNodeField = useStore((state) => state.updateNodeField);
+  const variables = useStore((state) => state.variables);
+  const environment = useStore((state) => state.environment);
+  const variableValues = useMemo(() => resolveVariables(variables, environment), [variables, environment]);
+
+  // Field values live in the node's data; fall back to the configured defaults
+  const fieldValues = fields.reduce((acc, field) => ({
+    ...acc,
+    [field.name]: data?.[field.name] ?? field.defaultValue ?? emptyValue(field)
+  }), {});
+
+  // Fields are checked with {{$env.NAME}} references filled in, as they will be submitted
+  const fieldErrors = validateNodeData(fields, applyVariablesToData(data, variableValues));
+  const errorCount = Object.keys(fieldErrors).length;
+
+  // Hydrate defaults into the node data so they are saved and submitted.
+  // Nodes from older files or packs may lack them; once every default is
+  // present there is nothing left to write, so this doesn't loop.
+  useEffect(() => {
+    const missing = fields
+      .filter(field => data?.[field.name] === undefined && field.defaultValue !== undefined)
+      .reduce((acc, field) => ({ ...acc, [field.name]: field.defaultValue }), {});
+
+    if (Object.keys(missing).length > 0) {
+      updateNodeData(missing, { record: false });
+    }
+  }, [fields, data, updateNodeData]);
 
   const handleFieldChange = (fieldName, value) => {
-    setFieldValues(prev => ({ ...prev, [fieldName]: value }));
-    if (data?.onChange) {
-      data.onChange(fieldName, value);
+    // Edges to ports the new value removes (e.g. a Switch case) go with it
+    updateNodeField(id, fieldName, value, { getPorts: config.getPorts });
+  };
+
+  const handleFileChange = async (field, file) => {
+    if (!file) {
+      return;
+    }
+    const maxSize = field.maxSize || DEFAULT_MAX_FILE_SIZE;
+    if (file.size > maxSize) {
+      alert(`${file.name} is too large (max ${Math.round(maxSize / 1024)} KB)`);
+      return;
+    }
+    try {
+      handleFieldChange(field.name, await readFile(file));
+    } catch (error) {
+      alert(`Could not read ${file.name}: ${error.message}`);
     }
   };
 
   const renderField = (field) => {
+    const value = fieldValues[field.name];
+
     switch (field.type) {
       case 'text':
         return (
@@ -81,6 +204,144 @@ const BaseNode = ({ id, data, config = {} }) => {
             ))}
           </select>
         );
+      case 'number':
+        return (
+          <input
+            type="number"
+            value={value}
+            min={field.min}
+            max={field.max}
+            step={field.step}
+            onChange={(e) => handleFieldChange(
+              field.name,
+              e.target.value === '' ? '' : Number(e.target.value)
+            )}
+            placeholder={field.placeholder}
+            style={inputStyle}
+          />
+        );
+      case 'checkbox':
+        return (
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#374151' }}>
+            <input
+              type="checkbox"
+              checked={!!value}
+              onChange={(e) => handleFieldChange(field.name, e.target.checked)}
+            />
+            {field.checkboxLabel || (value ? 'On' : 'Off')}
+          </label>
+        );
+      case 'slider': {
+        const min = field.min ?? 0;
+        const max = field.max ?? 1;
+        return (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <input
+              type="range"
+              className="nodrag"
+              value={value === '' ? min : value}
+              min={min}
+              max={max}
+              step={field.step ?? (max - min) / 100}
+              onChange={(e) => handleFieldChange(field.name, Number(e.target.value))}
+              style={{ flex: 1 }}
+            />
+            <span style={{ minWidth: '36px', textAlign: 'right', fontSize: '12px', fontFamily: 'monospace' }}>
+              {value === '' ? min : value}
+            </span>
+          </div>
+        );
+      }
+      case 'json': {
+        const jsonError = getJsonError(value);
+        return (
+          <>
+            <textarea
+              className="nodrag nowheel"
+              value={value}
+              onChange={(e) => handleFieldChange(field.name, e.target.value)}
+              placeholder={field.placeholder || '{ }'}
+              rows={field.rows || 4}
+              spellCheck={false}
+              style={{ ...codeStyle, borderColor: jsonError ? '#f87171' : '#d1d5db' }}
+            />
+            <div style={jsonError ? errorHintStyle : hintStyle}>
+              {jsonError ? `Invalid JSON: ${jsonError}` : value ? '✓ Valid JSON' : ''}
+            </div>
+          </>
+        );
+      }
+      case 'code':
+        return (
+          <textarea
+            className="nodrag nowheel"
+            value={value}
+            onChange={(e) => handleFieldChange(field.name, e.target.value)}
+            onKeyDown={(e) => {
+              // Insert two spaces instead of moving focus
+              if (e.key === 'Tab') {
+                e.preventDefault();
+                const textarea = e.target;
+                const { selectionStart, selectionEnd } = textarea;
+                handleFieldChange(
+                  field.name,
+                  `${value.slice(0, selectionStart)}  ${value.slice(selectionEnd)}`
+                );
+                requestAnimationFrame(() => {
+                  textarea.selectionStart = textarea.selectionEnd = selectionStart + 2;
+                });
+              }
+            }}
+            placeholder={field.placeholder}
+            rows={field.rows || 6}
+            spellCheck={false}
+            style={{ ...codeStyle, background: '#1f2937', color: '#e5e7eb' }}
+          />
+        );
+      case 'multiselect':
+        return (
+          <select
+            multiple
+            className="nodrag nowheel"
+            value={Array.isArray(value) ? value : []}
+            onChange={(e) => handleFieldChange(
+              field.name,
+              Array.from(e.target.selectedOptions, (option) => option.value)
+            )}
+            size={Math.min(field.options?.length || 3, 5)}
+            style={inputStyle}
+          >
+            {field.options?.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        );
+      case 'file':
+        return (
+          <>
+            <input
+              type="file"
+              accept={field.accept}
+              onChange={(e) => {
+                handleFileChange(field, e.target.files?.[0]);
+                e.target.value = '';
+              }}
+              style={{ fontSize: '12px', width: '100%' }}
+            />
+            {value && (
+              <div style={{ ...hintStyle, display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                <span>📄 {value.name} ({Math.ceil(value.size / 1024)} KB)</span>
+                <button
+                  onClick={() => handleFieldChange(field.name, null)}
+                  style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#dc2626' }}
+                  title="Remove file"
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+          </>
+        );
       default:
         return null;
     }
@@ -95,33 +356,7 @@ const BaseNode = ({ id, data, config = {} }) => {
       maxWidth: '300px',
       position: 'relative'
     }}>
-      {/* INPUT HANDLE - LEFT SIDE */}
-      <Handle 
-        type="target" 
-        position={Position.Left}
-        id={`${id}-input`}
-        style={{
-          width: '12px',
-          height: '12px',
-          background: '#3b82f6',
-          borderRadius: '50%',
-          border: '2px solid white'
-        }}
-      />
-
-      {/* OUTPUT HANDLE - RIGHT SIDE */}
-      <Handle 
-        type="source" 
-        position={Position.Right}
-        id={`${id}-output`}
-        style={{
-          width: '12px',
-          height: '12px',
-          background: '#ef4444',
-          borderRadius: '50%',
-          border: '2px solid white'
-        }}
-      />
+      <NodeHandles nodeId={id} inputs={inputs} outputs={outputs} />
 
       {/* Header */}
       <div style={{
@@ -136,6 +371,24 @@ const BaseNode = ({ id, data, config = {} }) => {
       }}>
         <span style={{ fontSize: '18px' }}>{icon}</span>
         <span style={{ fontWeight: '600', fontSize: '14px' }}>{label}</span>
+        {errorCount > 0 && (
+          <span
+            title={Object.values(fieldErrors).join('\n')}
+            style={{
+              marginLeft: 'auto',
+              minWidth: '20px',
+              padding: '1px 6px',
+              borderRadius: '10px',
+              background: '#dc2626',
+              color: 'white',
+              fontSize: '11px',
+              fontWeight: '600',
+              textAlign: 'center'
+            }}
+          >
+            {errorCount}
+          </span>
+        )}
       </div>
 
       {/* Description */}
@@ -154,7 +407,11 @@ const BaseNode = ({ id, data, config = {} }) => {
       {/* Content */}
       <div style={{ padding: '16px' }}>
         {fields.map((field, idx) => (
-          <div key={idx} style={{ marginBottom: idx < fields.length - 1 ? '12px' : '0' }}>
+          <div
+            key={idx}
+            className={fieldErrors[field.name] ? 'field-invalid' : undefined}
+            style={{ marginBottom: idx < fields.length - 1 ? '12px' : '0' }}
+          >
             {field.label && (
               <label style={{
                 display: 'block',
@@ -164,12 +421,19 @@ const BaseNode = ({ id, data, config = {} }) => {
                 marginBottom: '4px'
               }}>
                 {field.label}
+                {field.required && <span style={{ color: '#dc2626' }}> *</span>}
               </label>
             )}
             {renderField(field)}
+            {/* JSON fields already explain syntax errors themselves */}
+            {fieldErrors[field.name] && !(field.type === 'json' && getJsonError(fieldValues[field.name])) && (
+              <div style={errorHintStyle}>{fieldErrors[field.name]}</div>
+            )}
           </div>
         ))}
       </div>
+
+      <NodeResult id={id} />
     </div>
   );
 };
@@ -0,0 +1,124 @@
+import React, { useContext } from 'react';
+import NodeResult, { RunResultsContext } from './NodeResult';
+import NodeHandles from './NodeHandles';
+import { SubgraphActionsContext } from './SubgraphNode';
+import { useUpdateNodeData } from './useUpdateNodeData';
+import { MAP_INPUTS, MAP_OUTPUTS, MAX_MAP_CONCURRENCY } from '../mapNode';
+
+// Failed items listed on the node; the rest are on the `errors` port
+const SHOWN_ERRORS = 3;
+
+const actionStyle = {
+  width: '100%',
+  padding: '4px 6px',
+  fontSize: '11px',
+  border: '1px solid #5eead4',
+  borderRadius: '4px',
+  background: 'white',
+  color: '#115e59',
+  cursor: 'pointer'
+};
+
+// Item progress of the current or last run: a bar plus done / failed counts
+const MapProgress = ({ details, errors }) => {
+  const { items, done, failed } = details;
+  const percent = items > 0 ? (done / items) * 100 : 100;
+
+  return (
+    <div style={{ marginTop: '8px', fontSize: '11px', color: '#4b5563' }}>
+      <div style={{ height: '6px', borderRadius: '3px', background: '#e5e7eb', overflow: 'hidden', display: 'flex' }}>
+        <div style={{ width: `${percent * ((done - failed) / Math.max(done, 1))}%`, background: '#14b8a6' }} />
+        <div style={{ width: `${percent * (failed / Math.max(done, 1))}%`, background: '#ef4444' }} />
+      </div>
+      <div style={{ marginTop: '4px' }}>
+        {done} / {items} item(s)
+        {failed > 0 && <span style={{ color: '#991b1b' }}> · {failed} failed</span>}
+      </div>
+      {(errors || []).slice(0, SHOWN_ERRORS).map(({ index, error }) => (
+        <div key={index} style={{ color: '#991b1b' }} title={error}>
+          #{index + 1}: {error.length > 60 ? `${error.slice(0, 59)}…` : error}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Runs its inner pipeline once per item of the incoming list
+const MapNode = ({ id, data }) => {
+  const updateNodeData = useUpdateNodeData(id);
+  const { openSubgraph } = useContext(SubgraphActionsContext);
+  const result = useContext(RunResultsContext)[id];
+  const nodeCount = data?.graph?.nodes.length || 0;
+
+  return (
+    <div
+      onDoubleClick={() => openSubgraph?.(id)}
+      style={{
+        border: '2px dashed #14b8a6',
+        borderRadius: '8px',
+        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+        minWidth: '220px',
+        maxWidth: '300px',
+        background: '#f0fdfa',
+        position: 'relative'
+      }}
+    >
+      <NodeHandles nodeId={id} inputs={MAP_INPUTS} outputs={MAP_OUTPUTS} />
+
+      {/* Header */}
+      <div style={{
+        background: 'linear-gradient(to right, #0d9488, #14b8a6)',
+        color: 'white',
+        padding: '8px 16px',
+        borderTopLeftRadius: '6px',
+        borderTopRightRadius: '6px',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px'
+      }}>
+        <span style={{ fontSize: '18px' }}>🔁</span>
+        <input
+          value={data?.label ?? ''}
+          onChange={(e) => updateNodeData({ label: e.target.value })}
+          placeholder="Map"
+          style={{
+            flex: 1,
+            minWidth: 0,
+            padding: '2px 4px',
+            fontSize: '14px',
+            fontWeight: '600',
+            color: 'white',
+            background: 'transparent',
+            border: 'none',
+            outline: 'none'
+          }}
+        />
+      </div>
+
+      <div style={{ padding: '12px 16px' }}>
+        <div style={{ fontSize: '12px', color: '#4b5563', marginBottom: '8px' }}>
+          Runs {nodeCount} node(s) for each item
+        </div>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: '#374151', marginBottom: '8px' }}>
+          Concurrency
+          <input
+            type="number"
+            min={1}
+            max={MAX_MAP_CONCURRENCY}
+            value={data?.concurrency ?? 1}
+            onChange={(e) => updateNodeData({ concurrency: parseInt(e.target.value, 10) || 1 })}
+            style={{ width: '56px', padding: '2px 4px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+          />
+        </label>
+        <button onClick={() => openSubgraph?.(id)} style={actionStyle} title="Edit the pipeline run for each item">
+          ✏️ Open item pipeline
+        </button>
+        {result?.details && <MapProgress details={result.details} errors={result.ports?.errors} />}
+      </div>
+
+      <NodeResult id={id} />
+    </div>
+  );
+};
+
+export default MapNode;
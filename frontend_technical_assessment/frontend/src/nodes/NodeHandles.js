@@ -0,0 +1,79 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { PORT_TYPES, getPortColor } from '../ports';
+
+// Spread N handles evenly along the side of the node
+const handleOffset = (index, count) => `${((index + 1) / (count + 1)) * 100}%`;
+
+const isVertical = (side) => side === Position.Left || side === Position.Right;
+
+// Labels sit outside the node, next to their handle
+const labelStyles = {
+  [Position.Left]: { right: 'calc(100% + 10px)', transform: 'translateY(-50%)' },
+  [Position.Right]: { left: 'calc(100% + 10px)', transform: 'translateY(-50%)' },
+  [Position.Top]: { bottom: 'calc(100% + 10px)', transform: 'translateX(-50%)' },
+  [Position.Bottom]: { top: 'calc(100% + 10px)', transform: 'translateX(-50%)' }
+};
+
+const labelStyle = {
+  position: 'absolute',
+  padding: '0 4px',
+  borderRadius: '4px',
+  background: 'rgba(255, 255, 255, 0.9)',
+  color: '#4b5563',
+  fontSize: '10px',
+  whiteSpace: 'nowrap',
+  pointerEvents: 'none'
+};
+
+const groupBySide = (ports, defaultSide) =>
+  ports.reduce((sides, port) => {
+    const side = Object.values(Position).includes(port.position) ? port.position : defaultSide;
+    return { ...sides, [side]: [...(sides[side] || []), port] };
+  }, {});
+
+/**
+ * Handles for a node's typed ports. Ports may set `position` ('left', 'right',
+ * 'top' or 'bottom'; inputs default to left, outputs to right) and `label`.
+ * Handles on the same side are spaced evenly; labels are shown when a port
+ * has one or shares its side with other ports.
+ */
+const NodeHandles = ({ nodeId, inputs, outputs }) => {
+  const renderSide = (ports, side, type) => ports.map((port, index) => {
+    const offset = handleOffset(index, ports.length);
+    const along = isVertical(side) ? { top: offset } : { left: offset };
+    const label = port.label || (ports.length > 1 ? port.name : null);
+
+    return (
+      <React.Fragment key={`${type}-${port.name}`}>
+        <Handle
+          type={type}
+          position={side}
+          id={`${nodeId}-${port.name}`}
+          title={`${type === 'target' ? 'Input' : 'Output'}: ${port.label || port.name} (${PORT_TYPES[port.type]?.label || port.type})`}
+          style={{
+            ...along,
+            width: '12px',
+            height: '12px',
+            background: getPortColor(port.type),
+            borderRadius: '50%',
+            border: '2px solid white'
+          }}
+        />
+        {label && <span style={{ ...labelStyle, ...along, ...labelStyles[side] }}>{label}</span>}
+      </React.Fragment>
+    );
+  });
+
+  const inputSides = groupBySide(inputs, Position.Left);
+  const outputSides = groupBySide(outputs, Position.Right);
+
+  return (
+    <>
+      {Object.entries(inputSides).map(([side, ports]) => renderSide(ports, side, 'target'))}
+      {Object.entries(outputSides).map(([side, ports]) => renderSide(ports, side, 'source'))}
+    </>
+  );
+};
+
+export default NodeHandles;
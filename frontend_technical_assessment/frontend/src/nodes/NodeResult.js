@@ -0,0 +1,65 @@
+import React, { createContext, useContext } from 'react';
+
+// Latest run results keyed by node id, provided by App
+export const RunResultsContext = createContext({});
+
+const statusStyles = {
+  running: { background: '#eff6ff', color: '#1e40af', label: '⏳ Running' },
+  success: { background: '#f0fdf4', color: '#166534', label: '✅ Output' },
+  skipped: { background: '#f9fafb', color: '#6b7280', label: '⏭️ Skipped' },
+  error: { background: '#fef2f2', color: '#991b1b', label: '❌ Error' }
+};
+
+const formatOutput = (output) =>
+  typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+
+// Footer showing what a node produced in the last pipeline run
+const NodeResult = ({ id }) => {
+  const results = useContext(RunResultsContext);
+  const result = results[id];
+
+  if (!result) {
+    return null;
+  }
+
+  const style = statusStyles[result.status] || statusStyles.skipped;
+
+  return (
+    <div style={{
+      padding: '8px 16px',
+      fontSize: '12px',
+      background: style.background,
+      color: style.color,
+      borderTop: '1px solid #e5e7eb',
+      borderBottomLeftRadius: '6px',
+      borderBottomRightRadius: '6px'
+    }}>
+      <div style={{ fontWeight: '600', marginBottom: '4px' }}>
+        {style.label}
+        {/* Which way a branching node sent its input */}
+        {result.ports && Object.keys(result.ports).length === 1 && (
+          <span style={{ fontWeight: 'normal' }}> → {Object.keys(result.ports)[0]}</span>
+        )}
+        {result.durationMs !== undefined && (
+          <span style={{ fontWeight: 'normal', opacity: 0.7 }}> · {result.durationMs} ms</span>
+        )}
+      </div>
+      {result.status === 'success' && (
+        <pre style={{
+          margin: 0,
+          maxHeight: '120px',
+          overflow: 'auto',
+          whiteSpace: 'pre-wrap',
+          wordBreak: 'break-word',
+          fontFamily: 'monospace',
+          fontSize: '11px'
+        }}>
+          {formatOutput(result.output)}
+        </pre>
+      )}
+      {result.status === 'error' && <div>{result.error}</div>}
+    </div>
+  );
+};
+
+export default NodeResult;
@@ -0,0 +1,114 @@
+import React, { createContext, useContext } from 'react';
+import NodeResult from './NodeResult';
+import NodeHandles from './NodeHandles';
+import { useUpdateNodeData } from './useUpdateNodeData';
+
+// { openSubgraph(id), expandSubgraph(id), saveSubgraphType(id) }, provided by App
+export const SubgraphActionsContext = createContext({});
+
+const actionStyle = {
+  flex: 1,
+  padding: '4px 6px',
+  fontSize: '11px',
+  border: '1px solid #c4b5fd',
+  borderRadius: '4px',
+  background: 'white',
+  color: '#5b21b6',
+  cursor: 'pointer'
+};
+
+// Composite node: a nested pipeline exposed through the ports that crossed
+// the selection boundary when it was grouped
+const SubgraphNode = ({ id, data }) => {
+  const updateNodeData = useUpdateNodeData(id);
+  const { openSubgraph, expandSubgraph, saveSubgraphType } = useContext(SubgraphActionsContext);
+  const inputs = data?.inputs || [];
+  const outputs = data?.outputs || [];
+  const nodeCount = data?.graph?.nodes.length || 0;
+  const portCount = Math.max(inputs.length, outputs.length);
+
+  return (
+    <div
+      onDoubleClick={() => openSubgraph?.(id)}
+      style={{
+        border: '2px dashed #8b5cf6',
+        borderRadius: '8px',
+        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+        minWidth: '220px',
+        maxWidth: '300px',
+        background: '#f5f3ff',
+        position: 'relative'
+      }}
+    >
+      <NodeHandles nodeId={id} inputs={inputs} outputs={outputs} />
+
+      {/* Header */}
+      <div style={{
+        background: 'linear-gradient(to right, #7c3aed, #a855f7)',
+        color: 'white',
+        padding: '8px 16px',
+        borderTopLeftRadius: '6px',
+        borderTopRightRadius: '6px',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px'
+      }}>
+        <span style={{ fontSize: '18px' }}>🧩</span>
+        <input
+          value={data?.label ?? ''}
+          onChange={(e) => updateNodeData({ label: e.target.value })}
+          placeholder="Group"
+          style={{
+            flex: 1,
+            minWidth: 0,
+            padding: '2px 4px',
+            fontSize: '14px',
+            fontWeight: '600',
+            color: 'white',
+            background: 'transparent',
+            border: 'none',
+            outline: 'none'
+          }}
+        />
+      </div>
+
+      <div style={{ padding: '12px 16px', minHeight: `${portCount * 20}px` }}>
+        <div style={{ fontSize: '12px', color: '#4b5563', marginBottom: '8px' }}>
+          {nodeCount} node(s) · {inputs.length} in · {outputs.length} out
+        </div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '8px' }}>
+          {[...inputs.map((port) => `→ ${port.name}`), ...outputs.map((port) => `${port.name} →`)].map((name) => (
+            <span
+              key={name}
+              style={{
+                padding: '2px 6px',
+                background: '#ede9fe',
+                color: '#5b21b6',
+                borderRadius: '4px',
+                fontSize: '11px',
+                fontFamily: 'monospace'
+              }}
+            >
+              {name}
+            </span>
+          ))}
+        </div>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          <button onClick={() => openSubgraph?.(id)} style={actionStyle} title="Edit the inner pipeline">
+            ✏️ Open
+          </button>
+          <button onClick={() => expandSubgraph?.(id)} style={actionStyle} title="Put the inner nodes back on the canvas">
+            📤 Expand
+          </button>
+          <button onClick={() => saveSubgraphType?.(id)} style={actionStyle} title="Add to the palette as a reusable node">
+            💾 Save
+          </button>
+        </div>
+      </div>
+
+      <NodeResult id={id} />
+    </div>
+  );
+};
+
+export default SubgraphNode;
@@ -1,27 +1,71 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Handle, Position } from 'reactflow';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Handle, Position, useUpdateNodeInternals } from 'reactflow';
+import NodeResult from './NodeResult';
+import TextPreview from './TextPreview';
+import { useStore } from '../store';
+import { getPortColor } from '../ports';
+import { analyzeTemplate } from '../template';
+import { getHandleName } from '../graph';
+import { getNodeLabel } from '../nodeRegistry';
 
-const TextNode = ({ id, data }) => {
-  const [text, setText] = useState(data?.text || '');
-  const [dimensions, setDimensions] = useState({ width: 250, height: 100 });
-  const [variables, setVariables] = useState([]);
-  const textareaRef = useRef(null);
+// Root variables referenced by the template, e.g. `user` for {{user.name | upper}}
+export const extractVariables = (text) => analyzeTemplate(text).variables;
 
-  // Extract variables from text (format: {{variableName}})
-  useEffect(() => {
-    const variableRegex = /\{\{\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\}\}/g;
-    const foundVariables = [];
-    let match;
-
-    while ((match = variableRegex.exec(text)) !== null) {
-      const varName = match[1];
-      if (!foundVariables.includes(varName)) {
-        foundVariables.push(varName);
-      }
+// Each variable becomes a text input, or an `any` input when an {{#if}} or
+// {{#each}} reads it so lists can be wired in; without variables there is one
+// generic input
+export const getTextNodePorts = (data) => {
+  const { variables, blockVariables } = analyzeTemplate(data?.text ?? '');
+  return {
+    inputs: variables.length > 0
+      ? variables.map((name) => ({ name, type: blockVariables.includes(name) ? 'any' : 'text' }))
+      : [{ name: 'input', type: 'any' }],
+    outputs: [{ name: 'output', type: 'text' }]
+  };
+};
+
+/**
+ * Re-points the edges of a Text node after its inputs changed from
+ * `previousInputs` to `nextInputs`. A removed variable whose position is now
+ * taken by a new variable counts as renamed and keeps its connections; edges
+ * to any other missing variable are dropped.
+ * Returns { edges, dropped, renames }.
+ */
+export const remapVariableEdges = (nodeId, previousInputs, nextInputs, edges) => {
+  const renames = {};
+  previousInputs.forEach((name, index) => {
+    const candidate = nextInputs[index];
+    if (!nextInputs.includes(name) && candidate !== undefined && !previousInputs.includes(candidate)) {
+      renames[name] = candidate;
     }
+  });
 
-    setVariables(foundVariables);
-  }, [text]);
+  const dropped = [];
+  const remapped = [];
+  edges.forEach((edge) => {
+    const handle = edge.target === nodeId ? getHandleName(nodeId, edge.targetHandle) : null;
+    if (handle === null || nextInputs.includes(handle)) {
+      remapped.push(edge);
+    } else if (renames[handle]) {
+      remapped.push({ ...edge, targetHandle: `${nodeId}-${renames[handle]}` });
+    } else {
+      dropped.push(edge);
+    }
+  });
+
+  return { edges: remapped, dropped, renames };
+};
+
+const inputNames = (text) => getTextNodePorts({ text }).inputs.map((port) => port.name);
+
+const TextNode = ({ id, data }) => {
+  const updateNodeField = useStore((state) => state.updateNodeField);
+  const setEdges = useStore((state) => state.setEdges);
+  const text = data?.text ?? '';
+  const [dimensions, setDimensions] = useState({ width: 250, height: 100 });
+  const [showPreview, setShowPreview] = useState(false);
+  const textareaRef = useRef(null);
+  const { ast, variables, blockVariables, error: syntaxError } = useMemo(() => analyzeTemplate(text), [text]);
 
   // Dynamic sizing based on content
   useEffect(() => {
@@ -39,11 +83,48 @@ const TextNode = ({ id, data }) => {
     }
   }, [text]);
 
+  // Inputs of the last template that parsed; connections are reconciled
+  // against them so a half-typed tag doesn't drop anything
+  const lastValidInputs = useRef(null);
+  const [droppedConnections, setDroppedConnections] = useState([]);
+
+  // Let React Flow measure the new handles so remapped edges attach to them
+  const updateNodeInternals = useUpdateNodeInternals();
+  const handleKey = variables.join('\n');
+  useEffect(() => {
+    updateNodeInternals(id);
+  }, [id, handleKey, updateNodeInternals]);
+
   const handleTextChange = (e) => {
-    const newText = e.target.value;
-    setText(newText);
-    if (data?.onChange) {
-      data.onChange('text', newText);
+    const nextText = e.target.value;
+    if (!syntaxError || lastValidInputs.current === null) {
+      lastValidInputs.current = inputNames(text);
+    }
+    updateNodeField(id, 'text', nextText);
+
+    if (analyzeTemplate(nextText).error) {
+      return;
+    }
+    const previousInputs = lastValidInputs.current;
+    const nextInputs = inputNames(nextText);
+    lastValidInputs.current = nextInputs;
+    if (previousInputs.join('\n') === nextInputs.join('\n')) {
+      return;
+    }
+
+    const { nodes, edges: currentEdges } = useStore.getState();
+    const { edges, dropped, renames } = remapVariableEdges(id, previousInputs, nextInputs, currentEdges);
+    if (dropped.length > 0 || Object.keys(renames).length > 0) {
+      setEdges(edges);
+    }
+    if (dropped.length > 0) {
+      setDroppedConnections(
+        dropped.map((edge) => ({
+          id: edge.id,
+          source: getNodeLabel(nodes.find((node) => node.id === edge.source)),
+          variable: getHandleName(id, edge.targetHandle)
+        }))
+      );
     }
   };
 
@@ -65,23 +146,26 @@ const TextNode = ({ id, data }) => {
     >
       {/* VARIABLE HANDLES - LEFT SIDE */}
       {variables.length > 0 ? (
-        variables.map((varName, index) => (
-          <Handle
-            key={`var-${varName}`}
-            type="target"
-            position={Position.Left}
-            id={`${id}-${varName}`}
-            style={{
-              top: `${handleStartPosition + index * handleSpacing}px`,
-              width: '12px',
-              height: '12px',
-              background: '#3b82f6',
-              borderRadius: '50%',
-              border: '2px solid white'
-            }}
-            title={`Input: ${varName}`}
-          />
-        ))
+        variables.map((varName, index) => {
+          const type = blockVariables.includes(varName) ? 'any' : 'text';
+          return (
+            <Handle
+              key={`var-${varName}`}
+              type="target"
+              position={Position.Left}
+              id={`${id}-${varName}`}
+              style={{
+                top: `${handleStartPosition + index * handleSpacing}px`,
+                width: '12px',
+                height: '12px',
+                background: getPortColor(type),
+                borderRadius: '50%',
+                border: '2px solid white'
+              }}
+              title={`Input: ${varName} (${type})`}
+            />
+          );
+        })
       ) : (
         // Default input handle if no variables
         <Handle
@@ -91,11 +175,11 @@ const TextNode = ({ id, data }) => {
           style={{
             width: '12px',
             height: '12px',
-            background: '#3b82f6',
+            background: getPortColor('any'),
             borderRadius: '50%',
             border: '2px solid white'
           }}
-          title="Input"
+          title="Input (any)"
         />
       )}
 
@@ -107,11 +191,11 @@ const TextNode = ({ id, data }) => {
         style={{
           width: '12px',
           height: '12px',
-          background: '#ef4444',
+          background: getPortColor('text'),
           borderRadius: '50%',
           border: '2px solid white'
         }}
-        title="Output"
+        title="Output (text)"
       />
 
       {/* Header */}
@@ -127,6 +211,22 @@ const TextNode = ({ id, data }) => {
       }}>
         <span style={{ fontSize: '18px' }}>📝</span>
         <span style={{ fontWeight: '600', fontSize: '14px' }}>Text</span>
+        <button
+          onClick={() => setShowPreview((shown) => !shown)}
+          title={showPreview ? 'Hide preview' : 'Preview the rendered text'}
+          style={{
+            marginLeft: 'auto',
+            padding: '2px 8px',
+            fontSize: '11px',
+            color: 'white',
+            background: showPreview ? 'rgba(255, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.15)',
+            border: '1px solid rgba(255, 255, 255, 0.5)',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          👁️ Preview
+        </button>
       </div>
 
       {/* Variable Info */}
@@ -173,17 +273,58 @@ const TextNode = ({ id, data }) => {
             minHeight: '60px',
             padding: '12px',
             fontSize: '14px',
-            border: '1px solid #d1d5db',
+            border: syntaxError ? '1px solid #dc2626' : '1px solid #d1d5db',
             borderRadius: '4px',
             outline: 'none',
             fontFamily: 'monospace',
             resize: 'none'
           }}
         />
-        <div style={{ marginTop: '8px', fontSize: '12px', color: '#6b7280' }}>
-          Tip: Use {`{{variableName}}`} to create input handles
-        </div>
+        {syntaxError ? (
+          <div style={{ marginTop: '8px', fontSize: '12px', color: '#dc2626' }}>
+            ⚠️ {syntaxError.message}
+          </div>
+        ) : (
+          <div style={{ marginTop: '8px', fontSize: '12px', color: '#6b7280' }}>
+            Tip: Use {`{{variableName}}`} to create input handles, {`{{name | default:"anon"}}`} for
+            fallbacks and {`{{#if flag}}…{{/if}}`} or {`{{#each items}}…{{/each}}`} for blocks
+          </div>
+        )}
       </div>
+
+      {droppedConnections.length > 0 && (
+        <div style={{
+          margin: '0 16px 16px',
+          padding: '8px',
+          fontSize: '12px',
+          color: '#92400e',
+          background: '#fffbeb',
+          border: '1px solid #fcd34d',
+          borderRadius: '4px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: '600' }}>
+            <span>⚠️ Removed connections</span>
+            <button
+              onClick={() => setDroppedConnections([])}
+              title="Dismiss"
+              style={{ border: 'none', background: 'none', color: '#92400e', cursor: 'pointer' }}
+            >
+              ✕
+            </button>
+          </div>
+          {droppedConnections.map((connection) => (
+            <div key={connection.id}>
+              {connection.source} → {`{{${connection.variable}}}`}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showPreview && (
+        <TextPreview id={id} ast={ast} variables={variables} samples={data?.previewSamples || {}} />
+      )}
+
+      <NodeResult id={id} />
     </div>
   );
 };
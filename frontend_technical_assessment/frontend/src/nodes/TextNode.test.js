@@ -0,0 +1,37 @@
+// Text node ports: one input per template variable, typed by how it is used
+import { getTextNodePorts, remapVariableEdges } from './TextNode';
+import { isTypeCompatible } from '../ports';
+
+const inputTypes = (text) =>
+  Object.fromEntries(getTextNodePorts({ text }).inputs.map((port) => [port.name, port.type]));
+
+describe('getTextNodePorts', () => {
+  test('has one generic input without variables', () => {
+    expect(inputTypes('plain text')).toEqual({ input: 'any' });
+  });
+
+  test('types variables used as text as text', () => {
+    expect(inputTypes('{{name | upper}} from {{user.city}}')).toEqual({ name: 'text', user: 'text' });
+  });
+
+  test('accepts any value for block arguments, so lists can be wired to #each', () => {
+    const types = inputTypes('{{#each items}}{{this}}{{/each}}{{#if flag}}{{title}}{{/if}}');
+    expect(types).toEqual({ items: 'any', flag: 'any', title: 'text' });
+    expect(isTypeCompatible('list', types.items)).toBe(true);
+  });
+
+  test('keeps block arguments typed while the template has a syntax error', () => {
+    expect(inputTypes('{{#each items}}{{this}}')).toEqual({ items: 'any' });
+  });
+});
+
+describe('remapVariableEdges', () => {
+  const edge = (variable) => ({ id: `e-${variable}`, source: 'in', target: 'text-1', targetHandle: `text-1-${variable}` });
+
+  test('keeps the connection of a renamed variable and drops removed ones', () => {
+    const { edges, dropped, renames } = remapVariableEdges('text-1', ['name', 'city'], ['fullName'], [edge('name'), edge('city')]);
+    expect(renames).toEqual({ name: 'fullName' });
+    expect(edges.map((item) => item.targetHandle)).toEqual(['text-1-fullName']);
+    expect(dropped).toHaveLength(1);
+  });
+});
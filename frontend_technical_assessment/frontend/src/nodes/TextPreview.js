@@ -0,0 +1,135 @@
+import React, { useContext } from 'react';
+import { useNodes, useEdges } from 'reactflow';
+import { RunResultsContext } from './NodeResult';
+import { useUpdateNodeData } from './useUpdateNodeData';
+import { getHandleName } from '../graph';
+import { renderTemplate } from '../template';
+import { hasPortValue, getPortValue } from '../ports';
+import { useStore } from '../store';
+import { resolveVariables, maskSecrets, getSecretValues } from '../variables';
+
+// Unresolved variables are wrapped in these private-use characters while
+// rendering so they can be highlighted afterwards
+const MISSING_START = '\uE000';
+const MISSING_END = '\uE001';
+
+// Rough estimate used by most tokenizers for English text
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const sourceValue = (node, result, port) => {
+  if (node?.type === 'input') {
+    return node.data?.file?.encoding === 'text' ? node.data.file.content : node.data?.value;
+  }
+  return hasPortValue(result, port) ? getPortValue(result, port) : undefined;
+};
+
+// Rendered output of a Text node using sample values, falling back to
+// whatever is wired into each variable (Input node values or last run outputs).
+// {{$env.NAME}} shows the pipeline variable's value, with secrets masked.
+const TextPreview = ({ id, ast, variables, samples }) => {
+  const updateNodeData = useUpdateNodeData(id);
+  const nodes = useNodes();
+  const edges = useEdges();
+  const runResults = useContext(RunResultsContext);
+  const pipelineVariables = useStore((state) => state.variables);
+  const environment = useStore((state) => state.environment);
+
+  const connected = {};
+  edges
+    .filter((edge) => edge.target === id)
+    .forEach((edge) => {
+      const source = nodes.find((node) => node.id === edge.source);
+      const value = sourceValue(source, runResults[edge.source], getHandleName(edge.source, edge.sourceHandle, 'output'));
+      if (value !== undefined && value !== '') {
+        connected[getHandleName(id, edge.targetHandle)] = value;
+      }
+    });
+
+  const context = {
+    $env: maskSecrets(resolveVariables(pipelineVariables, environment), getSecretValues(pipelineVariables))
+  };
+  variables.forEach((name) => {
+    const sample = samples[name];
+    context[name] = sample !== undefined && sample !== '' ? sample : connected[name];
+  });
+
+  const missing = [];
+  const marked = ast
+    ? renderTemplate(ast, context, {
+      onMissing: (path) => {
+        missing.push(path);
+        return `${MISSING_START}{{${path}}}${MISSING_END}`;
+      }
+    })
+    : '';
+  const missingPattern = `${MISSING_START}[^${MISSING_END}]*${MISSING_END}`;
+  const rendered = marked.replace(new RegExp(missingPattern, 'g'), '');
+  const parts = marked.split(new RegExp(`(${missingPattern})`));
+
+  const setSample = (name, value) => {
+    updateNodeData({ previewSamples: { ...samples, [name]: value } });
+  };
+
+  return (
+    <div style={{ padding: '0 16px 16px' }}>
+      {variables.map((name) => (
+        <div key={name} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' }}>
+          <span style={{ fontSize: '11px', fontFamily: 'monospace', color: '#3730a3', minWidth: '60px' }}>
+            {name}
+          </span>
+          <input
+            type="text"
+            value={samples[name] ?? ''}
+            onChange={(e) => setSample(name, e.target.value)}
+            placeholder={connected[name] !== undefined ? String(connected[name]) : 'Sample value'}
+            title={connected[name] !== undefined ? 'Leave empty to use the connected value' : undefined}
+            style={{
+              flex: 1,
+              padding: '4px 6px',
+              fontSize: '12px',
+              border: '1px solid #d1d5db',
+              borderRadius: '4px',
+              outline: 'none'
+            }}
+          />
+        </div>
+      ))}
+
+      <pre style={{
+        margin: '8px 0 0',
+        padding: '8px',
+        maxHeight: '160px',
+        overflow: 'auto',
+        background: 'white',
+        border: '1px solid #c7d2fe',
+        borderRadius: '4px',
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-word',
+        fontFamily: 'monospace',
+        fontSize: '12px'
+      }}>
+        {ast ? parts.map((part, index) =>
+          part.startsWith(MISSING_START) ? (
+            <mark key={index} style={{ background: '#fef3c7', color: '#92400e' }} title="No value">
+              {part.slice(1, -1)}
+            </mark>
+          ) : (
+            part
+          )
+        ) : (
+          <span style={{ color: '#dc2626' }}>Fix the template errors to see a preview</span>
+        )}
+      </pre>
+
+      <div style={{ marginTop: '4px', fontSize: '11px', color: '#6b7280', display: 'flex', gap: '12px' }}>
+        <span>{rendered.length} chars</span>
+        <span>≈ {estimateTokens(rendered)} tokens</span>
+        {missing.length > 0 && (
+          <span style={{ color: '#92400e' }}>{missing.length} unresolved</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TextPreview;
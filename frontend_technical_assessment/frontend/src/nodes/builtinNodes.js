@@ -0,0 +1,250 @@
+// builtinNodes.js
+// The node types that ship with the app, registered like any other node pack
+
+import TextNode, { getTextNodePorts } from './TextNode';
+import SubgraphNode from './SubgraphNode';
+import MapNode from './MapNode';
+import { SUBGRAPH_TYPE, getSubgraphPorts } from '../subgraph';
+import { getExpressionError } from '../expression';
+import { MAX_MERGE_INPUTS, getSwitchCasesError, getSwitchPorts, getMergePorts } from '../controlFlow';
+import { MAP_TYPE, MAP_INPUTS, MAP_OUTPUTS, DEFAULT_MAP_DATA } from '../mapNode';
+
+export const builtinNodePack = {
+  name: 'builtin',
+  nodeTypes: [
+    {
+      type: 'input',
+      label: 'Input',
+      icon: '📥',
+      buttonClass: 'btn-green',
+      nameField: 'inputName',
+      description: 'Data input node',
+      category: 'Inputs',
+      fields: [
+        {
+          name: 'inputName',
+          type: 'text',
+          label: 'Name',
+          placeholder: 'Enter input name',
+          defaultValue: 'input',
+          required: true,
+          maxLength: 50,
+          pattern: '^[A-Za-z_][A-Za-z0-9_]*$',
+          patternMessage: 'Use letters, digits and _ (not starting with a digit)'
+        },
+        { name: 'value', type: 'textarea', label: 'Value', placeholder: 'Value fed into the pipeline' },
+        { name: 'file', type: 'file', label: 'Or load from file', accept: '.txt,.md,.csv,.json' }
+      ],
+      inputs: [],
+      outputs: [{ name: 'output', type: 'text' }],
+      color: 'bg-green-50',
+      borderColor: 'border-green-400'
+    },
+    {
+      type: 'llm',
+      label: 'LLM',
+      icon: '🤖',
+      buttonClass: 'btn-purple',
+      description: 'Large Language Model',
+      category: 'AI',
+      fields: [
+        {
+          name: 'model',
+          type: 'select',
+          label: 'Model',
+          required: true,
+          options: [
+            { value: 'gpt-4', label: 'GPT-4' },
+            { value: 'gpt-3.5', label: 'GPT-3.5' },
+            { value: 'claude', label: 'Claude' }
+          ],
+          defaultValue: 'gpt-4'
+        },
+        { name: 'temperature', type: 'slider', label: 'Temperature', min: 0, max: 2, step: 0.1, defaultValue: 0.7 },
+        { name: 'maxTokens', type: 'number', label: 'Max tokens', min: 1, max: 8192, defaultValue: 256, required: true,
+          validate: (value) => (Number.isInteger(value) ? null : 'Max tokens must be a whole number') }
+      ],
+      inputs: [
+        { name: 'system', type: 'text', label: 'System' },
+        { name: 'prompt', type: 'text', label: 'Prompt' }
+      ],
+      outputs: [{ name: 'output', type: 'text' }],
+      color: 'bg-purple-50',
+      borderColor: 'border-purple-400'
+    },
+    {
+      type: 'text',
+      label: 'Text',
+      icon: '📝',
+      buttonClass: 'btn-indigo',
+      description: 'Text with {{variables}}',
+      category: 'Inputs',
+      component: TextNode,
+      getPorts: getTextNodePorts,
+      defaultData: { text: '' }
+    },
+    {
+      type: 'transform',
+      label: 'Transform',
+      icon: '⚙️',
+      buttonClass: 'btn-yellow',
+      description: 'Transform data',
+      category: 'Logic',
+      fields: [
+        {
+          name: 'operation',
+          type: 'select',
+          label: 'Operation',
+          options: [
+            { value: 'uppercase', label: 'Uppercase' },
+            { value: 'lowercase', label: 'Lowercase' },
+            { value: 'trim', label: 'Trim' }
+          ],
+          defaultValue: 'uppercase'
+        }
+      ],
+      inputs: [{ name: 'input', type: 'text' }],
+      outputs: [{ name: 'output', type: 'text' }],
+      color: 'bg-yellow-50',
+      borderColor: 'border-yellow-400'
+    },
+    {
+      type: 'filter',
+      label: 'Filter',
+      icon: '🔍',
+      buttonClass: 'btn-blue',
+      description: 'Filter data',
+      category: 'Logic',
+      fields: [
+        { name: 'condition', type: 'text', label: 'Condition', placeholder: 'e.g., value > 10', validate: getExpressionError }
+      ],
+      inputs: [{ name: 'input', type: 'any' }],
+      outputs: [
+        { name: 'pass', type: 'any', label: 'Pass' },
+        { name: 'reject', type: 'any', label: 'Reject' }
+      ],
+      color: 'bg-blue-50',
+      borderColor: 'border-blue-400'
+    },
+    {
+      type: 'ifElse',
+      label: 'If / Else',
+      icon: '🔀',
+      buttonClass: 'btn-blue',
+      description: 'Send data one of two ways',
+      category: 'Logic',
+      fields: [
+        {
+          name: 'condition',
+          type: 'text',
+          label: 'Condition',
+          placeholder: 'e.g., value.score >= 0.5',
+          required: true,
+          validate: getExpressionError
+        }
+      ],
+      inputs: [{ name: 'input', type: 'any' }],
+      outputs: [
+        { name: 'true', type: 'any', label: 'True' },
+        { name: 'false', type: 'any', label: 'False' }
+      ],
+      color: 'bg-blue-50',
+      borderColor: 'border-blue-400'
+    },
+    {
+      type: 'switch',
+      label: 'Switch',
+      icon: '🚦',
+      buttonClass: 'btn-blue',
+      description: 'Send data to the first matching case',
+      category: 'Logic',
+      fields: [
+        {
+          name: 'cases',
+          type: 'textarea',
+          label: 'Cases (one condition per line)',
+          placeholder: 'value contains "refund"\nvalue contains "bug"',
+          required: true,
+          validate: getSwitchCasesError
+        }
+      ],
+      getPorts: getSwitchPorts,
+      color: 'bg-blue-50',
+      borderColor: 'border-blue-400'
+    },
+    {
+      type: 'merge',
+      label: 'Merge',
+      icon: '🔗',
+      buttonClass: 'btn-blue',
+      description: 'Join branches back together',
+      category: 'Logic',
+      fields: [
+        {
+          name: 'mode',
+          type: 'select',
+          label: 'Mode',
+          options: [
+            { value: 'all', label: 'Wait for all (list)' },
+            { value: 'first', label: 'First value' }
+          ],
+          defaultValue: 'all'
+        },
+        { name: 'inputCount', type: 'number', label: 'Branches', min: 2, max: MAX_MERGE_INPUTS, defaultValue: 2 }
+      ],
+      getPorts: getMergePorts,
+      color: 'bg-blue-50',
+      borderColor: 'border-blue-400'
+    },
+    {
+      type: MAP_TYPE,
+      label: 'Map',
+      icon: '🔁',
+      buttonClass: 'btn-blue',
+      description: 'Run a pipeline for each item of a list',
+      category: 'Logic',
+      component: MapNode,
+      inputs: MAP_INPUTS,
+      outputs: MAP_OUTPUTS,
+      defaultData: DEFAULT_MAP_DATA
+    },
+    {
+      type: 'output',
+      label: 'Output',
+      icon: '📤',
+      buttonClass: 'btn-red',
+      nameField: 'outputName',
+      description: 'Data output node',
+      category: 'Outputs',
+      fields: [
+        {
+          name: 'outputName',
+          type: 'text',
+          label: 'Name',
+          placeholder: 'Enter output name',
+          defaultValue: 'output',
+          required: true,
+          maxLength: 50,
+          pattern: '^[A-Za-z_][A-Za-z0-9_]*$',
+          patternMessage: 'Use letters, digits and _ (not starting with a digit)'
+        }
+      ],
+      inputs: [{ name: 'input', type: 'any' }],
+      outputs: [],
+      color: 'bg-red-50',
+      borderColor: 'border-red-400'
+    },
+    {
+      type: SUBGRAPH_TYPE,
+      label: 'Group',
+      icon: '🧩',
+      buttonClass: 'btn-purple',
+      description: 'Nested pipeline built from grouped nodes',
+      category: 'Logic',
+      hidden: true,
+      component: SubgraphNode,
+      getPorts: getSubgraphPorts,
+      defaultData: { label: 'Group', graph: { nodes: [], edges: [] }, inputs: [], outputs: [] }
+    }
+  ]
+};
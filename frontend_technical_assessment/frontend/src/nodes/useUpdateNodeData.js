@@ -0,0 +1,13 @@
+import { useCallback } from 'react';
+import { useStore } from '../store';
+
+// Returns a function that merges the given values into this node's `data`,
+// so field edits live in the graph state instead of component-local state
+export const useUpdateNodeData = (id) => {
+  const updateNodeData = useStore((state) => state.updateNodeData);
+
+  return useCallback(
+    (changes, options) => updateNodeData(id, changes, options),
+    [id, updateNodeData]
+  );
+};
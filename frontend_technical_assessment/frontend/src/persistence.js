@@ -0,0 +1,356 @@
+// persistence.js
+// Versioned pipeline files: export, import, migrations and autosave
+// --------------------------------------------------
+
+import {
+  ENVIRONMENTS,
+  DEFAULT_ENVIRONMENT,
+  VARIABLE_NAME_PATTERN,
+  withoutSecretValues
+} from './variables';
+
+export const SCHEMA_VERSION = 2;
+
+const AUTOSAVE_KEY = 'streamgraph:autosave';
+const DEFAULT_VIEWPORT = { x: 0, y: 0, zoom: 1 };
+
+// Ports renamed in version 2: the LLM input became `prompt` (next to a new
+// `system` input) and the Filter output split into `pass` and `reject`
+const RENAMED_PORTS = {
+  llm: { inputs: { input: 'prompt' } },
+  filter: { outputs: { output: 'pass' } }
+};
+
+// Identifies a pipeline across exports and reloads, e.g. to find the secret
+// values kept for it in this browser
+export const createPipelineId = () =>
+  `pipeline-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const renamePort = (node, side, name) => RENAMED_PORTS[node?.type]?.[side]?.[name] || name;
+
+// Renames handles on edges and on subgraph ports, at every nesting level
+const renamePorts = ({ nodes = [], edges = [], ...rest }) => {
+  const nodesById = Object.fromEntries(nodes.map((node) => [node.id, node]));
+  const renameHandle = (nodeId, handle, side) => {
+    const prefix = `${nodeId}-`;
+    return typeof handle === 'string' && handle.startsWith(prefix)
+      ? `${prefix}${renamePort(nodesById[nodeId], side, handle.slice(prefix.length))}`
+      : handle;
+  };
+
+  return {
+    ...rest,
+    nodes: nodes.map((node) => {
+      if (!Array.isArray(node.data?.graph?.nodes)) {
+        return node;
+      }
+      const innerById = Object.fromEntries(node.data.graph.nodes.map((inner) => [inner.id, inner]));
+      const renameExposed = (side) =>
+        (node.data[side] || []).map((port) => ({ ...port, handle: renamePort(innerById[port.node], side, port.handle) }));
+      return {
+        ...node,
+        data: { ...node.data, graph: renamePorts(node.data.graph), inputs: renameExposed('inputs'), outputs: renameExposed('outputs') }
+      };
+    }),
+    edges: edges.map((edge) => ({
+      ...edge,
+      sourceHandle: renameHandle(edge.source, edge.sourceHandle, 'outputs'),
+      targetHandle: renameHandle(edge.target, edge.targetHandle, 'inputs')
+    }))
+  };
+};
+
+// Each migration upgrades a document from version N to N + 1.
+// When the schema changes, bump SCHEMA_VERSION and add the step here.
+const migrations = {
+  // Version 0 is the unversioned { nodes, edges } payload sent to the backend
+  0: (doc) => ({
+    ...doc,
+    schemaVersion: 1,
+    viewport: doc.viewport || DEFAULT_VIEWPORT,
+    edges: (doc.edges || []).map((edge) => ({
+      ...edge,
+      id: edge.id || `e${edge.source}-${edge.target}`
+    }))
+  }),
+  1: (doc) => ({
+    ...doc,
+    ...renamePorts(doc),
+    schemaVersion: 2
+  })
+};
+
+// Keep only the persistent parts of nodes and edges, dropping React Flow's
+// runtime fields (selection, measured size, dragging state)
+const serializeNode = ({ id, type, position, data }) => ({
+  id,
+  type,
+  position: { x: position.x, y: position.y },
+  data: data || {}
+});
+
+const serializeEdge = ({ id, source, target, sourceHandle, targetHandle, animated }) => ({
+  id,
+  source,
+  target,
+  sourceHandle: sourceHandle ?? null,
+  targetHandle: targetHandle ?? null,
+  animated: !!animated
+});
+
+// Variables and the pipeline id are optional, so documents without them are
+// still version 2. Secret variables are written without their values.
+export const serializePipeline = (
+  nodes,
+  edges,
+  viewport = DEFAULT_VIEWPORT,
+  { variables = [], environment = DEFAULT_ENVIRONMENT, pipelineId } = {}
+) => ({
+  schemaVersion: SCHEMA_VERSION,
+  savedAt: new Date().toISOString(),
+  pipelineId,
+  nodes: nodes.map(serializeNode),
+  edges: edges.map(serializeEdge),
+  viewport,
+  variables: withoutSecretValues(variables),
+  environment
+});
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Returns a list of human readable problems; an empty list means the document is valid
+export const validatePipeline = (doc) => {
+  const errors = [];
+
+  if (!isObject(doc)) {
+    return ['Pipeline file must contain a JSON object'];
+  }
+  if (doc.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`Unsupported schema version: ${doc.schemaVersion}`);
+  }
+  if (!Array.isArray(doc.nodes)) {
+    errors.push('"nodes" must be an array');
+  }
+  if (!Array.isArray(doc.edges)) {
+    errors.push('"edges" must be an array');
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const nodeIds = new Set();
+  doc.nodes.forEach((node, index) => {
+    if (!isObject(node) || typeof node.id !== 'string' || !node.id) {
+      errors.push(`Node #${index} is missing an id`);
+      return;
+    }
+    if (nodeIds.has(node.id)) {
+      errors.push(`Duplicate node id "${node.id}"`);
+    }
+    nodeIds.add(node.id);
+    if (typeof node.type !== 'string') {
+      errors.push(`Node "${node.id}" is missing a type`);
+    }
+    if (!isObject(node.position) || !Number.isFinite(node.position.x) || !Number.isFinite(node.position.y)) {
+      errors.push(`Node "${node.id}" has an invalid position`);
+    }
+    if (node.data !== undefined && !isObject(node.data)) {
+      errors.push(`Node "${node.id}" has invalid data`);
+    }
+  });
+
+  doc.edges.forEach((edge, index) => {
+    if (!isObject(edge)) {
+      errors.push(`Edge #${index} is not an object`);
+      return;
+    }
+    if (!nodeIds.has(edge.source)) {
+      errors.push(`Edge "${edge.id || index}" references unknown source "${edge.source}"`);
+    }
+    if (!nodeIds.has(edge.target)) {
+      errors.push(`Edge "${edge.id || index}" references unknown target "${edge.target}"`);
+    }
+  });
+
+  if (doc.variables !== undefined) {
+    if (!Array.isArray(doc.variables)) {
+      errors.push('"variables" must be an array');
+    } else {
+      const names = new Set();
+      doc.variables.forEach((variable, index) => {
+        if (!isObject(variable) || typeof variable.name !== 'string' || !VARIABLE_NAME_PATTERN.test(variable.name)) {
+          errors.push(`Variable #${index} has an invalid name`);
+          return;
+        }
+        if (names.has(variable.name)) {
+          errors.push(`Duplicate variable "${variable.name}"`);
+        }
+        names.add(variable.name);
+        if (variable.values !== undefined && !isObject(variable.values)) {
+          errors.push(`Variable "${variable.name}" has invalid environment values`);
+        }
+      });
+    }
+  }
+  if (doc.pipelineId !== undefined && (typeof doc.pipelineId !== 'string' || !doc.pipelineId)) {
+    errors.push('"pipelineId" must be a non-empty string');
+  }
+  if (doc.environment !== undefined && !ENVIRONMENTS.includes(doc.environment)) {
+    errors.push(`Unknown environment "${doc.environment}"`);
+  }
+
+  if (doc.viewport !== undefined) {
+    const { x, y, zoom } = doc.viewport || {};
+    if (![x, y, zoom].every(Number.isFinite)) {
+      errors.push('"viewport" must have numeric x, y and zoom');
+    }
+  }
+
+  return errors;
+};
+
+// Problems that would stop the migrations from reading a document, at every
+// nesting level; the rest is left to validatePipeline once it is migrated
+const validateShape = (graph, where = '') => {
+  const errors = [];
+  if (!Array.isArray(graph.nodes)) {
+    errors.push(`${where}"nodes" must be an array`);
+  }
+  if (graph.edges !== undefined && !Array.isArray(graph.edges)) {
+    errors.push(`${where}"edges" must be an array`);
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  graph.nodes.forEach((node, index) => {
+    if (!isObject(node)) {
+      errors.push(`${where}Node #${index} is not an object`);
+      return;
+    }
+    const nodeName = `${where}Node "${node.id ?? index}"`;
+    if (node.data === undefined) {
+      return;
+    }
+    if (!isObject(node.data)) {
+      errors.push(`${nodeName} has invalid data`);
+      return;
+    }
+    ['inputs', 'outputs'].forEach((side) => {
+      const ports = node.data[side];
+      if (ports !== undefined && (!Array.isArray(ports) || !ports.every(isObject))) {
+        errors.push(`${nodeName} has invalid ${side}`);
+      }
+    });
+    if (node.data.graph !== undefined) {
+      if (isObject(node.data.graph)) {
+        errors.push(...validateShape(node.data.graph, `${nodeName}: `));
+      } else {
+        errors.push(`${nodeName} has an invalid graph`);
+      }
+    }
+  });
+  (graph.edges || []).forEach((edge, index) => {
+    if (!isObject(edge)) {
+      errors.push(`${where}Edge #${index} is not an object`);
+    }
+  });
+  return errors;
+};
+
+// Upgrades a document to SCHEMA_VERSION; throws if its version is unknown
+// or it is too malformed to migrate
+export const migratePipeline = (doc) => {
+  let migrated = doc;
+  let version = Number.isInteger(doc?.schemaVersion) ? doc.schemaVersion : 0;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `This pipeline was saved with a newer version (schema ${version}); this app supports up to ${SCHEMA_VERSION}`
+    );
+  }
+  if (version < 0) {
+    throw new Error(`Unsupported schema version: ${version}`);
+  }
+  if (version < SCHEMA_VERSION) {
+    const errors = isObject(doc) ? validateShape(doc) : ['Pipeline file must contain a JSON object'];
+    if (errors.length > 0) {
+      throw new Error(`Invalid pipeline file:\n${errors.join('\n')}`);
+    }
+  }
+
+  while (version < SCHEMA_VERSION) {
+    migrated = migrations[version](migrated);
+    version = migrated.schemaVersion;
+  }
+  return migrated;
+};
+
+// Parses, migrates and validates a pipeline document; throws if it cannot be loaded
+export const parsePipeline = (json) => {
+  let doc;
+  try {
+    doc = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (error) {
+    throw new Error(`Pipeline file is not valid JSON: ${error.message}`);
+  }
+  if (!isObject(doc)) {
+    throw new Error('Pipeline file must contain a JSON object');
+  }
+
+  const migrated = migratePipeline(doc);
+  const errors = validatePipeline(migrated);
+  if (errors.length > 0) {
+    throw new Error(`Invalid pipeline file:\n${errors.join('\n')}`);
+  }
+
+  return {
+    ...migrated,
+    nodes: migrated.nodes.map((node) => ({ ...node, data: node.data || {} })),
+    viewport: migrated.viewport || DEFAULT_VIEWPORT,
+    variables: (migrated.variables || []).map((variable) => ({
+      name: variable.name,
+      secret: !!variable.secret,
+      value: variable.value ?? '',
+      values: variable.values || {}
+    })),
+    environment: migrated.environment || DEFAULT_ENVIRONMENT,
+    // Files from before pipeline ids start a pipeline of their own
+    pipelineId: migrated.pipelineId || createPipelineId()
+  };
+};
+
+export const downloadPipeline = (doc, fileName = 'pipeline.json') => {
+  const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const readPipelineFile = async (file) => parsePipeline(await file.text());
+
+// Autosave to localStorage
+export const saveSession = (doc) => {
+  try {
+    localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(doc));
+  } catch (error) {
+    console.log('Autosave failed:', error.message);
+  }
+};
+
+export const loadSession = () => {
+  try {
+    const saved = localStorage.getItem(AUTOSAVE_KEY);
+    return saved ? parsePipeline(saved) : null;
+  } catch (error) {
+    console.log('Ignoring unreadable autosave:', error.message);
+    return null;
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(AUTOSAVE_KEY);
+};
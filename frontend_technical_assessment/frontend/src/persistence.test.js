@@ -0,0 +1,64 @@
+// Pipeline files: migrations from older schema versions and the errors for
+// files that can't be loaded
+import { SCHEMA_VERSION, parsePipeline, serializePipeline } from './persistence';
+
+const node = (id, type = 'text', data = {}) => ({ id, type, position: { x: 0, y: 0 }, data });
+
+describe('parsePipeline', () => {
+  test('loads what serializePipeline writes', () => {
+    const doc = serializePipeline([node('a')], [], undefined, { pipelineId: 'p1' });
+    const pipeline = parsePipeline(JSON.stringify(doc));
+    expect(pipeline.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(pipeline.nodes).toEqual([node('a')]);
+    expect(pipeline.pipelineId).toBe('p1');
+  });
+
+  test('migrates an unversioned payload', () => {
+    const pipeline = parsePipeline({
+      nodes: [node('llm-1', 'llm'), node('out', 'output')],
+      edges: [{ source: 'out', sourceHandle: 'out-output', target: 'llm-1', targetHandle: 'llm-1-input' }]
+    });
+    expect(pipeline.edges[0]).toMatchObject({ id: 'eout-llm-1', targetHandle: 'llm-1-prompt' });
+    expect(pipeline.viewport).toEqual({ x: 0, y: 0, zoom: 1 });
+  });
+
+  test('renames ports inside subgraphs', () => {
+    const pipeline = parsePipeline({
+      schemaVersion: 1,
+      nodes: [node('group1', 'subgraph', {
+        graph: { nodes: [node('f', 'filter'), node('o', 'output')], edges: [{ source: 'f', sourceHandle: 'f-output', target: 'o' }] },
+        outputs: [{ node: 'f', handle: 'output' }]
+      })],
+      edges: []
+    });
+    const { data } = pipeline.nodes[0];
+    expect(data.graph.edges[0].sourceHandle).toBe('f-pass');
+    expect(data.outputs[0].handle).toBe('pass');
+  });
+
+  test.each([
+    ['edges that are not a list', { schemaVersion: 0, nodes: [], edges: 'x' }, /"edges" must be an array/],
+    ['a node that is not an object', { schemaVersion: 1, nodes: [null], edges: [] }, /Node #0 is not an object/],
+    ['an edge that is not an object', { schemaVersion: 1, nodes: [], edges: [3] }, /Edge #0 is not an object/],
+    [
+      'a malformed subgraph',
+      { schemaVersion: 1, nodes: [node('group1', 'subgraph', { graph: { nodes: [null], edges: [] } })], edges: [] },
+      /Node "group1": Node #0 is not an object/
+    ],
+    [
+      'invalid subgraph ports',
+      { schemaVersion: 1, nodes: [node('group1', 'subgraph', { graph: { nodes: [] }, inputs: 'x' })], edges: [] },
+      /Node "group1" has invalid inputs/
+    ],
+    ['a negative version', { schemaVersion: -1, nodes: [], edges: [] }, /Unsupported schema version: -1/],
+    ['a newer version', { schemaVersion: SCHEMA_VERSION + 1, nodes: [], edges: [] }, /newer version/],
+    ['a current file with an invalid node', { schemaVersion: SCHEMA_VERSION, nodes: [null], edges: [] }, /Node #0 is missing an id/]
+  ])('rejects %s with a readable message', (name, doc, message) => {
+    expect(() => parsePipeline(doc)).toThrow(message);
+    expect(() => parsePipeline(doc)).not.toThrow(TypeError);
+  });
+
+  test('rejects text that is not JSON', () => {
+    expect(() => parsePipeline('{')).toThrow(/not valid JSON/);
+  });
+});
@@ -0,0 +1,84 @@
+// ports.js
+// Typed node ports and connection validation
+// --------------------------------------------------
+
+import { wouldCreateCycle, getHandleName } from './graph';
+
+// Data types a port can carry. 'any' accepts (or produces) every type.
+export const PORT_TYPES = {
+  text: { label: 'Text', color: '#3b82f6' },
+  file: { label: 'File', color: '#f97316' },
+  image: { label: 'Image', color: '#ec4899' },
+  number: { label: 'Number', color: '#22c55e' },
+  list: { label: 'List', color: '#14b8a6' },
+  any: { label: 'Any', color: '#6b7280' }
+};
+
+// Ports used when a node config doesn't declare its own
+export const DEFAULT_INPUTS = [{ name: 'input', type: 'any' }];
+export const DEFAULT_OUTPUTS = [{ name: 'output', type: 'any' }];
+
+export const getPortColor = (type) => (PORT_TYPES[type] || PORT_TYPES.any).color;
+
+// Nodes that route data (e.g. Filter's pass/reject) only send values out of
+// the output ports listed in their result's `ports`; other successful nodes
+// send `output` out of every port
+export const hasPortValue = (result, portName) =>
+  result?.status === 'success' && (!result.ports || portName in result.ports);
+
+export const getPortValue = (result, portName) => (result?.ports ? result.ports[portName] : result?.output);
+
+// Numbers can be written into text ports; everything else must match exactly
+export const isTypeCompatible = (sourceType, targetType) =>
+  sourceType === 'any' ||
+  targetType === 'any' ||
+  sourceType === targetType ||
+  (sourceType === 'number' && targetType === 'text');
+
+const describePort = (port) => `"${port.name}" (${PORT_TYPES[port.type]?.label || port.type})`;
+
+/**
+ * Returns why a connection is not allowed, or null if it is valid.
+ * `getPorts(node)` must return { inputs, outputs } for any node on the canvas.
+ */
+export const getConnectionError = (connection, { nodes, edges, getPorts }) => {
+  const { source, target, sourceHandle, targetHandle } = connection;
+
+  if (source === target) {
+    return 'A node cannot be connected to itself';
+  }
+
+  const duplicate = edges.some(
+    (edge) =>
+      edge.source === source &&
+      edge.target === target &&
+      (edge.sourceHandle ?? null) === (sourceHandle ?? null) &&
+      (edge.targetHandle ?? null) === (targetHandle ?? null)
+  );
+  if (duplicate) {
+    return 'These handles are already connected';
+  }
+
+  const sourceNode = nodes.find((node) => node.id === source);
+  const targetNode = nodes.find((node) => node.id === target);
+  if (!sourceNode || !targetNode) {
+    return 'Unknown node';
+  }
+
+  const sourceName = getHandleName(source, sourceHandle, 'output');
+  const targetName = getHandleName(target, targetHandle);
+  const sourcePort = getPorts(sourceNode).outputs.find((port) => port.name === sourceName);
+  const targetPort = getPorts(targetNode).inputs.find((port) => port.name === targetName);
+  if (!sourcePort || !targetPort) {
+    return 'Unknown port';
+  }
+  if (!isTypeCompatible(sourcePort.type, targetPort.type)) {
+    return `Output ${describePort(sourcePort)} cannot feed input ${describePort(targetPort)}`;
+  }
+
+  if (wouldCreateCycle(edges, source, target)) {
+    return 'This connection would create a cycle';
+  }
+
+  return null;
+};
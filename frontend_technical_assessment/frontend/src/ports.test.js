@@ -0,0 +1,90 @@
+// Port types, routed port values and the checks made before a connection is added
+import { getConnectionError, getPortColor, getPortValue, hasPortValue, isTypeCompatible, PORT_TYPES } from './ports';
+
+const node = (id, type) => ({ id, type, position: { x: 0, y: 0 }, data: {} });
+const edge = (source, target, sourcePort = 'output', targetPort = 'input') => ({
+  id: `e${source}-${target}`,
+  source,
+  sourceHandle: `${source}-${sourcePort}`,
+  target,
+  targetHandle: `${target}-${targetPort}`
+});
+
+// Ports by node type, so each test can pick the types it connects
+const PORTS = {
+  words: { inputs: [{ name: 'input', type: 'any' }], outputs: [{ name: 'output', type: 'text' }] },
+  count: { inputs: [{ name: 'input', type: 'any' }], outputs: [{ name: 'output', type: 'number' }] },
+  picture: { inputs: [{ name: 'input', type: 'any' }], outputs: [{ name: 'output', type: 'image' }] },
+  prompt: { inputs: [{ name: 'prompt', type: 'text' }, { name: 'input', type: 'any' }], outputs: [{ name: 'output', type: 'text' }] }
+};
+const getPorts = (item) => PORTS[item.type];
+
+const nodes = [node('a', 'words'), node('b', 'count'), node('c', 'picture'), node('d', 'prompt'), node('e', 'prompt')];
+const connect = (source, sourcePort, target, targetPort, edges = []) =>
+  getConnectionError(
+    { source, sourceHandle: `${source}-${sourcePort}`, target, targetHandle: `${target}-${targetPort}` },
+    { nodes, edges, getPorts }
+  );
+
+describe('isTypeCompatible', () => {
+  test.each([
+    ['text', 'text', true],
+    ['any', 'image', true],
+    ['file', 'any', true],
+    ['number', 'text', true],
+    ['text', 'number', false],
+    ['list', 'text', false],
+    ['image', 'file', false]
+  ])('%s into %s: %s', (sourceType, targetType, compatible) => {
+    expect(isTypeCompatible(sourceType, targetType)).toBe(compatible);
+  });
+});
+
+describe('getPortColor', () => {
+  test('falls back to the colour of any for unknown types', () => {
+    expect(getPortColor('image')).toBe(PORT_TYPES.image.color);
+    expect(getPortColor('video')).toBe(PORT_TYPES.any.color);
+  });
+});
+
+describe('port values', () => {
+  test('send the output from every port unless the result lists its ports', () => {
+    const plain = { status: 'success', output: 'x' };
+    const routed = { status: 'success', output: 'x', ports: { pass: 'x' } };
+
+    expect(hasPortValue(plain, 'anything')).toBe(true);
+    expect(getPortValue(plain, 'anything')).toBe('x');
+    expect(hasPortValue(routed, 'pass')).toBe(true);
+    expect(hasPortValue(routed, 'reject')).toBe(false);
+    expect(getPortValue(routed, 'pass')).toBe('x');
+    expect(hasPortValue({ status: 'error', error: 'boom' }, 'output')).toBe(false);
+    expect(hasPortValue(undefined, 'output')).toBe(false);
+  });
+});
+
+describe('getConnectionError', () => {
+  test('allows compatible ports', () => {
+    expect(connect('a', 'output', 'd', 'prompt')).toBeNull();
+    expect(connect('b', 'output', 'd', 'prompt')).toBeNull();
+    expect(connect('c', 'output', 'd', 'input')).toBeNull();
+  });
+
+  test('rejects incompatible types with both ports named', () => {
+    expect(connect('c', 'output', 'd', 'prompt')).toBe('Output "output" (Image) cannot feed input "prompt" (Text)');
+  });
+
+  test('rejects self connections, duplicates, unknown nodes and ports', () => {
+    expect(connect('d', 'output', 'd', 'input')).toBe('A node cannot be connected to itself');
+    expect(connect('a', 'output', 'd', 'prompt', [edge('a', 'd', 'output', 'prompt')])).toBe('These handles are already connected');
+    expect(connect('a', 'output', 'x', 'input')).toBe('Unknown node');
+    expect(connect('a', 'output', 'd', 'missing')).toBe('Unknown port');
+  });
+
+  test('rejects connections that would close a cycle', () => {
+    expect(connect('e', 'output', 'd', 'input', [edge('d', 'e')])).toBe('This connection would create a cycle');
+  });
+
+  test('allows a second connection between other handles of the same nodes', () => {
+    expect(connect('a', 'output', 'd', 'input', [edge('a', 'd', 'output', 'prompt')])).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+// quickAdd.js
+// Quick-add popup: type to filter node types, Enter to add one where the popup opened
+// --------------------------------------------------
+
+import { useState } from 'react';
+import { useNodeRegistry } from './nodeRegistry';
+import { searchNodeTypes } from './fuzzySearch';
+
+const MAX_RESULTS = 8;
+
+// `position` is in screen coordinates; onSelect receives the chosen node type
+export const QuickAddMenu = ({ position, onSelect, onClose }) => {
+  const { nodeTypeList } = useNodeRegistry();
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const results = searchNodeTypes(nodeTypeList.filter((config) => !config.hidden), query).slice(0, MAX_RESULTS);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (index + step + results.length) % Math.max(results.length, 1));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      onSelect(results[activeIndex].type);
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="quick-add-backdrop" onMouseDown={onClose}>
+      <div
+        className="quick-add"
+        style={{ left: position.x, top: position.y }}
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <input
+          autoFocus
+          className="palette-search"
+          placeholder="Add node…"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+        />
+        {results.length === 0 && <div className="palette-empty">No matches</div>}
+        {results.map((config, index) => (
+          <button
+            key={config.type}
+            className={`quick-add-item${index === activeIndex ? ' quick-add-item-active' : ''}`}
+            onMouseEnter={() => setActiveIndex(index)}
+            onClick={() => onSelect(config.type)}
+          >
+            <span>{config.icon || '📦'}</span>
+            <span className="palette-item-label">{config.label}</span>
+            {config.description && <span className="palette-item-description">{config.description}</span>}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
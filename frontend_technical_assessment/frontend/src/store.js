@@ -1,54 +1,209 @@
 // store.js
+// The canvas state: nodes, edges, undo/redo history and pipeline variables
+// --------------------------------------------------
+// Everything that changes the graph goes through these actions, whether it
+// comes from React Flow, the palette, a node's own fields or a feature such as
+// paste or subgraphs. Actions that are a user edit record an undo step first;
+// setNodes / setEdges don't, so callers that batch several of them (layout,
+// grouping) call takeSnapshot themselves. Variables (see variables.js) are
+// pipeline settings rather than graph edits, so they aren't part of undo.
 
-import { create } from "zustand";
+import { create } from 'zustand';
 import {
-    addEdge,
-    applyNodeChanges,
-    applyEdgeChanges,
-    MarkerType,
-  } from 'reactflow';
+  addEdge,
+  applyNodeChanges,
+  applyEdgeChanges,
+  MarkerType,
+} from 'reactflow';
+import { getHandleName } from './graph';
+import { DEFAULT_ENVIRONMENT } from './variables';
+import { createPipelineId } from './persistence';
+
+const MAX_HISTORY = 100;
+const COALESCE_MS = 1000;
+
+// Accepts a value or an updater function, like React's setState
+const resolve = (valueOrUpdater, current) =>
+  (typeof valueOrUpdater === 'function' ? valueOrUpdater(current) : valueOrUpdater);
+
+// Edges of a node attached to ports it had with `before` but no longer has
+// with `after`, e.g. a Switch case that was removed
+const isOnRemovedPort = (edge, nodeId, before, after) => {
+  const portName = (side, handle, fallback) => {
+    const name = getHandleName(nodeId, handle, fallback);
+    return before[side].some((port) => port.name === name) && !after[side].some((port) => port.name === name)
+      ? name
+      : null;
+  };
+  return (edge.target === nodeId && portName('inputs', edge.targetHandle, 'input') !== null) ||
+    (edge.source === nodeId && portName('outputs', edge.sourceHandle, 'output') !== null);
+};
+
+const deselect = (items) => items.map((item) => (item.selected ? { ...item, selected: false } : item));
+
+let lastSnapshot = { key: null, time: 0 };
+let batchOpen = false;
 
 export const useStore = create((set, get) => ({
-    nodes: [],
-    edges: [],
-    getNodeID: (type) => {
-        const newIDs = {...get().nodeIDs};
-        if (newIDs[type] === undefined) {
-            newIDs[type] = 0;
-        }
-        newIDs[type] += 1;
-        set({nodeIDs: newIDs});
-        return `${type}-${newIDs[type]}`;
-    },
-    addNode: (node) => {
-        set({
-            nodes: [...get().nodes, node]
-        });
-    },
-    onNodesChange: (changes) => {
-      set({
-        nodes: applyNodeChanges(changes, get().nodes),
-      });
-    },
-    onEdgesChange: (changes) => {
-      set({
-        edges: applyEdgeChanges(changes, get().edges),
-      });
-    },
-    onConnect: (connection) => {
-      set({
-        edges: addEdge({...connection, type: 'smoothstep', animated: true, markerEnd: {type: MarkerType.Arrow, height: '20px', width: '20px'}}, get().edges),
-      });
-    },
-    updateNodeField: (nodeId, fieldName, fieldValue) => {
-      set({
-        nodes: get().nodes.map((node) => {
-          if (node.id === nodeId) {
-            node.data = { ...node.data, [fieldName]: fieldValue };
-          }
-  
-          return node;
-        }),
-      });
-    },
-  }));
+  nodes: [],
+  edges: [],
+  nodeIDs: {},
+  past: [],
+  future: [],
+  variables: [],
+  environment: DEFAULT_ENVIRONMENT,
+  pipelineId: createPipelineId(),
+
+  setNodes: (nodes) => set({ nodes: resolve(nodes, get().nodes) }),
+  setEdges: (edges) => set({ edges: resolve(edges, get().edges) }),
+
+  // Replaces the whole graph without recording an undo step
+  loadGraph: ({ nodes, edges }) => set({ nodes, edges }),
+
+  setVariables: (variables) => set({ variables: resolve(variables, get().variables) }),
+  setEnvironment: (environment) => set({ environment }),
+  setPipelineId: (pipelineId) => set({ pipelineId }),
+
+  // Next free id for a node type, e.g. 'text-3'. Counters start over on
+  // reload, so ids already used by loaded nodes are skipped.
+  getNodeID: (type) => {
+    const newIDs = { ...get().nodeIDs };
+    const taken = new Set(get().nodes.map((node) => node.id));
+    do {
+      newIDs[type] = (newIDs[type] || 0) + 1;
+    } while (taken.has(`${type}-${newIDs[type]}`));
+    set({ nodeIDs: newIDs });
+    return `${type}-${newIDs[type]}`;
+  },
+
+  addNode: (node) => {
+    get().takeSnapshot();
+    set({
+      nodes: [...(node.selected ? deselect(get().nodes) : get().nodes), node]
+    });
+  },
+
+  // Adds nodes and edges (e.g. pasted ones) as the new selection
+  addElements: ({ nodes = [], edges = [] }) => {
+    get().takeSnapshot();
+    set({
+      nodes: [...deselect(get().nodes), ...nodes],
+      edges: [...deselect(get().edges), ...edges]
+    });
+  },
+
+  // Removes the selected nodes with their edges, and the selected edges
+  deleteSelection: () => {
+    const removedIds = new Set(get().nodes.filter((node) => node.selected).map((node) => node.id));
+    const edges = get().edges.filter(
+      (edge) => !edge.selected && !removedIds.has(edge.source) && !removedIds.has(edge.target)
+    );
+    if (removedIds.size === 0 && edges.length === get().edges.length) {
+      return;
+    }
+    get().takeSnapshot();
+    set({
+      nodes: get().nodes.filter((node) => !removedIds.has(node.id)),
+      edges
+    });
+  },
+
+  onNodesChange: (changes) => {
+    if (changes.some((change) => change.type === 'remove')) {
+      get().takeSnapshot();
+    }
+    set({
+      nodes: applyNodeChanges(changes, get().nodes),
+    });
+  },
+  onEdgesChange: (changes) => {
+    if (changes.some((change) => change.type === 'remove')) {
+      get().takeSnapshot();
+    }
+    set({
+      edges: applyEdgeChanges(changes, get().edges),
+    });
+  },
+  // Edges aren't animated here; the canvas animates them while data flows during a run
+  onConnect: (connection) => {
+    get().takeSnapshot();
+    set({
+      edges: addEdge({...connection, type: 'smoothstep', markerEnd: {type: MarkerType.Arrow, height: '20px', width: '20px'}}, get().edges),
+    });
+  },
+
+  // Merges `changes` into a node's data. Consecutive edits to the same node
+  // form one undo step; pass { record: false } for values that aren't user
+  // edits, such as defaults filled in on mount. For nodes whose ports depend
+  // on their data, pass the config's `getPorts` so edges to ports the change
+  // removes are dropped along with it.
+  updateNodeData: (nodeId, changes, { record = true, getPorts } = {}) => {
+    if (record) {
+      get().takeSnapshot(`data-${nodeId}`);
+    }
+    const current = get().nodes.find((node) => node.id === nodeId);
+    const data = { ...current?.data, ...changes };
+    let { edges } = get();
+    if (current && getPorts) {
+      const before = getPorts(current.data);
+      const after = getPorts(data);
+      edges = edges.filter((edge) => !isOnRemovedPort(edge, nodeId, before, after));
+    }
+    set({
+      nodes: get().nodes.map((node) => (node.id === nodeId ? { ...node, data } : node)),
+      edges
+    });
+  },
+  updateNodeField: (nodeId, fieldName, fieldValue, options) => {
+    get().updateNodeData(nodeId, { [fieldName]: fieldValue }, options);
+  },
+
+  // Records the current graph as an undo step. Call it *before* applying a change.
+  // Snapshots taken in the same tick (e.g. a node and its edges being deleted
+  // together) form one step, and consecutive snapshots with the same
+  // coalesceKey within COALESCE_MS (e.g. typing in a field) are merged.
+  takeSnapshot: (coalesceKey = null) => {
+    const now = Date.now();
+    if (batchOpen) {
+      return;
+    }
+    if (coalesceKey && lastSnapshot.key === coalesceKey && now - lastSnapshot.time < COALESCE_MS) {
+      lastSnapshot.time = now;
+      return;
+    }
+
+    const { nodes, edges, past } = get();
+    set({ past: [...past.slice(-(MAX_HISTORY - 1)), { nodes, edges }], future: [] });
+    lastSnapshot = { key: coalesceKey, time: now };
+    batchOpen = true;
+    setTimeout(() => {
+      batchOpen = false;
+    }, 0);
+  },
+
+  undo: () => {
+    const { nodes, edges, past, future } = get();
+    const previous = past[past.length - 1];
+    if (!previous) {
+      return;
+    }
+    lastSnapshot = { key: null, time: 0 };
+    set({ ...previous, past: past.slice(0, -1), future: [...future, { nodes, edges }] });
+  },
+
+  redo: () => {
+    const { nodes, edges, past, future } = get();
+    const next = future[future.length - 1];
+    if (!next) {
+      return;
+    }
+    lastSnapshot = { key: null, time: 0 };
+    set({ ...next, past: [...past, { nodes, edges }], future: future.slice(0, -1) });
+  },
+
+  // Forgets all steps, e.g. when the canvas switches to a different graph
+  clearHistory: () => {
+    lastSnapshot = { key: null, time: 0 };
+    set({ past: [], future: [] });
+  },
+}));
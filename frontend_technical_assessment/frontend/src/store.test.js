@@ -0,0 +1,54 @@
+// Data edits that change a node's ports take the edges of removed ports along
+import { useStore } from './store';
+import { getMergePorts, getSwitchPorts } from './controlFlow';
+
+const node = (id, type, data) => ({ id, type, position: { x: 0, y: 0 }, data });
+const edge = (source, sourcePort, target, targetPort) => ({
+  id: `e${source}-${sourcePort}-${target}-${targetPort}`,
+  source,
+  sourceHandle: `${source}-${sourcePort}`,
+  target,
+  targetHandle: `${target}-${targetPort}`
+});
+
+const edgeIds = () => useStore.getState().edges.map((item) => item.id);
+
+beforeEach(() => {
+  useStore.setState({ nodes: [], edges: [], past: [], future: [] });
+});
+
+describe('updateNodeField', () => {
+  test('drops the edges of a removed Switch case', () => {
+    useStore.setState({
+      nodes: [node('in', 'input', {}), node('sw', 'switch', { cases: 'a\nb' }), node('x', 'output', {}), node('y', 'output', {})],
+      edges: [edge('in', 'output', 'sw', 'input'), edge('sw', 'case1', 'x', 'input'), edge('sw', 'case2', 'y', 'input')]
+    });
+
+    useStore.getState().updateNodeField('sw', 'cases', 'a', { getPorts: getSwitchPorts });
+    expect(useStore.getState().nodes[1].data.cases).toBe('a');
+    expect(edgeIds()).toEqual(['ein-output-sw-input', 'esw-case1-x-input']);
+
+    useStore.getState().undo();
+    expect(edgeIds()).toHaveLength(3);
+  });
+
+  test('drops the edges of removed Merge branches only', () => {
+    useStore.setState({
+      nodes: [node('a', 'input', {}), node('b', 'input', {}), node('c', 'input', {}), node('m', 'merge', { inputCount: 3 })],
+      edges: [edge('a', 'output', 'm', 'branch1'), edge('b', 'output', 'm', 'branch2'), edge('c', 'output', 'm', 'branch3')]
+    });
+
+    useStore.getState().updateNodeField('m', 'inputCount', 2, { getPorts: getMergePorts });
+    expect(edgeIds()).toEqual(['ea-output-m-branch1', 'eb-output-m-branch2']);
+  });
+
+  test('keeps edges when no getPorts is given', () => {
+    useStore.setState({
+      nodes: [node('sw', 'switch', { cases: 'a\nb' }), node('y', 'output', {})],
+      edges: [edge('sw', 'case2', 'y', 'input')]
+    });
+
+    useStore.getState().updateNodeField('sw', 'cases', 'a');
+    expect(edgeIds()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,373 @@
+// subgraph.js
+// Composite nodes that contain a nested pipeline
+// --------------------------------------------------
+// A subgraph node keeps its inner pipeline in its data:
+//   data: {
+//     label: 'Summarize',
+//     graph: { nodes, edges },                        // inner positions are relative
+//     inputs: [{ name, type, node, handle }],         // exposed port -> inner target handle
+//     outputs: [{ name, type, node, handle }]         // exposed port -> inner source handle
+//   }
+// Analysis and execution work on the flattened pipeline, where every inner
+// node id is prefixed with the ids of its enclosing subgraphs, e.g. 'group1/3'.
+// Map nodes keep a pipeline in data.graph as well and are opened the same
+// way, but are never flattened (see mapNode.js).
+
+import { getHandleName } from './graph';
+import { getNodeType, registerNodeType } from './nodeRegistry';
+import { hasPortValue, getPortValue } from './ports';
+import { SCHEMA_VERSION, migratePipeline } from './persistence';
+import { isMapNode } from './mapNode';
+
+export const SUBGRAPH_TYPE = 'subgraph';
+export const SUBGRAPH_ID_SEPARATOR = '/';
+
+const SAVED_TYPES_KEY = 'streamgraph:subgraphTypes';
+
+export const isSubgraphNode = (node) => !isMapNode(node) && Array.isArray(node?.data?.graph?.nodes);
+
+// Exposed ports of a subgraph node, in the shape returned by getPorts()
+export const getSubgraphPorts = (data) => ({
+  inputs: (data?.inputs || []).map(({ name, type }) => ({ name, type })),
+  outputs: (data?.outputs || []).map(({ name, type }) => ({ name, type }))
+});
+
+const uniqueName = (name, taken) => {
+  let candidate = name;
+  let suffix = 2;
+  while (taken.includes(candidate)) {
+    candidate = `${name}_${suffix++}`;
+  }
+  return candidate;
+};
+
+const withoutSelection = ({ selected, dragging, className, ...node }) => node;
+
+// One exposed port per distinct inner handle that an edge crosses the boundary at
+const boundaryPorts = (crossing, side, nodesById, getPorts) => {
+  const ports = [];
+  crossing.forEach((edge) => {
+    const nodeId = side === 'inputs' ? edge.target : edge.source;
+    const handle = getHandleName(nodeId, side === 'inputs' ? edge.targetHandle : edge.sourceHandle, side === 'inputs' ? 'input' : 'output');
+    if (ports.some((port) => port.node === nodeId && port.handle === handle)) {
+      return;
+    }
+    const innerPort = getPorts(nodesById[nodeId])[side].find((port) => port.name === handle);
+    ports.push({
+      name: uniqueName(handle, ports.map((port) => port.name)),
+      type: innerPort?.type || 'any',
+      node: nodeId,
+      handle
+    });
+  });
+  return ports;
+};
+
+/**
+ * Collapses the nodes in `selectedIds` into a single subgraph node `id`.
+ * Edges crossing the selection boundary become the subgraph's ports and are
+ * re-attached to it. Returns { nodes, edges, node } for the outer canvas.
+ */
+export const groupIntoSubgraph = (nodes, edges, selectedIds, { id, label = 'Group', getPorts }) => {
+  const selected = new Set(selectedIds);
+  const innerNodes = nodes.filter((node) => selected.has(node.id));
+  const nodesById = Object.fromEntries(innerNodes.map((node) => [node.id, node]));
+  const origin = {
+    x: Math.min(...innerNodes.map((node) => node.position.x)),
+    y: Math.min(...innerNodes.map((node) => node.position.y))
+  };
+
+  const incoming = edges.filter((edge) => !selected.has(edge.source) && selected.has(edge.target));
+  const outgoing = edges.filter((edge) => selected.has(edge.source) && !selected.has(edge.target));
+  const inputs = boundaryPorts(incoming, 'inputs', nodesById, getPorts);
+  const outputs = boundaryPorts(outgoing, 'outputs', nodesById, getPorts);
+
+  const subgraph = {
+    id,
+    type: SUBGRAPH_TYPE,
+    position: origin,
+    data: {
+      label,
+      graph: {
+        nodes: innerNodes.map((node) => withoutSelection({
+          ...node,
+          position: { x: node.position.x - origin.x, y: node.position.y - origin.y }
+        })),
+        edges: edges.filter((edge) => selected.has(edge.source) && selected.has(edge.target)).map(withoutSelection)
+      },
+      inputs,
+      outputs
+    }
+  };
+
+  const portFor = (ports, nodeId, handle) =>
+    ports.find((port) => port.node === nodeId && port.handle === handle);
+
+  const outerEdges = edges.flatMap((edge) => {
+    if (incoming.includes(edge)) {
+      const port = portFor(inputs, edge.target, getHandleName(edge.target, edge.targetHandle));
+      return [{ ...edge, target: id, targetHandle: `${id}-${port.name}` }];
+    }
+    if (outgoing.includes(edge)) {
+      const port = portFor(outputs, edge.source, getHandleName(edge.source, edge.sourceHandle, 'output'));
+      return [{ ...edge, source: id, sourceHandle: `${id}-${port.name}` }];
+    }
+    return selected.has(edge.source) ? [] : [edge];
+  });
+
+  return {
+    nodes: [...nodes.filter((node) => !selected.has(node.id)), subgraph],
+    edges: outerEdges,
+    node: subgraph
+  };
+};
+
+/**
+ * Replaces subgraph node `subgraphId` by its inner nodes, reconnecting the
+ * outer edges to the inner handles behind each port. Inner ids that clash
+ * with nodes already on the canvas are prefixed with the subgraph id.
+ */
+export const expandSubgraph = (nodes, edges, subgraphId) => {
+  const subgraph = nodes.find((node) => node.id === subgraphId);
+  if (!isSubgraphNode(subgraph)) {
+    return { nodes, edges };
+  }
+
+  const { graph, inputs = [], outputs = [] } = subgraph.data;
+  const takenIds = new Set(nodes.map((node) => node.id));
+  const idMap = Object.fromEntries(graph.nodes.map((node) => [
+    node.id,
+    takenIds.has(node.id) ? `${subgraphId}-${node.id}` : node.id
+  ]));
+  const handleFor = (nodeId, handle) => `${idMap[nodeId]}-${handle}`;
+
+  const innerNodes = graph.nodes.map((node) => ({
+    ...node,
+    id: idMap[node.id],
+    position: { x: subgraph.position.x + node.position.x, y: subgraph.position.y + node.position.y },
+    selected: true
+  }));
+  const innerEdges = graph.edges.map((edge) => ({
+    ...edge,
+    id: `${subgraphId}-${edge.id}`,
+    source: idMap[edge.source],
+    sourceHandle: handleFor(edge.source, getHandleName(edge.source, edge.sourceHandle, 'output')),
+    target: idMap[edge.target],
+    targetHandle: handleFor(edge.target, getHandleName(edge.target, edge.targetHandle))
+  }));
+
+  const outerEdges = edges.flatMap((edge) => {
+    if (edge.target === subgraphId) {
+      const port = inputs.find((p) => p.name === getHandleName(subgraphId, edge.targetHandle));
+      return port ? [{ ...edge, target: idMap[port.node], targetHandle: handleFor(port.node, port.handle) }] : [];
+    }
+    if (edge.source === subgraphId) {
+      const port = outputs.find((p) => p.name === getHandleName(subgraphId, edge.sourceHandle, 'output'));
+      return port ? [{ ...edge, source: idMap[port.node], sourceHandle: handleFor(port.node, port.handle) }] : [];
+    }
+    return [edge];
+  });
+
+  return {
+    nodes: [...nodes.filter((node) => node.id !== subgraphId).map((node) => ({ ...node, selected: false })), ...innerNodes],
+    edges: [...outerEdges, ...innerEdges]
+  };
+};
+
+/**
+ * Stores an edited inner graph back into subgraph (or Map) node `subgraphId`.
+ * Ports whose inner node or handle no longer exists are removed together
+ * with the outer edges attached to them.
+ */
+export const applySubgraphEdit = (nodes, edges, subgraphId, innerNodes, innerEdges, { getPorts }) => {
+  const subgraph = nodes.find((node) => node.id === subgraphId);
+  if (!subgraph) {
+    return { nodes, edges };
+  }
+  const graph = { nodes: innerNodes.map(withoutSelection), edges: innerEdges.map(withoutSelection) };
+
+  // A Map node's ports don't depend on its pipeline
+  if (!isSubgraphNode(subgraph)) {
+    return {
+      nodes: nodes.map((node) => (node.id === subgraphId ? { ...node, data: { ...node.data, graph } } : node)),
+      edges
+    };
+  }
+
+  const innerById = Object.fromEntries(innerNodes.map((node) => [node.id, node]));
+  const stillExists = (side) => (port) =>
+    innerById[port.node] && getPorts(innerById[port.node])[side].some((p) => p.name === port.handle);
+  const inputs = (subgraph.data.inputs || []).filter(stillExists('inputs'));
+  const outputs = (subgraph.data.outputs || []).filter(stillExists('outputs'));
+
+  const updated = {
+    ...subgraph,
+    data: {
+      ...subgraph.data,
+      graph,
+      inputs,
+      outputs
+    }
+  };
+
+  return {
+    nodes: nodes.map((node) => (node.id === subgraphId ? updated : node)),
+    edges: edges.filter((edge) => {
+      if (edge.target === subgraphId) {
+        return inputs.some((port) => port.name === getHandleName(subgraphId, edge.targetHandle));
+      }
+      if (edge.source === subgraphId) {
+        return outputs.some((port) => port.name === getHandleName(subgraphId, edge.sourceHandle, 'output'));
+      }
+      return true;
+    })
+  };
+};
+
+// Follows a subgraph port down to the concrete inner node and handle it stands for
+const resolveEndpoint = (node, handle, side, prefix) => {
+  if (!isSubgraphNode(node)) {
+    return { id: `${prefix}${node.id}`, handle };
+  }
+  const port = (node.data[side] || []).find((p) => p.name === handle);
+  const inner = port && node.data.graph.nodes.find((n) => n.id === port.node);
+  return inner
+    ? resolveEndpoint(inner, port.handle, side, `${prefix}${node.id}${SUBGRAPH_ID_SEPARATOR}`)
+    : null;
+};
+
+const flattenLevel = (nodes, edges, prefix) => {
+  const nodesById = Object.fromEntries(nodes.map((node) => [node.id, node]));
+  const flatNodes = [];
+  const flatEdges = [];
+
+  nodes.forEach((node) => {
+    if (isSubgraphNode(node)) {
+      const inner = flattenLevel(node.data.graph.nodes, node.data.graph.edges, `${prefix}${node.id}${SUBGRAPH_ID_SEPARATOR}`);
+      flatNodes.push(...inner.nodes);
+      flatEdges.push(...inner.edges);
+    } else {
+      flatNodes.push({ ...node, id: `${prefix}${node.id}` });
+    }
+  });
+
+  edges.forEach((edge) => {
+    const sourceNode = nodesById[edge.source];
+    const targetNode = nodesById[edge.target];
+    const source = sourceNode && resolveEndpoint(sourceNode, getHandleName(edge.source, edge.sourceHandle, 'output'), 'outputs', prefix);
+    const target = targetNode && resolveEndpoint(targetNode, getHandleName(edge.target, edge.targetHandle), 'inputs', prefix);
+    if (source && target) {
+      flatEdges.push({
+        ...edge,
+        id: `${prefix}${edge.id}`,
+        source: source.id,
+        sourceHandle: `${source.id}-${source.handle}`,
+        target: target.id,
+        targetHandle: `${target.id}-${target.handle}`
+      });
+    }
+  });
+
+  return { nodes: flatNodes, edges: flatEdges };
+};
+
+// The pipeline with every subgraph (recursively) replaced by its inner nodes
+export const flattenPipeline = (nodes, edges) =>
+  nodes.some(isSubgraphNode) ? flattenLevel(nodes, edges, '') : { nodes, edges };
+
+/**
+ * Results for the subgraph nodes themselves (at every nesting level), keyed
+ * by flattened id, derived from the inner nodes behind their output ports.
+ * A single output port yields its value; several yield { portName: value }.
+ */
+export const collectSubgraphResults = (nodes, results, prefix = '') =>
+  nodes.filter(isSubgraphNode).reduce((collected, node) => {
+    const innerPrefix = `${prefix}${node.id}${SUBGRAPH_ID_SEPARATOR}`;
+    const inner = collectSubgraphResults(node.data.graph.nodes, results, innerPrefix);
+    const portResults = (node.data.outputs || []).map((port) => {
+      const endpoint = resolveEndpoint(node, port.name, 'outputs', prefix);
+      return [port.name, endpoint && results[endpoint.id], endpoint?.handle];
+    });
+    const delivered = portResults.filter(([, result, handle]) => hasPortValue(result, handle));
+    const failed = Object.keys(results).some((id) => id.startsWith(innerPrefix) && results[id].status === 'error');
+
+    let result;
+    if (delivered.length > 0) {
+      const output = portResults.length === 1
+        ? getPortValue(delivered[0][1], delivered[0][2])
+        : Object.fromEntries(delivered.map(([name, r, handle]) => [name, getPortValue(r, handle)]));
+      result = { status: 'success', output };
+    } else if (failed) {
+      result = { status: 'error', error: 'A node inside this group failed' };
+    } else {
+      result = { status: 'skipped' };
+    }
+    return { ...collected, ...inner, [`${prefix}${node.id}`]: result };
+  }, {});
+
+// Reusable subgraph types
+
+const slugify = (label) => label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const subgraphTypeConfig = ({ type, label, template }) => ({
+  ...getNodeType(SUBGRAPH_TYPE),
+  type,
+  label,
+  hidden: false,
+  description: `Saved group of ${template.graph.nodes.length} node(s)`,
+  defaultData: template
+});
+
+/**
+ * Registers the subgraph node's inner pipeline as a new node type that can be
+ * added from the palette, and remembers it across sessions.
+ * Returns the new type key.
+ */
+export const saveSubgraphType = (node, label) => {
+  const slug = slugify(label);
+  if (!slug) {
+    throw new Error('Give the node type a name');
+  }
+  const type = `${SUBGRAPH_TYPE}-${slug}`;
+  const { graph, inputs, outputs } = node.data;
+  const saved = { type, label, schemaVersion: SCHEMA_VERSION, template: { label, graph, inputs, outputs } };
+
+  registerNodeType(subgraphTypeConfig(saved), { override: true });
+  try {
+    const all = JSON.parse(localStorage.getItem(SAVED_TYPES_KEY) || '{}');
+    all[type] = saved;
+    localStorage.setItem(SAVED_TYPES_KEY, JSON.stringify(all));
+  } catch (error) {
+    console.log('Could not remember subgraph type:', error.message);
+  }
+  return type;
+};
+
+// Templates saved before types were versioned are from schema 1
+const migrateSavedType = (saved) => {
+  const doc = migratePipeline({
+    schemaVersion: saved.schemaVersion ?? 1,
+    nodes: [{ id: 'template', type: SUBGRAPH_TYPE, data: saved.template }],
+    edges: []
+  });
+  return { ...saved, schemaVersion: doc.schemaVersion, template: doc.nodes[0].data };
+};
+
+// Re-registers subgraph types saved in earlier sessions; a type that no
+// longer loads is skipped without losing the others
+export const restoreSavedSubgraphTypes = () => {
+  let all;
+  try {
+    all = JSON.parse(localStorage.getItem(SAVED_TYPES_KEY) || '{}');
+  } catch (error) {
+    console.log('Ignoring saved subgraph types:', error.message);
+    return;
+  }
+  Object.entries(all).forEach(([type, saved]) => {
+    try {
+      registerNodeType(subgraphTypeConfig(migrateSavedType(saved)), { override: true });
+    } catch (error) {
+      console.log(`Ignoring saved subgraph type "${type}":`, error.message);
+    }
+  });
+};
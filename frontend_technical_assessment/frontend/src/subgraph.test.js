@@ -0,0 +1,141 @@
+// Subgraphs: grouping, flattened ids like 'group1/3' and the results mapped
+// back to them, expanding, and saved types from older versions
+import {
+  collectSubgraphResults,
+  expandSubgraph,
+  flattenPipeline,
+  groupIntoSubgraph,
+  restoreSavedSubgraphTypes
+} from './subgraph';
+import { executePipeline } from './executor';
+import { getNodeType, getPorts } from './nodeRegistry';
+
+const node = (id, type, data = {}, position = { x: 0, y: 0 }) => ({ id, type, position, data });
+const edge = (source, target, sourcePort = 'output', targetPort = 'input') => ({
+  id: `e${source}-${target}`,
+  source,
+  sourceHandle: `${source}-${sourcePort}`,
+  target,
+  targetHandle: `${target}-${targetPort}`
+});
+
+// 1 (input) -> 2 (uppercase) -> 3 (trim) -> 4 (output)
+const pipeline = () => ({
+  nodes: [
+    node('1', 'input', { value: ' abc ' }),
+    node('2', 'transform', { operation: 'uppercase' }, { x: 100, y: 50 }),
+    node('3', 'transform', { operation: 'trim' }, { x: 200, y: 80 }),
+    node('4', 'output', { outputName: 'out' })
+  ],
+  edges: [edge('1', '2'), edge('2', '3'), edge('3', '4')]
+});
+
+const group = ({ nodes, edges }, ids, id) => groupIntoSubgraph(nodes, edges, ids, { id, getPorts });
+
+describe('groupIntoSubgraph', () => {
+  test('moves the nodes inside and exposes a port per crossing edge', () => {
+    const { nodes, edges, node: subgraph } = group(pipeline(), ['2', '3'], 'group1');
+    expect(nodes.map((item) => item.id)).toEqual(['1', '4', 'group1']);
+    expect(subgraph.position).toEqual({ x: 100, y: 50 });
+    expect(subgraph.data.graph.nodes.map((item) => [item.id, item.position])).toEqual([['2', { x: 0, y: 0 }], ['3', { x: 100, y: 30 }]]);
+    expect(subgraph.data.inputs).toEqual([{ name: 'input', type: 'any', node: '2', handle: 'input' }]);
+    expect(subgraph.data.outputs).toEqual([{ name: 'output', type: 'any', node: '3', handle: 'output' }]);
+    expect(edges.map((item) => [item.source, item.sourceHandle, item.target, item.targetHandle])).toEqual([
+      ['1', '1-output', 'group1', 'group1-input'],
+      ['group1', 'group1-output', '4', '4-input']
+    ]);
+  });
+});
+
+describe('flattenPipeline', () => {
+  test('prefixes inner ids with the subgraph ids and reconnects through the ports', () => {
+    const inner = group(pipeline(), ['2', '3'], 'group1');
+    const outer = group(inner, ['group1'], 'outer');
+    const flat = flattenPipeline(outer.nodes, outer.edges);
+
+    expect(flat.nodes.map((item) => item.id)).toEqual(['1', '4', 'outer/group1/2', 'outer/group1/3']);
+    expect(flat.edges.map((item) => [item.id, item.sourceHandle, item.targetHandle])).toEqual([
+      ['outer/group1/e2-3', 'outer/group1/2-output', 'outer/group1/3-input'],
+      ['e1-2', '1-output', 'outer/group1/2-input'],
+      ['e3-4', 'outer/group1/3-output', '4-input']
+    ]);
+  });
+
+  test('returns pipelines without subgraphs as they are', () => {
+    const { nodes, edges } = pipeline();
+    expect(flattenPipeline(nodes, edges)).toEqual({ nodes, edges });
+  });
+
+  test('runs grouped pipelines like the original one', async () => {
+    const { nodes, edges } = group(pipeline(), ['2', '3'], 'group1');
+    const run = await executePipeline(nodes, edges);
+    expect(run.outputs).toEqual({ out: 'ABC' });
+    expect(run.results['group1/3'].output).toBe('ABC');
+    expect(run.results.group1).toEqual({ status: 'success', output: 'ABC' });
+  });
+});
+
+describe('collectSubgraphResults', () => {
+  const { nodes } = group(group(pipeline(), ['2', '3'], 'group1'), ['group1'], 'outer');
+
+  test('maps the flattened results back to the subgraphs at every level', () => {
+    const results = {
+      'outer/group1/2': { status: 'success', output: ' ABC ' },
+      'outer/group1/3': { status: 'success', output: 'ABC' }
+    };
+    expect(collectSubgraphResults(nodes, results)).toEqual({
+      'outer/group1': { status: 'success', output: 'ABC' },
+      outer: { status: 'success', output: 'ABC' }
+    });
+  });
+
+  test('reports a failure inside a subgraph', () => {
+    const results = { 'outer/group1/2': { status: 'error', error: 'boom' } };
+    expect(collectSubgraphResults(nodes, results).outer).toEqual({ status: 'error', error: 'A node inside this group failed' });
+  });
+});
+
+describe('expandSubgraph', () => {
+  test('puts the inner nodes back, prefixing ids that are taken', () => {
+    const grouped = group(pipeline(), ['2', '3'], 'group1');
+    const clash = { ...grouped, nodes: [...grouped.nodes, node('3', 'text')] };
+    const { nodes, edges } = expandSubgraph(clash.nodes, clash.edges, 'group1');
+
+    expect(nodes.map((item) => [item.id, item.position])).toEqual([
+      ['1', { x: 0, y: 0 }],
+      ['4', { x: 0, y: 0 }],
+      ['3', { x: 0, y: 0 }],
+      ['2', { x: 100, y: 50 }],
+      ['group1-3', { x: 200, y: 80 }]
+    ]);
+    expect(edges.map((item) => [item.source, item.target, item.targetHandle])).toEqual([
+      ['1', '2', '2-input'],
+      ['group1-3', '4', '4-input'],
+      ['2', 'group1-3', 'group1-3-input']
+    ]);
+  });
+});
+
+describe('restoreSavedSubgraphTypes', () => {
+  afterEach(() => localStorage.clear());
+
+  test('migrates types saved before versioning and skips broken ones', () => {
+    const logged = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const template = {
+      label: 'Ask',
+      graph: { nodes: [node('llm', 'llm')], edges: [] },
+      inputs: [{ name: 'question', type: 'text', node: 'llm', handle: 'input' }],
+      outputs: []
+    };
+    localStorage.setItem('streamgraph:subgraphTypes', JSON.stringify({
+      'subgraph-broken': { type: 'subgraph-broken', label: 'Broken', template: null },
+      'subgraph-ask': { type: 'subgraph-ask', label: 'Ask', template }
+    }));
+
+    restoreSavedSubgraphTypes();
+    expect(getNodeType('subgraph-broken')).toBeUndefined();
+    expect(getNodeType('subgraph-ask').defaultData.inputs[0].handle).toBe('prompt');
+    expect(logged).toHaveBeenCalledWith('Ignoring saved subgraph type "subgraph-broken":', expect.any(String));
+    logged.mockRestore();
+  });
+});
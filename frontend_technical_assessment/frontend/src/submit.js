@@ -1,74 +1,47 @@
 //submit.js
-// DAG Detection Algorithm
 
-const isDAG = (nodes, edges) => {
-  const adjList = {};
-  const inDegree = {};
-  
-  // Initialize
-  nodes.forEach(node => {
-    adjList[node.id] = [];
-    inDegree[node.id] = 0;
-  });
-  
-  // Build adjacency list
-  edges.forEach(edge => {
-    adjList[edge.source].push(edge.target);
-    inDegree[edge.target] = (inDegree[edge.target] || 0) + 1;
-  });
-  
-  // Kahn's algorithm
-  const queue = nodes.filter(node => inDegree[node.id] === 0).map(n => n.id);
-  let count = 0;
-  
-  while (queue.length > 0) {
-    const current = queue.shift();
-    count++;
-    
-    adjList[current].forEach(neighbor => {
-      inDegree[neighbor]--;
-      if (inDegree[neighbor] === 0) {
-        queue.push(neighbor);
-      }
-    });
+import { requestPipelineAnalysis, ApiNetworkError } from './apiClient';
+import { validateNodes, PipelineValidationError } from './validation';
+import { getNodeType } from './nodeRegistry';
+import { flattenPipeline } from './subgraph';
+import { analyzePipeline, ANALYSIS_FIELDS } from './analysis';
+
+// Fields an older backend doesn't send yet are filled in locally
+const completeAnalysis = (result, nodes, edges) => {
+  if (ANALYSIS_FIELDS.every((field) => field in result)) {
+    return result;
   }
-  
-  return count === nodes.length;
+  return { ...analyzePipeline(nodes, edges), ...result };
 };
 
-// Submit pipeline to backend
-export const submitPipeline = async (nodes, edges) => {
+// Submit pipeline to backend.
+// Resolves to the analysis (fields listed in analysis.js) plus `mode`:
+// 'backend', or 'local' (with `fallbackReason`) when the backend could not
+// be reached. A request the
+// backend rejects throws ApiValidationError instead of falling back.
+// Nothing is sent while node fields are invalid: PipelineValidationError
+// carries the structured { nodeId, field, message } errors instead.
+// Subgraphs are flattened first, so the backend only ever sees plain nodes.
+export const submitPipeline = async (pipelineNodes, pipelineEdges) => {
+  const { nodes, edges } = flattenPipeline(pipelineNodes, pipelineEdges);
+  const validationErrors = validateNodes(nodes, getNodeType);
+  if (validationErrors.length > 0) {
+    throw new PipelineValidationError(validationErrors);
+  }
+
   try {
-    const response = await fetch('http://localhost:8000/pipelines/parse', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        nodes: nodes,
-        edges: edges
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error('Backend request failed');
-    }
-    
-    const result = await response.json();
-    return result;
-    
+    const result = await requestPipelineAnalysis(nodes, edges);
+    return { ...completeAnalysis(result, nodes, edges), mode: 'backend' };
   } catch (error) {
-    console.log('Backend not available, using local calculation');
-    
-    // Fallback: calculate locally
-    const num_nodes = nodes.length;
-    const num_edges = edges.length;
-    const is_dag = isDAG(nodes, edges);
-    
+    if (!(error instanceof ApiNetworkError)) {
+      throw error;
+    }
+
+    // The local-mode badge shows `fallbackReason`
     return {
-      num_nodes,
-      num_edges,
-      is_dag
+      ...analyzePipeline(nodes, edges),
+      mode: 'local',
+      fallbackReason: error.message
     };
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,443 @@
+// template.js
+// Template language used by Text nodes
+// --------------------------------------------------
+// {{name}}                     value of the `name` input
+// {{user.name}}                dotted path (JSON text inputs are parsed on demand)
+// {{name | default:"anon"}}    fallback when the value is missing or empty
+// {{name | upper | trim}}      filters: upper, lower, trim, json, length, default
+// {{#if flag}}...{{else}}...{{/if}}
+// {{#each items}}{{@index}}: {{this.title}}{{/each}}
+// {{$env.API_URL}}             pipeline variable (see variables.js)
+//
+// Inside #each, `this` is the current item and `@index` its position; bare
+// names always refer to the node's inputs, so they still become input handles.
+// `$env` is not an input: the pipeline variables are passed as `$env` when
+// the pipeline runs, so filters and blocks work on them like on any value.
+
+const IDENTIFIER = '[a-zA-Z_$][a-zA-Z0-9_$]*';
+const ENV_ROOT = '$env';
+const PATH_PATTERN = new RegExp(`^(${IDENTIFIER}|this|@index)(\\.${IDENTIFIER}|\\.\\d+)*$`);
+
+export class TemplateSyntaxError extends Error {
+  constructor(message, text, index) {
+    const before = text.slice(0, index).split('\n');
+    const line = before.length;
+    const column = before[before.length - 1].length + 1;
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'TemplateSyntaxError';
+    this.index = index;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const filters = {
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  trim: (value) => toText(value).trim(),
+  json: (value) => JSON.stringify(value ?? null),
+  // Lists, including JSON text holding one as {{#each}} reads it, count their items
+  length: (value) => (parseList(value) ?? toText(value)).length,
+  default: (value, fallback) => (isBlank(value) ? fallback : value)
+};
+
+export const TEMPLATE_FILTERS = Object.keys(filters);
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toText = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+// The list a value holds, parsing JSON text, or null when it isn't one
+const parseList = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+};
+
+// Splits on `|` outside of quoted arguments
+const splitPipes = (source) => {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of source) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === '|') {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+};
+
+const parsePath = (source, text, index) => {
+  if (!PATH_PATTERN.test(source)) {
+    throw new TemplateSyntaxError(`Invalid variable "${source}"`, text, index);
+  }
+  return source.split('.');
+};
+
+const parseFilter = (source, text, index) => {
+  const match = source.match(/^([a-zA-Z]+)\s*(?::\s*(.+))?$/);
+  if (!match || !filters[match[1]]) {
+    throw new TemplateSyntaxError(`Unknown filter "${source}"`, text, index);
+  }
+
+  const [, name, rawArg] = match;
+  let arg;
+  if (rawArg !== undefined) {
+    const quoted = rawArg.match(/^(['"])(.*)\1$/);
+    if (quoted) {
+      arg = quoted[2];
+    } else if (!Number.isNaN(Number(rawArg))) {
+      arg = Number(rawArg);
+    } else {
+      throw new TemplateSyntaxError(`Filter arguments must be quoted strings or numbers: "${rawArg}"`, text, index);
+    }
+  }
+  return { name, arg };
+};
+
+const parseExpression = (source, text, index) => {
+  const [pathSource, ...filterSources] = splitPipes(source);
+  return {
+    path: parsePath(pathSource, text, index),
+    filters: filterSources.map((filter) => parseFilter(filter, text, index))
+  };
+};
+
+// Splits the template into text and tag tokens
+const tokenize = (text) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const open = text.indexOf('{{', position);
+    if (open === -1) {
+      tokens.push({ type: 'text', value: text.slice(position) });
+      break;
+    }
+    if (open > position) {
+      tokens.push({ type: 'text', value: text.slice(position, open) });
+    }
+
+    const close = text.indexOf('}}', open + 2);
+    if (close === -1) {
+      throw new TemplateSyntaxError('Unclosed "{{"', text, open);
+    }
+    tokens.push({ type: 'tag', source: text.slice(open + 2, close).trim(), index: open });
+    position = close + 2;
+  }
+
+  return tokens;
+};
+
+/**
+ * Parses a template into an AST:
+ *   { type: 'text', value }
+ *   { type: 'expr', path, filters }
+ *   { type: 'if', path, then, else }
+ *   { type: 'each', path, body }
+ * Throws TemplateSyntaxError with the line and column of the first problem.
+ */
+export const parseTemplate = (text) => {
+  const root = { type: 'root', body: [] };
+  const stack = [{ node: root, target: root.body }];
+  const current = () => stack[stack.length - 1];
+  let eachDepth = 0;
+
+  const checkScope = (path, index) => {
+    if ((path[0] === 'this' || path[0] === '@index') && eachDepth === 0) {
+      throw new TemplateSyntaxError(`"${path[0]}" can only be used inside {{#each}}`, text, index);
+    }
+  };
+
+  tokenize(text).forEach((token) => {
+    if (token.type === 'text') {
+      current().target.push(token);
+      return;
+    }
+
+    const { source, index } = token;
+    if (source === '') {
+      throw new TemplateSyntaxError('Empty tag "{{}}"', text, index);
+    }
+
+    const block = source.match(/^#(\w+)\s*(.*)$/);
+    if (block) {
+      const [, name, argument] = block;
+      if (name !== 'if' && name !== 'each') {
+        throw new TemplateSyntaxError(`Unknown block "#${name}"`, text, index);
+      }
+      if (!argument) {
+        throw new TemplateSyntaxError(`"#${name}" needs a variable`, text, index);
+      }
+      const path = parsePath(argument.trim(), text, index);
+      checkScope(path, index);
+
+      const node = name === 'if'
+        ? { type: 'if', path, then: [], else: [], index }
+        : { type: 'each', path, body: [], index };
+      current().target.push(node);
+      stack.push({ node, target: name === 'if' ? node.then : node.body });
+      if (name === 'each') {
+        eachDepth++;
+      }
+      return;
+    }
+
+    if (source === 'else') {
+      const { node } = current();
+      if (node.type !== 'if' || current().target === node.else) {
+        throw new TemplateSyntaxError('"{{else}}" without a matching {{#if}}', text, index);
+      }
+      current().target = node.else;
+      return;
+    }
+
+    const closing = source.match(/^\/(\w+)$/);
+    if (closing) {
+      const { node } = current();
+      if (node.type !== closing[1]) {
+        const expected = node.type === 'root' ? 'no open block' : `{{/${node.type}}}`;
+        throw new TemplateSyntaxError(`Unexpected "{{/${closing[1]}}}", expected ${expected}`, text, index);
+      }
+      if (node.type === 'each') {
+        eachDepth--;
+      }
+      stack.pop();
+      return;
+    }
+
+    const expression = parseExpression(source, text, index);
+    checkScope(expression.path, index);
+    current().target.push({ type: 'expr', ...expression, index });
+  });
+
+  if (stack.length > 1) {
+    const { node } = current();
+    throw new TemplateSyntaxError(`Unclosed "{{#${node.type}}}"`, text, node.index);
+  }
+
+  return root;
+};
+
+// Names that are not inputs of the node
+const isReservedRoot = (name) => name === 'this' || name === '@index' || name === ENV_ROOT;
+
+const collectRootVariables = (nodes, found) => {
+  nodes.forEach((node) => {
+    const root = node.path?.[0];
+    if (root && !isReservedRoot(root) && !found.includes(root)) {
+      found.push(root);
+    }
+    ['then', 'else', 'body'].forEach((key) => {
+      if (node[key]) {
+        collectRootVariables(node[key], found);
+      }
+    });
+  });
+  return found;
+};
+
+// Pipeline variable names used as {{$env.NAME}} anywhere in the template
+const collectEnvNames = (nodes, found) => {
+  nodes.forEach((node) => {
+    const [root, name] = node.path || [];
+    if (root === ENV_ROOT && name && !found.includes(name)) {
+      found.push(name);
+    }
+    ['then', 'else', 'body'].forEach((key) => {
+      if (node[key]) {
+        collectEnvNames(node[key], found);
+      }
+    });
+  });
+  return found;
+};
+
+// Root variables used as the argument of {{#if}} or {{#each}}: they may be
+// lists or flags rather than text
+const collectBlockVariables = (nodes, found) => {
+  nodes.forEach((node) => {
+    const root = node.path?.[0];
+    if ((node.type === 'if' || node.type === 'each') && !isReservedRoot(root) && !found.includes(root)) {
+      found.push(root);
+    }
+    ['then', 'else', 'body'].forEach((key) => {
+      if (node[key]) {
+        collectBlockVariables(node[key], found);
+      }
+    });
+  });
+  return found;
+};
+
+// Best-effort variable names from every well-formed tag, used while the
+// template has a syntax error so existing input handles don't disappear
+const scanVariables = (text) => {
+  const found = [];
+  const tagPattern = /\{\{\s*(?:#(?:if|each)\s+)?([a-zA-Z_$][a-zA-Z0-9_$]*)[^}]*\}\}/g;
+  let match;
+  while ((match = tagPattern.exec(text)) !== null) {
+    const name = match[1];
+    if (!isReservedRoot(name) && name !== 'else' && !found.includes(name)) {
+      found.push(name);
+    }
+  }
+  return found;
+};
+
+const scanBlockVariables = (text) => {
+  const found = [];
+  const tagPattern = /\{\{\s*#(?:if|each)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)[^}]*\}\}/g;
+  let match;
+  while ((match = tagPattern.exec(text)) !== null) {
+    if (!isReservedRoot(match[1]) && !found.includes(match[1])) {
+      found.push(match[1]);
+    }
+  }
+  return found;
+};
+
+// Same for the $env names, so missing pipeline variables are still reported
+const scanEnvNames = (text) => {
+  const found = [];
+  const tagPattern = /\{\{\s*(?:#(?:if|each)\s+)?\$env\.([a-zA-Z_$][a-zA-Z0-9_$]*)[^}]*\}\}/g;
+  let match;
+  while ((match = tagPattern.exec(text)) !== null) {
+    if (!found.includes(match[1])) {
+      found.push(match[1]);
+    }
+  }
+  return found;
+};
+
+/**
+ * Root variables referenced by the template, those of them used as a block
+ * argument (`blockVariables`), the $env names and any syntax error. Never
+ * throws; with a syntax error the names are scanned from the well-formed tags.
+ */
+export const analyzeTemplate = (text) => {
+  try {
+    const ast = parseTemplate(text);
+    return {
+      ast,
+      variables: collectRootVariables(ast.body, []),
+      blockVariables: collectBlockVariables(ast.body, []),
+      env: collectEnvNames(ast.body, []),
+      error: null
+    };
+  } catch (error) {
+    if (!(error instanceof TemplateSyntaxError)) {
+      throw error;
+    }
+    return {
+      ast: null,
+      variables: scanVariables(text),
+      blockVariables: scanBlockVariables(text),
+      env: scanEnvNames(text),
+      error
+    };
+  }
+};
+
+// Strings holding JSON are parsed when a path needs to look inside them
+const descend = (value, key) => {
+  let container = value;
+  if (typeof container === 'string') {
+    try {
+      container = JSON.parse(container);
+    } catch (error) {
+      return undefined;
+    }
+  }
+  if (container === null || typeof container !== 'object') {
+    return undefined;
+  }
+  return container[key];
+};
+
+const resolvePath = (path, context, scopes) => {
+  const [root, ...rest] = path;
+  let value;
+  if (root === 'this') {
+    value = scopes[scopes.length - 1]?.item;
+  } else if (root === '@index') {
+    value = scopes[scopes.length - 1]?.index;
+  } else {
+    value = context[root];
+  }
+  return rest.reduce((acc, key) => descend(acc, key), value);
+};
+
+const isTruthy = (value) => {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return !!value;
+};
+
+const toList = (value) => parseList(value) || [];
+
+const renderNodes = (nodes, context, scopes, onMissing) =>
+  nodes.map((node) => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'expr': {
+        const raw = resolvePath(node.path, context, scopes);
+        const value = node.filters.reduce((acc, filter) => filters[filter.name](acc, filter.arg), raw);
+        if (isBlank(value) && onMissing) {
+          const replacement = onMissing(node.path.join('.'));
+          return typeof replacement === 'string' ? replacement : '';
+        }
+        return toText(value);
+      }
+      case 'if':
+        return isTruthy(resolvePath(node.path, context, scopes))
+          ? renderNodes(node.then, context, scopes, onMissing)
+          : renderNodes(node.else, context, scopes, onMissing);
+      case 'each':
+        return toList(resolvePath(node.path, context, scopes))
+          .map((item, index) => renderNodes(node.body, context, [...scopes, { item, index }], onMissing))
+          .join('');
+      default:
+        return '';
+    }
+  }).join('');
+
+/**
+ * Renders a template (source text or parsed AST) with the given input values.
+ * Missing values render as an empty string; pass `onMissing(path)` to be told
+ * about them, and return a string from it to render in their place.
+ * Throws TemplateSyntaxError for invalid templates.
+ */
+export const renderTemplate = (template, context = {}, { onMissing } = {}) => {
+  const ast = typeof template === 'string' ? parseTemplate(template) : template;
+  return renderNodes(ast.body, context, [], onMissing);
+};
@@ -0,0 +1,121 @@
+// Template language: rendering, blocks and scopes, filters, syntax errors and
+// the analysis used for Text node inputs
+import { TemplateSyntaxError, analyzeTemplate, parseTemplate, renderTemplate } from './template';
+
+const syntaxError = (text) => {
+  try {
+    parseTemplate(text);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`"${text}" parsed without an error`);
+};
+
+describe('renderTemplate', () => {
+  test('fills in values and dotted paths, parsing JSON text on demand', () => {
+    expect(renderTemplate('Hi {{user.name}} ({{user.tags.1}})', { user: '{"name":"Ada","tags":["a","b"]}' }))
+      .toBe('Hi Ada (b)');
+  });
+
+  test('renders missing values as empty text unless onMissing replaces them', () => {
+    expect(renderTemplate('[{{missing}}]', {})).toBe('[]');
+    const onMissing = jest.fn((path) => `<${path}>`);
+    expect(renderTemplate('[{{user.name}}]', {}, { onMissing })).toBe('[<user.name>]');
+    expect(onMissing).toHaveBeenCalledWith('user.name');
+  });
+
+  test('applies filters in order', () => {
+    const context = { name: '  Ada  ', empty: '', items: '["a","b","c"]', obj: { a: 1 } };
+    expect(renderTemplate('{{name | trim | upper}}', context)).toBe('ADA');
+    expect(renderTemplate('{{name | lower | trim}}', context)).toBe('ada');
+    expect(renderTemplate('{{empty | default:"anon"}}', context)).toBe('anon');
+    expect(renderTemplate("{{empty | default:'n/a' | upper}}", context)).toBe('N/A');
+    expect(renderTemplate('{{items | length}} {{name | length}}', context)).toBe('3 7');
+    expect(renderTemplate('{{obj | json}} {{missing | json}}', context)).toBe('{"a":1} null');
+  });
+
+  test('keeps pipes inside quoted filter arguments', () => {
+    expect(renderTemplate('{{x | default:"a|b"}}', {})).toBe('a|b');
+  });
+
+  test('renders #if and its else branch', () => {
+    const template = '{{#if flag}}on{{else}}off{{/if}}';
+    expect(renderTemplate(template, { flag: 'yes' })).toBe('on');
+    expect(renderTemplate(template, { flag: '' })).toBe('off');
+    expect(renderTemplate(template, { flag: [] })).toBe('off');
+    expect(renderTemplate(template, {})).toBe('off');
+  });
+
+  test('renders #each with this and @index, nested in #if', () => {
+    const template = '{{#if items}}{{#each items}}{{@index}}:{{this.title}}{{#if this.done}}✓{{/if}} {{/each}}{{else}}none{{/if}}';
+    const items = [{ title: 'a', done: true }, { title: 'b', done: false }];
+    expect(renderTemplate(template, { items })).toBe('0:a✓ 1:b ');
+    expect(renderTemplate(template, { items: JSON.stringify(items) })).toBe('0:a✓ 1:b ');
+    expect(renderTemplate(template, { items: [] })).toBe('none');
+  });
+
+  test('gives nested #each blocks their own item', () => {
+    const rows = [[1, 2], [3]];
+    expect(renderTemplate('{{#each rows}}[{{#each this}}{{this}}{{/each}}]{{/each}}', { rows })).toBe('[12][3]');
+  });
+
+  test('reads pipeline variables from $env', () => {
+    expect(renderTemplate('{{$env.API | upper}}{{#if $env.FLAG}}!{{/if}}', { $env: { API: 'x', FLAG: '1' } })).toBe('X!');
+  });
+
+  test('accepts a parsed template', () => {
+    expect(renderTemplate(parseTemplate('{{a}}'), { a: 1 })).toBe('1');
+  });
+});
+
+describe('parseTemplate errors', () => {
+  test('report the line and column of the problem', () => {
+    const error = syntaxError('line one\n  {{#each items}}\n{{/if}}');
+    expect(error).toBeInstanceOf(TemplateSyntaxError);
+    expect(error).toMatchObject({ line: 3, column: 1 });
+    expect(error.message).toBe('Unexpected "{{/if}}", expected {{/each}} (line 3, column 1)');
+  });
+
+  test.each([
+    ['{{name', 'Unclosed "{{"'],
+    ['{{}}', 'Empty tag "{{}}"'],
+    ['{{#if flag}}', 'Unclosed "{{#if}}"'],
+    ['{{/each}}', 'Unexpected "{{/each}}", expected no open block'],
+    ['{{else}}', '"{{else}}" without a matching {{#if}}'],
+    ['{{#if a}}x{{else}}y{{else}}z{{/if}}', '"{{else}}" without a matching {{#if}}'],
+    ['{{#each items}}{{else}}{{/each}}', '"{{else}}" without a matching {{#if}}'],
+    ['{{#unless a}}{{/unless}}', 'Unknown block "#unless"'],
+    ['{{#each}}{{/each}}', '"#each" needs a variable'],
+    ['{{a b}}', 'Invalid variable "a b"'],
+    ['{{a | shout}}', 'Unknown filter "shout"'],
+    ['{{a | default:anon}}', 'Filter arguments must be quoted strings or numbers: "anon"'],
+    ['{{this}}', '"this" can only be used inside {{#each}}'],
+    ['{{#if @index}}{{/if}}', '"@index" can only be used inside {{#each}}']
+  ])('%s: %s', (text, message) => {
+    expect(syntaxError(text).message).toMatch(message);
+  });
+});
+
+describe('analyzeTemplate', () => {
+  test('lists root variables, block arguments and $env names once each', () => {
+    const { ast, variables, blockVariables, env, error } = analyzeTemplate(
+      '{{user.name}} {{#each items}}{{this}} {{@index}} {{user.id}}{{/each}} {{#if $env.DEBUG}}{{$env.URL}}{{/if}}'
+    );
+    expect(ast).not.toBeNull();
+    expect(error).toBeNull();
+    expect(variables).toEqual(['user', 'items']);
+    expect(blockVariables).toEqual(['items']);
+    expect(env).toEqual(['DEBUG', 'URL']);
+  });
+
+  test('falls back to scanning the well-formed tags on a syntax error', () => {
+    const { ast, variables, blockVariables, env, error } = analyzeTemplate(
+      '{{name}} {{#each items}}{{this}} {{$env.KEY}} {{broken'
+    );
+    expect(ast).toBeNull();
+    expect(error).toBeInstanceOf(TemplateSyntaxError);
+    expect(variables).toEqual(['name', 'items']);
+    expect(blockVariables).toEqual(['items']);
+    expect(env).toEqual(['KEY']);
+  });
+});
@@ -1,17 +1,78 @@
 // toolbar.js
+// Node palette sidebar: searchable, grouped by category
 
+import { useState } from 'react';
 import { DraggableNode } from './draggableNode';
+import { useNodeRegistry, NODE_CATEGORIES, getNodeCategory } from './nodeRegistry';
+import { searchNodeTypes } from './fuzzySearch';
 
-export const PipelineToolbar = () => {
+const renderEntry = (config, onAddNode) => (
+    <DraggableNode
+        key={config.type}
+        type={config.type}
+        label={config.label}
+        icon={config.icon}
+        description={config.description}
+        className={config.buttonClass}
+        onClick={onAddNode}
+    />
+);
+
+export const PipelineToolbar = ({ onAddNode }) => {
+    const { nodeTypeList } = useNodeRegistry();
+    const [query, setQuery] = useState('');
+    const [collapsed, setCollapsed] = useState({});
+    const available = nodeTypeList.filter((config) => !config.hidden);
+    const results = searchNodeTypes(available, query);
+
+    const toggleCategory = (category) =>
+        setCollapsed((current) => ({ ...current, [category]: !current[category] }));
+
+    // Enter adds the best match, Escape clears the search
+    const handleSearchKeyDown = (e) => {
+        if (e.key === 'Enter' && query.trim() && results.length > 0) {
+            onAddNode(results[0].type);
+            setQuery('');
+        } else if (e.key === 'Escape') {
+            setQuery('');
+        }
+    };
 
     return (
-        <div style={{ padding: '10px' }}>
-            <div style={{ marginTop: '20px', display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
-                <DraggableNode type='customInput' label='Input' />
-                <DraggableNode type='llm' label='LLM' />
-                <DraggableNode type='customOutput' label='Output' />
-                <DraggableNode type='text' label='Text' />
+        <aside className="palette">
+            <input
+                type="search"
+                className="palette-search"
+                placeholder="🔍 Search nodes…"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={handleSearchKeyDown}
+            />
+            {query.trim() ? (
+                <div className="palette-section">
+                    {results.length === 0 && <div className="palette-empty">No node types match "{query}"</div>}
+                    {results.map((config) => renderEntry(config, onAddNode))}
+                </div>
+            ) : (
+                NODE_CATEGORIES.map((category) => {
+                    const configs = available.filter((config) => getNodeCategory(config) === category);
+                    if (configs.length === 0) {
+                        return null;
+                    }
+                    return (
+                        <div key={category} className="palette-section">
+                            <button className="palette-category" onClick={() => toggleCategory(category)}>
+                                {collapsed[category] ? '▸' : '▾'} {category}
+                                <span className="palette-count">{configs.length}</span>
+                            </button>
+                            {!collapsed[category] && configs.map((config) => renderEntry(config, onAddNode))}
+                        </div>
+                    );
+                })
+            )}
+            <div className="palette-hint">
+                Drag onto the canvas, or double-click it / press <strong>/</strong> for quick add
             </div>
-        </div>
+        </aside>
     );
 };
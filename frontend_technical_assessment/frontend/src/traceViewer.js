@@ -0,0 +1,111 @@
+// traceViewer.js
+// Step-by-step record of the last pipeline run: what each node received,
+// what it produced and how long it took
+// --------------------------------------------------
+
+const statusIcons = {
+  running: '⏳',
+  success: '✅',
+  skipped: '⏭️',
+  error: '❌'
+};
+
+const formatValue = (value) => {
+  if (value === undefined) {
+    return '—';
+  }
+  if (value === '') {
+    return '(empty)';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+const formatDuration = (ms) => (ms === undefined ? '' : ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`);
+
+const TraceDetails = ({ step }) => {
+  const inputEntries = Object.entries(step.inputs || {});
+
+  return (
+    <div className="trace-details">
+      <div className="trace-details-title">
+        {statusIcons[step.status]} {step.label}
+        <span className="trace-duration">{formatDuration(step.durationMs)}</span>
+      </div>
+
+      <div className="diagnostics-subtitle">Inputs</div>
+      {inputEntries.length === 0 ? (
+        <div className="trace-empty">No inputs received</div>
+      ) : (
+        inputEntries.map(([handle, value]) => (
+          <div key={handle} className="trace-value">
+            <span className="trace-handle">{handle}</span>
+            <pre>{formatValue(value)}</pre>
+          </div>
+        ))
+      )}
+
+      {step.status === 'error' ? (
+        <>
+          <div className="diagnostics-subtitle">Error</div>
+          <pre className="trace-error">{step.error}</pre>
+        </>
+      ) : (
+        <>
+          <div className="diagnostics-subtitle">
+            Output{step.ports && ` → ${Object.keys(step.ports).join(', ')}`}
+          </div>
+          {step.status === 'success'
+            ? <pre className="trace-value">{formatValue(step.output)}</pre>
+            : <div className="trace-empty">{step.status === 'running' ? 'Still running…' : `Node was ${step.status}`}</div>}
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * `steps` are in execution order: { nodeId, label, status, inputs, output,
+ * ports, error, startedAt, durationMs }. Selecting a step shows its data;
+ * clicking a node on the canvas selects its step as well.
+ */
+export const TraceViewer = ({ steps, selectedNodeId, onSelect, onClose }) => {
+  const totalMs = Math.max(1, ...steps.map((step) => (step.startedAt || 0) + (step.durationMs || 0)));
+  const selected = steps.find((step) => step.nodeId === selectedNodeId);
+
+  return (
+    <div className="diagnostics trace">
+      <div className="diagnostics-header">
+        <span className="diagnostics-title">Run Trace</span>
+        <button onClick={onClose} className="diagnostics-close" title="Close">✕</button>
+      </div>
+
+      {steps.length === 0 && <div className="trace-empty">Submit the pipeline to record a run.</div>}
+
+      <ol className="trace-steps">
+        {steps.map((step) => (
+          <li key={step.nodeId}>
+            <button
+              className={`trace-step${step.nodeId === selectedNodeId ? ' trace-step-selected' : ''}`}
+              onClick={() => onSelect(step.nodeId)}
+            >
+              <span>{statusIcons[step.status]}</span>
+              <span className="trace-step-label">{step.label}</span>
+              <span className="trace-timeline">
+                <span
+                  className={`trace-bar trace-bar-${step.status}`}
+                  style={{
+                    left: `${((step.startedAt || 0) / totalMs) * 100}%`,
+                    width: `${Math.max(1, ((step.durationMs || 0) / totalMs) * 100)}%`
+                  }}
+                />
+              </span>
+              <span className="trace-duration">{formatDuration(step.durationMs)}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {selected && <TraceDetails step={selected} />}
+    </div>
+  );
+};
@@ -0,0 +1,91 @@
+// useDebugger.js
+// Step-through debug session: runs the pipeline node by node with createPipelineRun
+// --------------------------------------------------
+
+import { useCallback, useRef, useState } from 'react';
+import { createPipelineRun } from './executor';
+
+/**
+ * `session` is null until start() is called, then
+ *   { order, nodesById, results, nextNodeId, pausedAt, runningNodeId, busy, outputs }
+ * with flattened node ids. pausedAt is the breakpoint the run stopped in
+ * front of; outputs is set once every node has run.
+ * Breakpoints are a Set of flattened node ids passed in by the caller.
+ */
+export const useDebugger = () => {
+  const runRef = useRef(null);
+  const busyRef = useRef(false);
+  const [session, setSession] = useState(null);
+
+  const sync = useCallback((changes = {}) => {
+    const run = runRef.current;
+    setSession(run && {
+      order: run.order,
+      nodesById: run.nodesById,
+      results: { ...run.results },
+      nextNodeId: run.nextNodeId(),
+      pausedAt: null,
+      runningNodeId: null,
+      busy: false,
+      outputs: null,
+      ...changes
+    });
+  }, []);
+
+  // Throws when the pipeline can't be run, e.g. because it has a cycle
+  const start = useCallback((nodes, edges, options = {}) => {
+    runRef.current = createPipelineRun(nodes, edges, {
+      ...options,
+      onNodeStart: (nodeId) => setSession((current) => current && { ...current, runningNodeId: nodeId })
+    });
+    busyRef.current = false;
+    sync();
+  }, [sync]);
+
+  const stop = useCallback(() => {
+    runRef.current = null;
+    busyRef.current = false;
+    setSession(null);
+  }, []);
+
+  // Runs one async action on the session; ignored while another is running
+  const perform = useCallback(async (action) => {
+    const run = runRef.current;
+    if (!run || busyRef.current) {
+      return;
+    }
+    busyRef.current = true;
+    setSession((current) => ({ ...current, busy: true }));
+
+    const pausedAt = await action(run);
+    busyRef.current = false;
+    if (runRef.current === run) {
+      sync({ pausedAt, outputs: run.nextNodeId() === null ? run.finish().outputs : null });
+    }
+  }, [sync]);
+
+  const step = useCallback(() => perform(async (run) => {
+    await run.step();
+    return null;
+  }), [perform]);
+
+  const continueRun = useCallback(
+    (breakpoints) => perform((run) => run.runUntil(breakpoints)),
+    [perform]
+  );
+
+  const rerunFrom = useCallback((nodeId, breakpoints) => perform((run) => {
+    run.rerunFrom(nodeId);
+    return run.runUntil(breakpoints);
+  }), [perform]);
+
+  // Downstream results are dropped, so the next step re-runs them with the new value
+  const editOutput = useCallback((nodeId, output) => {
+    if (runRef.current && !busyRef.current) {
+      runRef.current.setOutput(nodeId, output);
+      sync();
+    }
+  }, [sync]);
+
+  return { session, start, stop, step, continueRun, rerunFrom, editOutput };
+};
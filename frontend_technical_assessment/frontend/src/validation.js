@@ -0,0 +1,89 @@
+// validation.js
+// Declarative validation rules for node fields
+// --------------------------------------------------
+// Supported rules on a field definition:
+//   required: true
+//   pattern: '^[a-z_]+$' (string or RegExp), patternMessage: 'Use lowercase letters'
+//   minLength / maxLength: for text values
+//   min / max: for numbers (number and slider fields)
+//   validate: (value, data) => 'error message' | null
+// JSON fields are also checked for valid syntax.
+
+export class PipelineValidationError extends Error {
+  constructor(errors) {
+    super(`${errors.length} node field(s) are invalid`);
+    this.name = 'PipelineValidationError';
+    this.errors = errors;
+  }
+}
+
+export const isEmptyValue = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+// Returns an error message for the value, or null if it is valid
+export const validateField = (field, value, data = {}) => {
+  const label = field.label || field.name;
+
+  if (isEmptyValue(value)) {
+    return field.required ? `${label} is required` : null;
+  }
+
+  if (typeof value === 'string') {
+    if (field.minLength !== undefined && value.length < field.minLength) {
+      return `${label} must be at least ${field.minLength} characters`;
+    }
+    if (field.maxLength !== undefined && value.length > field.maxLength) {
+      return `${label} must be at most ${field.maxLength} characters`;
+    }
+    if (field.pattern) {
+      const pattern = field.pattern instanceof RegExp ? field.pattern : new RegExp(field.pattern);
+      if (!pattern.test(value)) {
+        return field.patternMessage || `${label} has an invalid format`;
+      }
+    }
+    if (field.type === 'json') {
+      try {
+        JSON.parse(value);
+      } catch (error) {
+        return `${label} is not valid JSON`;
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) {
+      return `${label} must be a number`;
+    }
+    if (field.min !== undefined && value < field.min) {
+      return `${label} must be at least ${field.min}`;
+    }
+    if (field.max !== undefined && value > field.max) {
+      return `${label} must be at most ${field.max}`;
+    }
+  }
+
+  if (typeof field.validate === 'function') {
+    return field.validate(value, data) || null;
+  }
+
+  return null;
+};
+
+// Errors keyed by field name for a single node's data
+export const validateNodeData = (fields, data = {}) =>
+  (fields || []).reduce((errors, field) => {
+    const error = validateField(field, data[field.name] ?? field.defaultValue, data);
+    return error ? { ...errors, [field.name]: error } : errors;
+  }, {});
+
+// Structured errors for every invalid field on the canvas:
+// [{ nodeId, field, message }]
+export const validateNodes = (nodes, getNodeConfig) =>
+  nodes.flatMap((node) =>
+    Object.entries(validateNodeData(getNodeConfig(node.type)?.fields, node.data)).map(
+      ([field, message]) => ({ nodeId: node.id, field, message })
+    )
+  );
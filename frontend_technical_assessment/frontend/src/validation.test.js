@@ -0,0 +1,76 @@
+// Field validation rules, per node and across the canvas
+import { isEmptyValue, validateField, validateNodeData, validateNodes } from './validation';
+
+describe('isEmptyValue', () => {
+  test.each([
+    [undefined, true],
+    [null, true],
+    ['  ', true],
+    [[], true],
+    [0, false],
+    [false, false],
+    ['x', false]
+  ])('%j: %s', (value, empty) => {
+    expect(isEmptyValue(value)).toBe(empty);
+  });
+});
+
+describe('validateField', () => {
+  test('requires a value only when the field says so', () => {
+    expect(validateField({ name: 'model', label: 'Model', required: true }, ' ')).toBe('Model is required');
+    expect(validateField({ name: 'model', required: true }, '')).toBe('model is required');
+    expect(validateField({ name: 'model', pattern: '^a' }, '')).toBeNull();
+  });
+
+  test.each([
+    [{ pattern: '^[a-z_]+$' }, 'snake_case', null],
+    [{ pattern: '^[a-z_]+$' }, 'Snake', 'Name has an invalid format'],
+    [{ pattern: /^\d+$/, patternMessage: 'Use digits only' }, '12a', 'Use digits only'],
+    [{ minLength: 3 }, 'ab', 'Name must be at least 3 characters'],
+    [{ maxLength: 3 }, 'abcd', 'Name must be at most 3 characters'],
+    [{ type: 'json' }, '{"a": 1}', null],
+    [{ type: 'json' }, '{a: 1}', 'Name is not valid JSON'],
+    [{ min: 1 }, 0, 'Name must be at least 1'],
+    [{ max: 1 }, 2, 'Name must be at most 1'],
+    [{ min: 0, max: 1 }, 0.5, null],
+    [{}, NaN, 'Name must be a number']
+  ])('%j with %j', (rules, value, error) => {
+    expect(validateField({ name: 'name', label: 'Name', ...rules }, value)).toBe(error);
+  });
+
+  test('runs custom validators with the node data after the other rules', () => {
+    const validate = jest.fn((value, data) => (value > data.limit ? 'Over the limit' : undefined));
+    const field = { name: 'count', min: 0, validate };
+
+    expect(validateField(field, 5, { limit: 3 })).toBe('Over the limit');
+    expect(validateField(field, 2, { limit: 3 })).toBeNull();
+    expect(validateField(field, -1, { limit: 3 })).toBe('count must be at least 0');
+    expect(validate).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('validateNodeData', () => {
+  const fields = [
+    { name: 'url', label: 'URL', required: true },
+    { name: 'retries', label: 'Retries', max: 5, defaultValue: 9 },
+    { name: 'note' }
+  ];
+
+  test('keys errors by field name and checks defaults for missing values', () => {
+    expect(validateNodeData(fields, { note: 'x' })).toEqual({ url: 'URL is required', retries: 'Retries must be at most 5' });
+    expect(validateNodeData(fields, { url: 'http://x', retries: 2 })).toEqual({});
+    expect(validateNodeData(undefined, {})).toEqual({});
+  });
+});
+
+describe('validateNodes', () => {
+  test('lists every invalid field with its node, skipping unknown types', () => {
+    const configs = { api: { fields: [{ name: 'url', label: 'URL', required: true }] } };
+    const nodes = [
+      { id: 'api-1', type: 'api', data: {} },
+      { id: 'api-2', type: 'api', data: { url: 'http://x' } },
+      { id: 'other-1', type: 'other', data: {} }
+    ];
+    expect(validateNodes(nodes, (type) => configs[type])).toEqual([{ nodeId: 'api-1', field: 'url', message: 'URL is required' }]);
+  });
+});
@@ -0,0 +1,225 @@
+// variables.js
+// Pipeline variables: parameters and secrets referenced from node fields
+// --------------------------------------------------
+import { analyzeTemplate } from './template';
+
+// Any text field (and a Text node's template) can use {{$env.NAME}}. The
+// reference stays in the node data; the value is put in its place only when
+// the pipeline is submitted, run or debugged, for the selected environment.
+// Text templates are the exception: they keep the reference and are rendered
+// with the variables as `$env`, so filters and blocks can use them too.
+//
+//   {
+//     name: 'API_URL',
+//     secret: false,
+//     value: 'https://api.example.com',     // default for every environment
+//     values: { dev: 'http://localhost' }   // per-environment overrides
+//   }
+//
+// Secret values never leave this browser: exports and the autosave drop them,
+// they are kept under a localStorage key per pipeline instead, and run results
+// shown in the UI have them masked.
+
+export const ENVIRONMENTS = ['dev', 'staging', 'prod'];
+export const DEFAULT_ENVIRONMENT = 'dev';
+
+export const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+export const SECRET_MASK = '••••••';
+
+const SECRETS_KEY = 'streamgraph:secrets';
+const REFERENCE_PATTERN = /\{\{\s*\$env\.([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+export const createVariable = (name = '') => ({ name, secret: false, value: '', values: {} });
+
+// Error message for a variable name, or null if it is valid and unique
+export const getVariableNameError = (name, variables) => {
+  if (!name) {
+    return 'Name is required';
+  }
+  if (!VARIABLE_NAME_PATTERN.test(name)) {
+    return 'Use letters, digits and _ (not starting with a digit)';
+  }
+  if (variables.filter((variable) => variable.name === name).length > 1) {
+    return `"${name}" is defined twice`;
+  }
+  return null;
+};
+
+// The value of a variable in an environment: its override, else the default
+export const getVariableValue = (variable, environment) => {
+  const override = variable.values?.[environment];
+  return override !== undefined && override !== '' ? override : variable.value ?? '';
+};
+
+// { NAME: value } for every named variable in the given environment
+export const resolveVariables = (variables, environment) =>
+  Object.fromEntries(
+    variables
+      .filter((variable) => variable.name)
+      .map((variable) => [variable.name, getVariableValue(variable, environment)])
+  );
+
+/**
+ * Replaces every {{$env.NAME}} in `text` with its value from `values`.
+ * References to unknown names are left as they are.
+ */
+export const substituteVariables = (text, values) =>
+  text.replace(REFERENCE_PATTERN, (reference, name) =>
+    (Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : reference));
+
+// Substitutes in every string of a value, including nested objects and lists
+const substituteDeep = (value, values) => {
+  if (typeof value === 'string') {
+    return substituteVariables(value, values);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => substituteDeep(item, values));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substituteDeep(item, values)]));
+  }
+  return value;
+};
+
+export const applyVariablesToData = (data, values) => substituteDeep(data || {}, values);
+
+// A Text node's template is rendered with $env at run time instead
+const isTemplateField = (node, key) => node.type === 'text' && key === 'text';
+
+// Copies of the nodes with the variables substituted in their data, nested
+// graphs (subgraphs, Map nodes) included
+export const applyVariables = (nodes, values) =>
+  nodes.map((node) => ({
+    ...node,
+    data: Object.fromEntries(
+      Object.entries(node.data || {}).map(([key, value]) => {
+        if (isTemplateField(node, key)) {
+          return [key, value];
+        }
+        if (key === 'graph' && Array.isArray(value?.nodes)) {
+          return [key, { ...value, nodes: applyVariables(value.nodes, values) }];
+        }
+        return [key, substituteDeep(value, values)];
+      })
+    )
+  }));
+
+/**
+ * Names of the variables a node references, in order of appearance: read
+ * from the parsed template of a Text node and from {{$env.NAME}} in any other
+ * string field. References inside a nested graph count too unless `nested`
+ * is false.
+ */
+export const findVariableReferences = (node, { nested = true } = {}) => {
+  const found = [];
+  const add = (name) => {
+    if (!found.includes(name)) {
+      found.push(name);
+    }
+  };
+  const visit = (value) => {
+    if (typeof value === 'string') {
+      [...value.matchAll(REFERENCE_PATTERN)].forEach(([, name]) => add(name));
+    } else if (value !== null && typeof value === 'object') {
+      Object.values(value).forEach(visit);
+    }
+  };
+  Object.entries(node.data || {}).forEach(([key, value]) => {
+    if (isTemplateField(node, key)) {
+      analyzeTemplate(String(value ?? '')).env.forEach(add);
+    } else if (key === 'graph' && Array.isArray(value?.nodes)) {
+      if (nested) {
+        value.nodes.forEach((child) => findVariableReferences(child).forEach(add));
+      }
+    } else {
+      visit(value);
+    }
+  });
+  return found;
+};
+
+// Every value a secret variable has, in any environment
+export const getSecretValues = (variables) =>
+  variables
+    .filter((variable) => variable.secret)
+    .flatMap((variable) => [variable.value, ...Object.values(variable.values || {})])
+    .filter((value) => typeof value === 'string' && value !== '');
+
+/**
+ * Replaces the secret values found in any string of `value` with SECRET_MASK,
+ * for showing run results that may contain them.
+ */
+export const maskSecrets = (value, secretValues) => {
+  if (secretValues.length === 0) {
+    return value;
+  }
+  // Longest first so a secret containing another one is masked whole
+  const sorted = [...new Set(secretValues)].sort((a, b) => b.length - a.length);
+  const mask = (item) => {
+    if (typeof item === 'string') {
+      return sorted.reduce((text, secret) => text.split(secret).join(SECRET_MASK), item);
+    }
+    if (Array.isArray(item)) {
+      return item.map(mask);
+    }
+    if (item !== null && typeof item === 'object') {
+      return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, mask(entry)]));
+    }
+    return item;
+  };
+  return mask(value);
+};
+
+// The variables as they may be saved or exported: secrets without values
+export const withoutSecretValues = (variables) =>
+  variables.map((variable) => (variable.secret ? { ...variable, value: '', values: {} } : variable));
+
+// Each pipeline's secrets have a key of their own, so pipelines sharing a
+// variable name don't share its value
+const secretsKey = (pipelineId) => `${SECRETS_KEY}:${pipelineId}`;
+
+const readSecrets = (pipelineId) => {
+  try {
+    return JSON.parse(localStorage.getItem(secretsKey(pipelineId))) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Forgets the secret values kept for a pipeline, e.g. one that was discarded
+export const clearSecrets = (pipelineId) => {
+  localStorage.removeItem(secretsKey(pipelineId));
+};
+
+/**
+ * Keeps the values of the pipeline's secret variables in this browser, keyed
+ * by name. The saved set is replaced, so renamed or deleted secrets and ones
+ * no longer marked secret don't linger.
+ */
+export const saveSecrets = (pipelineId, variables) => {
+  const secrets = Object.fromEntries(
+    variables
+      .filter((variable) => variable.secret && variable.name)
+      .map(({ name, value, values }) => [name, { value, values }])
+  );
+  try {
+    if (Object.keys(secrets).length > 0) {
+      localStorage.setItem(secretsKey(pipelineId), JSON.stringify(secrets));
+    } else {
+      clearSecrets(pipelineId);
+    }
+  } catch (error) {
+    console.log('Could not save secrets:', error.message);
+  }
+};
+
+// Fills in the values of secret variables loaded without them
+export const restoreSecrets = (pipelineId, variables) => {
+  const secrets = readSecrets(pipelineId);
+  return variables.map((variable) => {
+    const saved = variable.secret && secrets[variable.name];
+    return saved && !getSecretValues([variable]).length
+      ? { ...variable, value: saved.value ?? '', values: saved.values || {} }
+      : variable;
+  });
+};
@@ -0,0 +1,129 @@
+// Pipeline variables: resolving, substituting, finding references, masking
+// secrets and keeping their values per pipeline
+import {
+  SECRET_MASK,
+  applyVariables,
+  clearSecrets,
+  createVariable,
+  findVariableReferences,
+  getSecretValues,
+  maskSecrets,
+  resolveVariables,
+  restoreSecrets,
+  saveSecrets,
+  substituteVariables,
+  withoutSecretValues
+} from './variables';
+
+const variable = (name, value, values = {}, secret = false) => ({ ...createVariable(name), value, values, secret });
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('resolveVariables', () => {
+  test('uses the environment override when it has a value, else the default', () => {
+    const variables = [variable('URL', 'https://api', { dev: 'http://localhost', prod: '' }), variable('', 'unnamed')];
+    expect(resolveVariables(variables, 'dev')).toEqual({ URL: 'http://localhost' });
+    expect(resolveVariables(variables, 'prod')).toEqual({ URL: 'https://api' });
+  });
+});
+
+describe('substituteVariables', () => {
+  test('replaces known references and leaves unknown ones', () => {
+    expect(substituteVariables('{{ $env.A }}/{{$env.B}}', { A: 1 })).toBe('1/{{$env.B}}');
+  });
+});
+
+describe('applyVariables', () => {
+  const values = { URL: 'http://x', TOKEN: 't0k' };
+
+  test('substitutes in every field, nested values included', () => {
+    const [applied] = applyVariables([{ id: 'a', type: 'api', data: { url: '{{$env.URL}}/v1', headers: [{ value: 'Bearer {{$env.TOKEN}}' }], retries: 2 } }], values);
+    expect(applied.data).toEqual({ url: 'http://x/v1', headers: [{ value: 'Bearer t0k' }], retries: 2 });
+  });
+
+  test('leaves Text templates for the renderer, in nested graphs too', () => {
+    const nodes = [
+      { id: 't', type: 'text', data: { text: '{{$env.URL | upper}}' } },
+      {
+        id: 'm',
+        type: 'map',
+        data: {
+          label: '{{$env.URL}}',
+          graph: { nodes: [{ id: 'inner', type: 'text', data: { text: '{{$env.TOKEN}}' } }, { id: 'llm', type: 'llm', data: { model: '{{$env.TOKEN}}' } }], edges: [] }
+        }
+      }
+    ];
+    const [text, map] = applyVariables(nodes, values);
+    expect(text.data.text).toBe('{{$env.URL | upper}}');
+    expect(map.data.label).toBe('http://x');
+    expect(map.data.graph.nodes[0].data.text).toBe('{{$env.TOKEN}}');
+    expect(map.data.graph.nodes[1].data.model).toBe('t0k');
+  });
+
+  test('does not change the given nodes', () => {
+    const nodes = [{ id: 'a', type: 'api', data: { url: '{{$env.URL}}' } }];
+    applyVariables(nodes, values);
+    expect(nodes[0].data.url).toBe('{{$env.URL}}');
+  });
+});
+
+describe('findVariableReferences', () => {
+  test('reads Text templates, other fields and nested graphs in order', () => {
+    const node = {
+      type: 'subgraph',
+      data: {
+        note: '{{$env.A}} {{$env.A}}',
+        graph: { nodes: [{ type: 'text', data: { text: '{{#each $env.LIST}}{{this}}{{/each}} {{$env.B | default:"x"}}' } }] }
+      }
+    };
+    expect(findVariableReferences(node)).toEqual(['A', 'LIST', 'B']);
+    expect(findVariableReferences(node, { nested: false })).toEqual(['A']);
+  });
+});
+
+describe('secrets', () => {
+  const variables = [variable('KEY', 'abc', { prod: 'abcdef' }, true), variable('URL', 'http://x')];
+
+  test('lists every value of the secret variables', () => {
+    expect(getSecretValues(variables)).toEqual(['abc', 'abcdef']);
+  });
+
+  test('masks secret values in nested results, longest first', () => {
+    const masked = maskSecrets({ output: 'key=abcdef', list: ['abc', 3], nested: { value: 'x abc y' } }, getSecretValues(variables));
+    expect(masked).toEqual({ output: `key=${SECRET_MASK}`, list: [SECRET_MASK, 3], nested: { value: `x ${SECRET_MASK} y` } });
+    expect(maskSecrets('abc', [])).toBe('abc');
+  });
+
+  test('are left out of what is saved or exported', () => {
+    expect(withoutSecretValues(variables)).toEqual([variable('KEY', '', {}, true), variables[1]]);
+  });
+
+  test('are kept and restored per pipeline', () => {
+    saveSecrets('p1', variables);
+    saveSecrets('p2', [variable('KEY', 'other', {}, true)]);
+    const loaded = withoutSecretValues(variables);
+
+    expect(restoreSecrets('p1', loaded)).toEqual(variables);
+    expect(restoreSecrets('p2', loaded)[0].value).toBe('other');
+    expect(restoreSecrets('p3', loaded)).toEqual(loaded);
+  });
+
+  test('replace what was saved for the pipeline before', () => {
+    saveSecrets('p1', [variable('OLD', 'x', {}, true), variable('KEY', 'abc', {}, true)]);
+    saveSecrets('p1', [variable('KEY', 'new', {}, true)]);
+    expect(JSON.parse(localStorage.getItem('streamgraph:secrets:p1'))).toEqual({ KEY: { value: 'new', values: {} } });
+
+    saveSecrets('p1', [variable('KEY', 'new', {}, false)]);
+    expect(localStorage.getItem('streamgraph:secrets:p1')).toBeNull();
+  });
+
+  test('can be cleared for a pipeline', () => {
+    saveSecrets('p1', variables);
+    saveSecrets('p2', variables);
+    clearSecrets('p1');
+    expect(localStorage.getItem('streamgraph:secrets:p1')).toBeNull();
+    expect(localStorage.getItem('streamgraph:secrets:p2')).not.toBeNull();
+  });
+});
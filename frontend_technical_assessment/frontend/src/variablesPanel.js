@@ -0,0 +1,155 @@
+// variablesPanel.js
+// Editor for pipeline variables and the environment they are resolved for
+// --------------------------------------------------
+
+import { useState } from 'react';
+import {
+  ENVIRONMENTS,
+  SECRET_MASK,
+  createVariable,
+  getVariableNameError,
+  getVariableValue
+} from './variables';
+
+// Text inputs for secrets are password inputs until revealed
+const ValueInput = ({ value, onChange, placeholder, hidden }) => (
+  <input
+    type={hidden ? 'password' : 'text'}
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    placeholder={placeholder}
+    autoComplete="off"
+    className="variable-value"
+  />
+);
+
+const VariableRow = ({ variable, variables, environment, onChange, onRemove }) => {
+  const [revealed, setRevealed] = useState(false);
+  const nameError = getVariableNameError(variable.name, variables);
+  const hidden = variable.secret && !revealed;
+  const current = getVariableValue(variable, environment);
+
+  const setValue = (env, value) => onChange({ ...variable, values: { ...variable.values, [env]: value } });
+
+  return (
+    <li className="variable">
+      <div className="variable-header">
+        <input
+          value={variable.name}
+          onChange={(e) => onChange({ ...variable, name: e.target.value.trim() })}
+          placeholder="NAME"
+          className={`variable-name${nameError ? ' variable-name-invalid' : ''}`}
+          title={nameError || `Use it as {{$env.${variable.name}}}`}
+        />
+        <label className="variable-option" title="Secret values are masked and never exported">
+          <input
+            type="checkbox"
+            checked={variable.secret}
+            onChange={(e) => {
+              setRevealed(false);
+              onChange({ ...variable, secret: e.target.checked });
+            }}
+          />
+          Secret
+        </label>
+        {variable.secret && (
+          <button onClick={() => setRevealed((shown) => !shown)} className="variable-action" title={revealed ? 'Hide values' : 'Show values'}>
+            {revealed ? '🙈' : '👁️'}
+          </button>
+        )}
+        <button onClick={onRemove} className="variable-action" title="Delete variable">🗑️</button>
+      </div>
+      {nameError && <div className="variable-error">{nameError}</div>}
+
+      <div className="variable-values">
+        <label className="variable-value-label">
+          Default
+          <ValueInput
+            value={variable.value}
+            onChange={(value) => onChange({ ...variable, value })}
+            placeholder="Value"
+            hidden={hidden}
+          />
+        </label>
+        {ENVIRONMENTS.map((env) => (
+          <label key={env} className={`variable-value-label${env === environment ? ' variable-value-current' : ''}`}>
+            {env}
+            <ValueInput
+              value={variable.values?.[env] ?? ''}
+              onChange={(value) => setValue(env, value)}
+              placeholder="Default"
+              hidden={hidden}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="variable-resolved">
+        In {environment}: {current === '' ? <em>empty</em> : hidden ? SECRET_MASK : current}
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Lists the pipeline variables for editing. Each has a default value and an
+ * optional override per environment; `environment` picks the values used
+ * when the pipeline is submitted.
+ */
+export const VariablesPanel = ({ variables, environment, onChange, onEnvironmentChange, onClose }) => {
+  const updateAt = (index, variable) => onChange(variables.map((item, i) => (i === index ? variable : item)));
+  const removeAt = (index) => onChange(variables.filter((_, i) => i !== index));
+
+  return (
+    <div className="diagnostics variables">
+      <div className="diagnostics-header">
+        <span className="diagnostics-title">Variables</span>
+        <button onClick={onClose} className="diagnostics-close" title="Close">✕</button>
+      </div>
+
+      <div className="diagnostics-summary">
+        <span>Environment</span>
+        {ENVIRONMENTS.map((env) => (
+          <label key={env} className="variable-option">
+            <input
+              type="radio"
+              name="pipeline-environment"
+              checked={env === environment}
+              onChange={() => onEnvironmentChange(env)}
+            />
+            {env}
+          </label>
+        ))}
+      </div>
+
+      {variables.length === 0 ? (
+        <div className="trace-empty">
+          No variables yet. Reference one from any text field as {'{{$env.NAME}}'}.
+        </div>
+      ) : (
+        <ul className="diagnostics-list">
+          {variables.map((variable, index) => (
+            <VariableRow
+              // Names change while typing, so rows are keyed by position
+              key={index}
+              variable={variable}
+              variables={variables}
+              environment={environment}
+              onChange={(next) => updateAt(index, next)}
+              onRemove={() => removeAt(index)}
+            />
+          ))}
+        </ul>
+      )}
+
+      <div className="button-row">
+        <button onClick={() => onChange([...variables, createVariable()])} className="btn btn-gray">
+          ➕ Add Variable
+        </button>
+      </div>
+      <div className="variable-hint">
+        Values are filled in when the pipeline is submitted. Secret values stay in this browser:
+        they are masked on the canvas and left out of exports.
+      </div>
+    </div>
+  );
+};